@@ -1,45 +1,172 @@
 const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const Impersonation = require('../models/Impersonation');
+const { ALL_PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../utils/permissions');
+const { applyBranchScope } = require('./tenancy');
+const { recordAccess } = require('../utils/auditTrail');
+
+// Only persist lastSeenAt this often to avoid a write on every request
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+// Error for a rejected access token; its message is safe to show the client
+const authError = (message) => {
+  const error = new Error(message);
+  error.expose = true;
+  return error;
+};
+
+// Resolve an access token to its user and live session. Shared by HTTP
+// routes and the Socket.IO handshake.
+const authenticateAccessToken = async (token, ipAddress) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    throw authError('Not authorized, user not found');
+  }
+
+  if (!user.isActive) {
+    throw authError('Account is deactivated');
+  }
+
+  // Impersonation tokens belong to an impersonation instead of a session
+  if (decoded.purpose === 'impersonation') {
+    const impersonation = await Impersonation.findById(decoded.imp)
+      .populate('admin', 'firstName lastName email isActive');
+
+    if (!impersonation || !impersonation.isActive || !impersonation.user.equals(user._id) ||
+        !impersonation.admin || !impersonation.admin.isActive) {
+      throw authError('Impersonation has ended');
+    }
+
+    // Marks the request as made by an admin acting as this user
+    user.impersonatedBy = {
+      _id: impersonation.admin._id,
+      firstName: impersonation.admin.firstName,
+      lastName: impersonation.admin.lastName,
+      email: impersonation.admin.email,
+      impersonationId: impersonation._id
+    };
+
+    return { user, impersonation, decoded };
+  }
+
+  // Every access token must belong to a live session
+  const session = decoded.sid && await Session.findById(decoded.sid);
+
+  if (!session || session.revokedAt || !session.user.equals(user._id)) {
+    throw authError('Session has been revoked');
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL) {
+    session.lastSeenAt = new Date();
+    session.ipAddress = ipAddress;
+    await session.save();
+  }
+
+  return { user, session, decoded };
+};
+
+// Resolve a service account API key to a stand-in user limited to the
+// key's permissions and branches
+const authenticateApiKey = async (key, ipAddress) => {
+  const apiKey = await ApiKey.findByKey(key);
+
+  if (!apiKey || !apiKey.serviceAccount) {
+    throw authError('Invalid API key');
+  }
+
+  if (apiKey.revokedAt) {
+    throw authError('API key has been revoked');
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= Date.now()) {
+    throw authError('API key has expired');
+  }
+
+  if (!apiKey.serviceAccount.isActive) {
+    throw authError('Service account is deactivated');
+  }
+
+  await apiKey.recordUsage(ipAddress);
+
+  return { user: apiKey.serviceAccount.toRequestUser(apiKey), apiKey };
+};
+
+// Audit a request made with an impersonation token and let the
+// impersonated user know about it
+const trackImpersonatedRequest = async (req) => {
+  const { impersonation, user } = req;
+
+  await recordAccess('Impersonation', impersonation._id, user.branchId);
+  await impersonation.recordRequest();
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`user_${user._id}`).emit('impersonation_activity', {
+      impersonationId: impersonation._id,
+      admin: `${user.impersonatedBy.firstName} ${user.impersonatedBy.lastName}`,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      at: new Date()
+    });
+  }
+};
 
 // Protect routes
 const protect = asyncHandler(async (req, res, next) => {
   let token;
+  const apiKey = req.get('x-api-key');
 
-  // Check for token in headers
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+  // Integrations authenticate with a service account API key
+  if (apiKey) {
     try {
-      // Get token from headers
-      token = req.headers.authorization.split(' ')[1];
+      const result = await authenticateApiKey(apiKey, req.ip);
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = result.user;
+      req.apiKey = result.apiKey;
+    } catch (error) {
+      if (!error.expose) console.error(error);
+      return res.status(401).json({
+        success: false,
+        message: error.expose ? error.message : 'Not authorized, API key failed'
+      });
+    }
 
-      // Get user from token and attach to request
-      req.user = await User.findById(decoded.id).select('-password');
+    return applyBranchScope(req, res, next);
+  }
 
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Not authorized, user not found'
-        });
-      }
+  // Check for token in headers
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    // Get token from headers
+    token = req.headers.authorization.split(' ')[1];
 
-      if (!req.user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'Account is deactivated'
-        });
-      }
+    try {
+      const { user, session, impersonation } = await authenticateAccessToken(token, req.ip);
 
-      next();
+      // Attach user and session to request
+      req.user = user;
+      req.session = session;
+      req.impersonation = impersonation;
     } catch (error) {
-      console.error(error);
+      if (!error.expose) console.error(error);
       return res.status(401).json({
         success: false,
-        message: 'Not authorized, token failed'
+        message: error.expose ? error.message : 'Not authorized, token failed'
       });
     }
+
+    if (req.impersonation) {
+      await trackImpersonatedRequest(req);
+    }
+
+    // Scope the rest of the request to the user's active branch
+    return applyBranchScope(req, res, next);
   }
 
   if (!token) {
@@ -50,6 +177,18 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Refuse actions an admin must not take while acting as another user,
+// such as changing their password or paying on their behalf
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not allowed while impersonating a user'
+    });
+  }
+  next();
+};
+
 // Check user role
 const checkRole = (...roles) => {
   return (req, res, next) => {
@@ -63,4 +202,81 @@ const checkRole = (...roles) => {
   };
 };
 
-module.exports = { protect, checkRole };
\ No newline at end of file
+// Role documents are cached briefly so permission checks don't hit the
+// database on every request; role changes clear the cache
+const ROLE_CACHE_TTL = 60 * 1000;
+let roleCache = { loadedAt: 0, byName: new Map(), byId: new Map() };
+
+const loadRoles = async () => {
+  if (Date.now() - roleCache.loadedAt < ROLE_CACHE_TTL) return roleCache;
+
+  const roles = await Role.find().select('name permissions').lean();
+  roleCache = {
+    loadedAt: Date.now(),
+    byName: new Map(roles.map(role => [role.name, role])),
+    byId: new Map(roles.map(role => [role._id.toString(), role]))
+  };
+  return roleCache;
+};
+
+const clearPermissionCache = () => {
+  roleCache.loadedAt = 0;
+};
+
+// Resolve the effective permissions of a user: their built-in role plus
+// any custom roles assigned to them
+const getUserPermissions = async (user) => {
+  // Admins always keep every permission so they cannot lock themselves out
+  if (user.role === 'admin') return new Set(ALL_PERMISSIONS);
+
+  // Service accounts hold exactly the permissions of their API key
+  if (user.isServiceAccount) return new Set(user.permissions);
+
+  const { byName, byId } = await loadRoles();
+  const systemRole = byName.get(user.role);
+  const permissions = new Set(
+    systemRole ? systemRole.permissions : DEFAULT_ROLE_PERMISSIONS[user.role] || []
+  );
+
+  for (const roleId of user.roles || []) {
+    const role = byId.get(roleId.toString());
+    if (role) role.permissions.forEach(permission => permissions.add(permission));
+  }
+
+  return permissions;
+};
+
+// Check whether the current request holds a permission
+const hasPermission = async (req, permission) => {
+  if (!req.permissions) {
+    req.permissions = await getUserPermissions(req.user);
+  }
+  return req.permissions.has(permission);
+};
+
+// Require every listed permission
+const requirePermission = (...permissions) => {
+  return asyncHandler(async (req, res, next) => {
+    for (const permission of permissions) {
+      if (!(await hasPermission(req, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: `Missing permission '${permission}' required to access this resource`
+        });
+      }
+    }
+    next();
+  });
+};
+
+module.exports = {
+  protect,
+  authenticateAccessToken,
+  authenticateApiKey,
+  denyImpersonation,
+  checkRole,
+  requirePermission,
+  hasPermission,
+  getUserPermissions,
+  clearPermissionCache
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const BiometricDevice = require('../models/BiometricDevice');
+const DeviceNonce = require('../models/DeviceNonce');
+const { runWithContext, getContext } = require('../utils/requestContext');
+
+// Signed requests are accepted within this many ms of the device clock
+const TIMESTAMP_WINDOW = 5 * 60 * 1000;
+
+// Build the string a device signs: timestamp, nonce and the raw JSON body
+const signingPayload = (timestamp, nonce, rawBody) =>
+  `${timestamp}.${nonce}.${rawBody ? rawBody.toString('utf8') : ''}`;
+
+const unauthorized = (res, message) =>
+  res.status(401).json({
+    success: false,
+    message
+  });
+
+// Authenticate a biometric device by its HMAC-SHA256 request signature.
+// Headers: X-Device-Id, X-Timestamp (ms since epoch), X-Nonce, X-Signature
+// (hex HMAC of "<timestamp>.<nonce>.<body>" with the device secret).
+const authenticateDevice = asyncHandler(async (req, res, next) => {
+  const deviceId = req.get('x-device-id');
+  const timestamp = req.get('x-timestamp');
+  const nonce = req.get('x-nonce');
+  const signature = req.get('x-signature');
+
+  if (!deviceId || !timestamp || !nonce || !signature) {
+    return unauthorized(res, 'Missing device signature headers');
+  }
+
+  if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() - Number(timestamp)) > TIMESTAMP_WINDOW) {
+    return unauthorized(res, 'Request timestamp is outside the allowed window');
+  }
+
+  const device = await BiometricDevice.findOne({ deviceId }).select('+secret');
+
+  if (!device || device.status !== 'active') {
+    return unauthorized(res, 'Unauthorized device access');
+  }
+
+  const expected = crypto
+    .createHmac('sha256', device.getSecret())
+    .update(signingPayload(timestamp, nonce, req.rawBody))
+    .digest();
+  const provided = Buffer.from(signature, 'hex');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return unauthorized(res, 'Invalid request signature');
+  }
+
+  // The unique index rejects a nonce that was already used
+  try {
+    await DeviceNonce.create({
+      device: device._id,
+      nonce,
+      expiresAt: new Date(Number(timestamp) + TIMESTAMP_WINDOW)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return unauthorized(res, 'Replayed request');
+    }
+    throw error;
+  }
+
+  device.lastSeenAt = new Date();
+  device.lastIpAddress = req.ip;
+  if (req.get('x-firmware-version')) device.firmwareVersion = req.get('x-firmware-version');
+  await device.save();
+
+  req.device = device;
+
+  // Devices only see and write data of their own branch
+  runWithContext({ ...getContext(), device, branchId: device.branchId, unscoped: false }, next);
+});
+
+module.exports = { authenticateDevice, signingPayload };
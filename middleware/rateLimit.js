@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const asyncHandler = require('express-async-handler');
+const ApiKey = require('../models/ApiKey');
+const { createStore } = require('../utils/rateLimitStore');
+const { runUnscoped } = require('../utils/requestContext');
+
+const MINUTE = 60 * 1000;
+
+// Limit policies per route group. A request uses the first group with a
+// matching path prefix, otherwise "default". `max` is per client and window,
+// by role, with "default" for roles not listed; keep every limit above 0.
+// Override or add groups with RATE_LIMIT_POLICIES, e.g.
+// {"chatbot":{"max":{"student":10}}}
+const DEFAULT_POLICIES = {
+  chatbot: {
+    paths: ['/api/chatbot'],
+    windowMs: 60 * MINUTE,
+    max: { anonymous: 10, student: 30, parent: 30, admin: 120, default: 60 }
+  },
+  // Schools sign in from behind one address, so login is limited loosely per
+  // address; repeated wrong passwords lock the account itself (User.js)
+  login: {
+    paths: ['/api/auth/login'],
+    windowMs: 15 * MINUTE,
+    max: { default: 1000 }
+  },
+  // Other endpoints taking a password or one-time code, at the former global
+  // limit of 100 requests per 15 minutes per client
+  credentials: {
+    paths: [
+      '/api/auth/register',
+      '/api/auth/forgot-password',
+      '/api/auth/reset-password',
+      '/api/auth/change-password',
+      '/api/auth/2fa/enable',
+      '/api/auth/2fa/disable',
+      '/api/auth/2fa/backup-codes'
+    ],
+    windowMs: 15 * MINUTE,
+    max: { default: 100 }
+  },
+  auth: {
+    paths: ['/api/auth'],
+    windowMs: 15 * MINUTE,
+    max: { anonymous: 100, default: 300 }
+  },
+  devices: {
+    paths: ['/api/biometric/sync-attendance'],
+    windowMs: MINUTE,
+    max: { default: 600 }
+  },
+  // Signed file links carry no token, so every download counts as anonymous
+  downloads: {
+    paths: ['/api/files/content'],
+    windowMs: MINUTE,
+    max: { default: 600 }
+  },
+  health: {
+    paths: ['/health'],
+    windowMs: MINUTE,
+    max: { default: 120 }
+  },
+  default: {
+    windowMs: 15 * MINUTE,
+    max: {
+      anonymous: 100,
+      student: 300,
+      parent: 300,
+      teacher: 1000,
+      accountant: 1000,
+      admin: 2000,
+      service: 3000,
+      default: 300
+    }
+  }
+};
+
+const loadPolicies = () => {
+  const overrides = process.env.RATE_LIMIT_POLICIES ? JSON.parse(process.env.RATE_LIMIT_POLICIES) : {};
+  const policies = { ...DEFAULT_POLICIES };
+
+  for (const [name, override] of Object.entries(overrides)) {
+    const base = policies[name] || { paths: [], windowMs: 15 * MINUTE, max: {} };
+    policies[name] = { ...base, ...override, max: { ...base.max, ...override.max } };
+  }
+  return policies;
+};
+
+// Routes that must stay in a given group, checked when the limiter is built
+// so a renamed route or a RATE_LIMIT_POLICIES override cannot quietly move
+// them to looser limits
+const REQUIRED_GROUPS = {
+  '/api/auth/login': 'login',
+  '/api/auth/reset-password/token': 'credentials',
+  '/api/biometric/sync-attendance': 'devices'
+};
+
+const matchesPath = (paths, path) =>
+  paths.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+
+const limitFor = (policy, role) =>
+  typeof policy.max === 'number' ? policy.max : policy.max[role] || policy.max.default;
+
+// API keys verified recently, so limiting costs no lookup per request
+const API_KEY_CACHE_TTL = MINUTE;
+const API_KEY_CACHE_SIZE = 10000;
+const apiKeyCache = new Map();
+
+const identifyApiKey = async (apiKey) => {
+  const hash = crypto.createHash('sha256').update(apiKey).digest('hex');
+  const hit = apiKeyCache.get(hash);
+  if (hit && hit.expiresAt > Date.now()) return hit.identity;
+
+  // Runs before the request context exists, so look up outside of it
+  const key = await runUnscoped(() => ApiKey.findByKey(apiKey));
+  const identity = key && { key: `apikey:${key._id}`, role: 'service' };
+
+  if (apiKeyCache.size >= API_KEY_CACHE_SIZE) apiKeyCache.clear();
+  apiKeyCache.set(hash, { identity, expiresAt: Date.now() + API_KEY_CACHE_TTL });
+  return identity;
+};
+
+// Key requests on the authenticated user or API key when the credentials
+// check out, otherwise on the client address. Users are identified from
+// their access token alone, whose role claim picks the tier. Credentials
+// are only verified here, protect still decides whether the request is
+// allowed.
+const identify = async (req) => {
+  const anonymous = { key: `ip:${req.ip}`, role: 'anonymous' };
+
+  const apiKey = req.get('x-api-key');
+  if (apiKey) {
+    return (await identifyApiKey(apiKey)) || anonymous;
+  }
+
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    try {
+      const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+      return { key: `user:${decoded.id}`, role: decoded.role || 'default' };
+    } catch (error) {
+      return anonymous;
+    }
+  }
+
+  return anonymous;
+};
+
+// Build the rate limiting middleware for all route groups. Responses carry
+// RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers.
+const createRateLimiter = (policies = loadPolicies()) => {
+  const limiters = Object.entries(policies).map(([name, policy]) => ({
+    name,
+    paths: policy.paths || [],
+    middleware: rateLimit({
+      windowMs: policy.windowMs,
+      max: (req) => limitFor(policy, req.rateLimitIdentity.role),
+      keyGenerator: (req) => `${name}:${req.rateLimitIdentity.key}`,
+      standardHeaders: true,
+      legacyHeaders: false,
+      store: createStore(),
+      handler: (req, res) => {
+        res.status(429).json({
+          success: false,
+          message: 'Too many requests, please try again later'
+        });
+      }
+    })
+  }));
+
+  const fallback = limiters.find(limiter => limiter.name === 'default');
+  const limiterFor = (path) =>
+    limiters.find(({ paths }) => matchesPath(paths, path)) || fallback;
+
+  for (const [path, group] of Object.entries(REQUIRED_GROUPS)) {
+    if (limiterFor(path).name !== group) {
+      throw new Error(`Rate limit group "${group}" must apply to ${path}`);
+    }
+  }
+
+  return asyncHandler(async (req, res, next) => {
+    req.rateLimitIdentity = await identify(req);
+
+    const limiter = limiterFor(req.path);
+
+    limiter.middleware(req, res, next);
+  });
+};
+
+module.exports = { createRateLimiter, DEFAULT_POLICIES };
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const AccessViolation = require('../models/AccessViolation');
+const { runWithContext, getContext } = require('../utils/requestContext');
+
+// Branch the client asked for: X-Branch-Id header, ?branchId= or body branchId
+const requestedBranch = (req) => {
+  const candidate = req.get('x-branch-id') || req.query.branchId || (req.body && req.body.branchId);
+  return typeof candidate === 'string' && mongoose.isValidObjectId(candidate) ? candidate : null;
+};
+
+// Branches a user may work in; null means every branch
+const allowedBranches = (user) => {
+  const access = user.branchAccess || {};
+  if (access.allBranches || (user.role === 'admin' && !user.branchId)) return null;
+
+  return [user.branchId, ...(access.branches || [])]
+    .filter(Boolean)
+    .map(id => id.toString());
+};
+
+// Resolve the active branch of an authenticated request and run the rest of
+// the request inside a context that scopes every branch-aware model to it
+const applyBranchScope = async (req, res, next) => {
+  const allowed = allowedBranches(req.user);
+  const requested = requestedBranch(req);
+
+  if (requested && allowed && !allowed.includes(requested)) {
+    await AccessViolation.create({
+      user: req.user._id,
+      homeBranch: req.user.branchId,
+      requestedBranch: requested,
+      method: req.method,
+      path: req.originalUrl,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this branch'
+    });
+  }
+
+  // Without an explicit choice users work in their home branch; users
+  // without any branch only see records that have none
+  const branchId = requested || (allowed ? allowed[0] || null : null);
+
+  req.branchId = branchId;
+  req.allowedBranches = allowed;
+
+  runWithContext({ ...getContext(), user: req.user, branchId, unscoped: !allowed && !requested }, next);
+};
+
+module.exports = { applyBranchScope, allowedBranches };
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Rejected attempts to reach data of a branch the user has no grant for
+const accessViolationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  homeBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  requestedBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  method: String,
+  path: String,
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+accessViolationSchema.index({ homeBranch: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AccessViolation', accessViolationSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { isValidPermission } = require('../utils/permissions');
+const { auditTrail } = require('../utils/auditTrail');
+
+const KEY_PREFIX = 'lms';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// API key of a service account. Only a hash of the key is stored; the
+// plain key is shown once when it is created.
+const apiKeySchema = new mongoose.Schema({
+  serviceAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceAccount',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Public part of the key, to tell keys apart in listings and logs
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.length > 0 && permissions.every(isValidPermission),
+      message: (props) => `Invalid permissions: ${props.value.join(', ') || 'none given'}`
+    }
+  },
+  branches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  }],
+  allBranches: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ serviceAccount: 1, createdAt: -1 });
+
+apiKeySchema.plugin(auditTrail, { ignore: ['lastUsedAt', 'lastUsedIp', 'usageCount'], redact: ['keyHash'] });
+
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= Date.now()) return 'expired';
+  return 'active';
+});
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+// Create a key document and the plain key to hand out
+apiKeySchema.statics.generate = function(fields) {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  return { apiKey: new this({ ...fields, prefix, keyHash: hashKey(key) }), key };
+};
+
+// Find the key document for a plain key, if any
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashKey(key) }).populate('serviceAccount');
+};
+
+// Record that the key was used, without loading it again
+apiKeySchema.methods.recordUsage = function(ipAddress) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress }, $inc: { usageCount: 1 } }
+  );
+};
+
+apiKeySchema.methods.revoke = function(reason, revokedBy) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    this.revokedBy = revokedBy;
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { softDelete } = require('../utils/softDelete');
+const { auditTrail } = require('../utils/auditTrail');
 
 const assignmentSchema = new mongoose.Schema({
   title: {
@@ -38,7 +41,8 @@ const assignmentSchema = new mongoose.Schema({
   attachments: [{
     title: String,
     url: String,
-    type: String
+    // Nested so Mongoose does not read the entry as a plain string
+    type: { type: String }
   }],
   assignedTo: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -52,4 +56,8 @@ const assignmentSchema = new mongoose.Schema({
   timestamps: true
 });
 
+assignmentSchema.plugin(branchScope);
+assignmentSchema.plugin(softDelete);
+assignmentSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Assignment', assignmentSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { auditTrail } = require('../utils/auditTrail');
 
 const attendanceSchema = new mongoose.Schema({
   student: {
@@ -43,6 +45,9 @@ const attendanceSchema = new mongoose.Schema({
   timestamps: true
 });
 
+attendanceSchema.plugin(branchScope);
+attendanceSchema.plugin(auditTrail);
+
 // Compound index to prevent duplicate attendance records
 attendanceSchema.index({ student: 1, date: 1, course: 1 }, { unique: true });
 
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { runUnscoped } = require('../utils/requestContext');
+
+// One entry per create/update/delete of an audited model. Entries form a
+// hash chain: each hash covers the entry and the previous entry's hash, so
+// editing or deleting a stored entry breaks verification from that point.
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    required: true,
+    // access: a request worth recording on its own, e.g. while impersonating
+    enum: ['create', 'update', 'delete', 'access']
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String,
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BiometricDevice'
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    // Admin acting as the user through an impersonation token
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  request: {
+    method: String,
+    path: String,
+    route: String,
+    ipAddress: String,
+    userAgent: String
+  },
+  reason: String,
+  // [{ path, before, after }] with sensitive values redacted
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  previousHash: {
+    type: String,
+    default: null
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  // Empty before/after values must survive the round trip to keep hashes stable
+  minimize: false
+});
+
+auditLogSchema.plugin(branchScope);
+
+auditLogSchema.index({ entityType: 1, entityId: 1, sequence: 1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.apiKey': 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.impersonator': 1, createdAt: -1 });
+auditLogSchema.index({ branchId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries are append-only
+const immutableError = () => new Error('Audit log entries cannot be modified');
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) throw immutableError();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], function() {
+  throw immutableError();
+});
+
+const idString = (value) => (value ? value.toString() : null);
+
+// Canonical JSON (sorted keys) so the hash does not depend on field order
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Keyed so the chain cannot be recomputed by someone with only database access
+const computeHash = (entry) => {
+  const actor = entry.actor || {};
+  const request = entry.request || {};
+
+  const payload = canonicalize({
+    sequence: entry.sequence,
+    action: entry.action,
+    entityType: entry.entityType,
+    entityId: idString(entry.entityId),
+    branchId: idString(entry.branchId),
+    actor: {
+      user: idString(actor.user),
+      role: actor.role || null,
+      device: idString(actor.device),
+      // Only hashed when present, so entries written before these existed verify
+      apiKey: idString(actor.apiKey) || undefined,
+      impersonator: idString(actor.impersonator) || undefined
+    },
+    request: {
+      method: request.method || null,
+      path: request.path || null,
+      route: request.route || null,
+      ipAddress: request.ipAddress || null,
+      userAgent: request.userAgent || null
+    },
+    reason: entry.reason || null,
+    changes: entry.changes || [],
+    createdAt: new Date(entry.createdAt).toISOString(),
+    previousHash: entry.previousHash || null
+  });
+
+  return crypto
+    .createHmac('sha256', process.env.AUDIT_SECRET || process.env.JWT_SECRET || '')
+    .update(payload)
+    .digest('hex');
+};
+
+// Appends are serialized within the process; the unique sequence index
+// catches concurrent writers in other processes, which retry on the new tail
+let appendQueue = Promise.resolve();
+const MAX_APPEND_ATTEMPTS = 5;
+
+auditLogSchema.statics.record = function(entry) {
+  const append = () => runUnscoped(async () => {
+    for (let attempt = 1; ; attempt++) {
+      const last = await this.findOne()
+        .sort({ sequence: -1 })
+        .select('sequence hash')
+        .setOptions({ skipBranchScope: true });
+
+      const chained = {
+        ...entry,
+        sequence: last ? last.sequence + 1 : 1,
+        previousHash: last ? last.hash : null,
+        createdAt: new Date()
+      };
+      chained.hash = computeHash(chained);
+
+      try {
+        return await this.create(chained);
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  });
+
+  const result = appendQueue.then(append);
+  appendQueue = result.catch(() => {});
+  return result;
+};
+
+// Walk the chain in order and report the first entry that does not match
+auditLogSchema.statics.verifyChain = async function() {
+  let previous = null;
+  let checked = 0;
+
+  const cursor = this.find()
+    .sort({ sequence: 1 })
+    .setOptions({ skipBranchScope: true })
+    .lean()
+    .cursor();
+
+  for await (const entry of cursor) {
+    const expectedSequence = previous ? previous.sequence + 1 : entry.sequence;
+    const problem =
+      entry.sequence !== expectedSequence ? 'Missing entries before this sequence' :
+      (entry.previousHash || null) !== (previous ? previous.hash : null) ? 'Previous hash does not match' :
+      computeHash(entry) !== entry.hash ? 'Entry contents do not match its hash' :
+      null;
+
+    if (problem) {
+      return { valid: false, checked, brokenAt: entry.sequence, problem };
+    }
+
+    previous = entry;
+    checked++;
+  }
+
+  return { valid: true, checked, lastSequence: previous ? previous.sequence : null };
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { branchScope } = require('../utils/branchScope');
+const { encrypt, decrypt } = require('../utils/secretBox');
+const { auditTrail } = require('../utils/auditTrail');
+
+const biometricDeviceSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  location: String,
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  // HMAC signing secret, encrypted at rest
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  secretRotatedAt: Date,
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  firmwareVersion: String,
+  lastSeenAt: Date,
+  lastIpAddress: String,
+  totalScans: {
+    type: Number,
+    default: 0
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+biometricDeviceSchema.plugin(branchScope);
+biometricDeviceSchema.plugin(auditTrail, { ignore: ['lastSeenAt', 'lastIpAddress', 'firmwareVersion', 'totalScans'] });
+
+// The secret is only handed out in plain text when issued, never with the device
+biometricDeviceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+// Generate a new signing secret, returning it in plain text once
+biometricDeviceSchema.methods.generateSecret = function() {
+  const secret = crypto.randomBytes(32).toString('hex');
+  this.secret = encrypt(secret);
+  this.secretRotatedAt = new Date();
+  return secret;
+};
+
+// Method to read back the plain signing secret
+biometricDeviceSchema.methods.getSecret = function() {
+  return decrypt(this.secret);
+};
+
+module.exports = mongoose.model('BiometricDevice', biometricDeviceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/auditTrail');
 
 const branchSchema = new mongoose.Schema({
   name: {
@@ -25,6 +26,44 @@ const branchSchema = new mongoose.Schema({
     ref: 'User' // Reference to admin user
   },
   establishedDate: Date,
+  securityPolicy: {
+    // Roles that must use two-factor authentication at this branch
+    twoFactorRequiredRoles: [{
+      type: String,
+      enum: ['admin', 'teacher', 'student', 'parent', 'accountant']
+    }]
+  },
+  // Identifiers generated for admitted students, see utils/identifierPattern.js
+  admissionSettings: {
+    // Short code used for {BRANCH}, e.g. "MC" (defaults to the name's initials)
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    studentIdPattern: {
+      type: String,
+      default: '{BRANCH}-{YYYY}-{SEQ:4}',
+      match: [/\{SEQ(:\d+)?\}/, 'Student ID pattern must contain {SEQ}']
+    },
+    rollNumberPattern: {
+      type: String,
+      default: '{SEQ:2}',
+      match: [/\{SEQ(:\d+)?\}/, 'Roll number pattern must contain {SEQ}']
+    },
+    // Employee IDs of teachers onboarded in the branch
+    employeeIdPattern: {
+      type: String,
+      default: '{BRANCH}-EMP-{SEQ:4}',
+      match: [/\{SEQ(:\d+)?\}/, 'Employee ID pattern must contain {SEQ}']
+    },
+    // Numbers of transfer certificates issued when students leave the branch
+    transferCertificatePattern: {
+      type: String,
+      default: '{BRANCH}-TC-{YYYY}-{SEQ:4}',
+      match: [/\{SEQ(:\d+)?\}/, 'Transfer certificate pattern must contain {SEQ}']
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -33,4 +72,13 @@ const branchSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Check whether a branch requires two-factor authentication for a role
+branchSchema.statics.requiresTwoFactor = async function(branchId, role) {
+  if (!branchId) return false;
+  const branch = await this.findById(branchId).select('securityPolicy');
+  return !!branch && (branch.securityPolicy?.twoFactorRequiredRoles || []).includes(role);
+};
+
+branchSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Branch', branchSchema);
\ No newline at end of file
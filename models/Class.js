@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { auditTrail } = require('../utils/auditTrail');
 
 const classSchema = new mongoose.Schema({
   name: {
@@ -38,9 +40,17 @@ const classSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Class of the previous academic year this one was rolled over from
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
   }
 }, {
   timestamps: true
 });
 
+classSchema.plugin(branchScope);
+classSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Class', classSchema);
\ No newline at end of file
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { softDelete } = require('../utils/softDelete');
+const { auditTrail } = require('../utils/auditTrail');
 
 const courseSchema = new mongoose.Schema({
   title: {
@@ -72,6 +75,17 @@ const courseSchema = new mongoose.Schema({
   },
   startDate: Date,
   endDate: Date,
+  // Year the course runs in, e.g. "2025-2026"; courses created before the
+  // year-end rollover have none
+  academicYear: {
+    type: String,
+    trim: true
+  },
+  // Course of the previous academic year this one was rolled over from
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -80,4 +94,8 @@ const courseSchema = new mongoose.Schema({
   timestamps: true
 });
 
+courseSchema.plugin(branchScope);
+courseSchema.plugin(softDelete);
+courseSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Course', courseSchema);
\ No newline at end of file
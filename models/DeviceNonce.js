@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Nonces of accepted signed device requests, kept for the length of the
+// timestamp window so a captured request cannot be replayed
+const deviceNonceSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BiometricDevice',
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+deviceNonceSchema.index({ device: 1, nonce: 1 }, { unique: true });
+deviceNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DeviceNonce', deviceNonceSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { softDelete } = require('../utils/softDelete');
+const { auditTrail } = require('../utils/auditTrail');
 
 const expenseSchema = new mongoose.Schema({
   expenseType: {
@@ -21,7 +24,7 @@ const expenseSchema = new mongoose.Schema({
     required: true
   },
   description: String,
-  receipt: String, // URL to receipt image
+  receipt: String, // Uploaded receipt (/api/files/<id>) or its URL
   paidBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -37,4 +40,8 @@ const expenseSchema = new mongoose.Schema({
   timestamps: true
 });
 
+expenseSchema.plugin(branchScope);
+expenseSchema.plugin(softDelete);
+expenseSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Expense', expenseSchema);
\ No newline at end of file
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { softDelete } = require('../utils/softDelete');
+const { auditTrail } = require('../utils/auditTrail');
 
 const feeSchema = new mongoose.Schema({
   student: {
@@ -45,4 +48,8 @@ const feeSchema = new mongoose.Schema({
   timestamps: true
 });
 
+feeSchema.plugin(branchScope);
+feeSchema.plugin(softDelete);
+feeSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Fee', feeSchema);
\ No newline at end of file
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { softDelete } = require('../utils/softDelete');
+const { auditTrail } = require('../utils/auditTrail');
 
 const gradeSchema = new mongoose.Schema({
   student: {
@@ -50,4 +53,8 @@ const gradeSchema = new mongoose.Schema({
   timestamps: true
 });
 
+gradeSchema.plugin(branchScope);
+gradeSchema.plugin(softDelete);
+gradeSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Grade', gradeSchema);
\ No newline at end of file
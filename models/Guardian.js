@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { auditTrail } = require('../utils/auditTrail');
+
+const RELATIONSHIPS = ['mother', 'father', 'grandparent', 'sibling', 'relative', 'legal_guardian', 'other'];
+
+// Link between a student and a parent or other guardian user. A student can
+// have any number of guardians, each with their own responsibilities and
+// restrictions.
+const guardianSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  relationship: {
+    type: String,
+    required: [true, 'Relationship is required'],
+    enum: RELATIONSHIPS
+  },
+  // The first person the school contacts; at most one per student
+  isPrimaryContact: {
+    type: Boolean,
+    default: false
+  },
+  // Pays the student's fees and may see them
+  financiallyResponsible: {
+    type: Boolean,
+    default: false
+  },
+  canPickUp: {
+    type: Boolean,
+    default: true
+  },
+  // Custody and contact restrictions, e.g. from a court order
+  restrictions: {
+    noContact: {
+      type: Boolean,
+      default: false
+    },
+    noRecordsAccess: {
+      type: Boolean,
+      default: false
+    },
+    courtOrderReference: String,
+    notes: String
+  },
+  linkedVia: {
+    type: String,
+    enum: ['admin', 'code', 'migration'],
+    default: 'admin'
+  },
+  linkedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+guardianSchema.index({ student: 1, user: 1 }, { unique: true });
+guardianSchema.index({ user: 1 });
+
+guardianSchema.plugin(branchScope);
+guardianSchema.plugin(auditTrail);
+
+guardianSchema.statics.RELATIONSHIPS = RELATIONSHIPS;
+
+// Keep a single primary contact per student
+guardianSchema.post('save', async function() {
+  if (this.isPrimaryContact) {
+    await this.constructor.updateMany(
+      { student: this.student, _id: { $ne: this._id }, isPrimaryContact: true },
+      { isPrimaryContact: false }
+    ).session(this.$session()).setOptions({ skipBranchScope: true });
+  }
+});
+
+// Students whose records a user may see as a guardian. With `financial`,
+// only students the user is financially responsible for. Guardian links
+// follow the user across branches; the records themselves stay scoped.
+guardianSchema.statics.studentIdsFor = function(userId, { financial = false } = {}) {
+  const query = { user: userId, 'restrictions.noRecordsAccess': { $ne: true } };
+  if (financial) query.financiallyResponsible = true;
+
+  return this.distinct('student', query).setOptions({ skipBranchScope: true });
+};
+
+// Whether a user may see a student's records as a guardian
+guardianSchema.statics.isGuardianOf = async function(userId, studentId, { financial = false } = {}) {
+  const query = {
+    user: userId,
+    student: studentId,
+    'restrictions.noRecordsAccess': { $ne: true }
+  };
+  if (financial) query.financiallyResponsible = true;
+
+  return !!(await this.exists(query).setOptions({ skipBranchScope: true }));
+};
+
+module.exports = mongoose.model('Guardian', guardianSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { branchScope } = require('../utils/branchScope');
+const { auditTrail } = require('../utils/auditTrail');
+const Guardian = require('./Guardian');
+
+// Letters and digits that cannot be mistaken for each other on paper
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+// Codes are matched without dashes, spaces or case
+const normalizeCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+// One-time code the school hands to a parent so they can link themselves to
+// a student. Only a hash is stored; the code is shown once when issued.
+const guardianLinkCodeSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Terms of the guardianship created when the code is redeemed
+  relationship: {
+    type: String,
+    enum: Guardian.RELATIONSHIPS
+  },
+  isPrimaryContact: {
+    type: Boolean,
+    default: false
+  },
+  financiallyResponsible: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+guardianLinkCodeSchema.plugin(branchScope);
+guardianLinkCodeSchema.plugin(auditTrail, { redact: ['codeHash'] });
+
+guardianLinkCodeSchema.virtual('status').get(function() {
+  if (this.usedAt) return 'used';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < Date.now()) return 'expired';
+  return 'active';
+});
+
+guardianLinkCodeSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.codeHash;
+    return ret;
+  }
+});
+
+// Create a code document, returning it with the plain code (e.g. "ABCDE-FGHJK")
+guardianLinkCodeSchema.statics.generate = function(fields) {
+  const chars = Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  const code = `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+
+  return { linkCode: new this({ ...fields, codeHash: hashCode(code) }), code };
+};
+
+// Mark a usable code as used by `userId`, returning it, or null when the
+// code is unknown, used, revoked or expired
+guardianLinkCodeSchema.statics.redeem = function(code, userId) {
+  return this.findOneAndUpdate(
+    { codeHash: hashCode(code), usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date(), usedBy: userId },
+    { new: true }
+  ).setOptions({ skipBranchScope: true });
+};
+
+module.exports = mongoose.model('GuardianLinkCode', guardianLinkCodeSchema);
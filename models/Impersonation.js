@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { auditTrail } = require('../utils/auditTrail');
+
+// An admin acting as another user through a short-lived token. Every
+// request made with the token is written to the audit log.
+const impersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason for impersonating is required'],
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: String,
+  userAgent: String,
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  lastRequestAt: Date
+}, {
+  timestamps: true
+});
+
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+impersonationSchema.index({ user: 1, createdAt: -1 });
+
+impersonationSchema.plugin(branchScope);
+impersonationSchema.plugin(auditTrail, { ignore: ['requestCount', 'lastRequestAt'] });
+
+impersonationSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > Date.now();
+});
+
+impersonationSchema.set('toJSON', { virtuals: true });
+
+// Count a request made with the impersonation token
+impersonationSchema.methods.recordRequest = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastRequestAt: new Date() }, $inc: { requestCount: 1 } }
+  ).setOptions({ skipBranchScope: true });
+};
+
+impersonationSchema.methods.end = function(endedBy) {
+  if (!this.endedAt) {
+    this.endedAt = new Date();
+    this.endedBy = endedBy;
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+
+const IMPORT_TYPES = ['users', 'students', 'teachers'];
+
+// A bulk import of a CSV/XLSX file. A dry run validates every row and
+// reports errors without saving; committing the job imports the valid rows.
+const importJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: IMPORT_TYPES
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'validating', 'validated', 'importing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  fileName: String,
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  // Where the uploaded file is kept, so the job can be committed and its
+  // error file built later
+  filePath: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // File column name -> field name, for columns not named after a field
+  mapping: {
+    type: Map,
+    of: String
+  },
+  ignoredColumns: [String],
+  sendInvites: {
+    type: Boolean,
+    default: true
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  summary: {
+    valid: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 }
+  },
+  rowErrors: [{
+    _id: false,
+    line: Number,
+    field: String,
+    message: String
+  }],
+  failureReason: String,
+  validatedAt: Date,
+  committedAt: Date,
+  finishedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+importJobSchema.plugin(branchScope);
+
+importJobSchema.statics.TYPES = IMPORT_TYPES;
+
+importJobSchema.virtual('isRunning').get(function() {
+  return ['queued', 'validating', 'importing'].includes(this.status);
+});
+
+importJobSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.filePath;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
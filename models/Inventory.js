@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { softDelete } = require('../utils/softDelete');
+const { auditTrail } = require('../utils/auditTrail');
 
 const inventorySchema = new mongoose.Schema({
   name: {
@@ -60,4 +63,8 @@ const inventorySchema = new mongoose.Schema({
   timestamps: true
 });
 
+inventorySchema.plugin(branchScope);
+inventorySchema.plugin(softDelete);
+inventorySchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Inventory', inventorySchema);
\ No newline at end of file
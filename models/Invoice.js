@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { auditTrail } = require('../utils/auditTrail');
 
 const invoiceSchema = new mongoose.Schema({
   student: {
@@ -58,4 +60,7 @@ const invoiceSchema = new mongoose.Schema({
   timestamps: true
 });
 
+invoiceSchema.plugin(branchScope);
+invoiceSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Invoice', invoiceSchema);
\ No newline at end of file
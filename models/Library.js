@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { softDelete } = require('../utils/softDelete');
+const { auditTrail } = require('../utils/auditTrail');
 
 const librarySchema = new mongoose.Schema({
   bookId: {
@@ -51,4 +54,8 @@ const librarySchema = new mongoose.Schema({
   timestamps: true
 });
 
+librarySchema.plugin(branchScope);
+librarySchema.plugin(softDelete);
+librarySchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Library', librarySchema);
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Unknown email addresses are recorded too
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  ipAddress: String,
+  userAgent: String,
+  outcome: {
+    type: String,
+    required: true,
+    enum: [
+      'success',
+      'invalid_password',
+      'unknown_user',
+      'locked',
+      'deactivated',
+      'two_factor_required',
+      'two_factor_failed',
+      'sso_rejected'
+    ]
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ branchId: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Outcomes that count as a failed attempt
+loginAttemptSchema.statics.FAILURE_OUTCOMES = [
+  'invalid_password',
+  'unknown_user',
+  'locked',
+  'two_factor_failed'
+];
+
+// Record a login attempt for the current request
+loginAttemptSchema.statics.record = function(req, { user, email, outcome }) {
+  return this.create({
+    user: user ? user._id : null,
+    email: user ? user.email : email,
+    branchId: user ? user.branchId : undefined,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    outcome
+  });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
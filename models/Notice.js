@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+
+// A notification sent through the socket server, kept so users who were
+// offline can read it later. `room` is the socket room it was sent to (see
+// rooms in utils/socket.js), so it reaches the same people.
+const noticeSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Notice title is required'],
+    trim: true
+  },
+  message: String,
+  type: {
+    type: String,
+    default: 'info'
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  readBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+noticeSchema.index({ room: 1, createdAt: -1 });
+
+noticeSchema.plugin(branchScope);
+
+module.exports = mongoose.model('Notice', noticeSchema);
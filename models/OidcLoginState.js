@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One in-flight OIDC login: created when the user is sent to the provider,
+// completed on callback, then redeemed once for tokens by the client
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SsoProvider',
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  returnTo: String,
+  // Set once the provider has authenticated the user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // SHA-256 hash of the one-time code handed to the client
+  loginCodeHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  usedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up abandoned logins
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
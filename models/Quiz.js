@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { softDelete } = require('../utils/softDelete');
+const { auditTrail } = require('../utils/auditTrail');
 
 const quizSchema = new mongoose.Schema({
   title: {
@@ -58,4 +61,8 @@ const quizSchema = new mongoose.Schema({
   timestamps: true
 });
 
+quizSchema.plugin(branchScope);
+quizSchema.plugin(softDelete);
+quizSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Quiz', quizSchema);
\ No newline at end of file
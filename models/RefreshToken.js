@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens issued within one login session form a family; reusing a
+  // rotated token revokes the whole session
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    index: true
+  },
+  ipAddress: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  replacedBy: String, // jti of the token issued on rotation
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Revoke every still-active token of a session
+refreshTokenSchema.statics.revokeForSession = function(sessionId, reason) {
+  return this.updateMany(
+    { session: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
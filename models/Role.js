@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { isValidPermission } = require('../utils/permissions');
+const { auditTrail } = require('../utils/auditTrail');
+
+// A named set of permissions. System roles mirror the built-in User.role
+// values; custom roles (e.g. "librarian") are assigned to users on top of
+// their built-in role.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain letters, numbers, dashes and underscores']
+  },
+  displayName: {
+    type: String,
+    trim: true
+  },
+  description: String,
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.every(isValidPermission),
+      message: (props) => `Unknown permission in: ${props.value.join(', ')}`
+    }
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Default permissions already given to a system role, so that seeding
+  // adds new defaults without restoring the ones an admin took away
+  seededPermissions: {
+    type: [String],
+    default: undefined
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Role', roleSchema);
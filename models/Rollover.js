@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+
+// The year-end rollover of a branch: next year's classes, sections and
+// courses are cloned, then students are promoted, retained, graduated or
+// marked as left section by section. A failed or interrupted rollover can be
+// run again and carries on with the students not moved yet.
+const rolloverSchema = new mongoose.Schema({
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  fromYear: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  toYear: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  // Class promoted into (a class of fromYear) or "graduate", by class ID,
+  // for classes whose next class cannot be told from the grades
+  classMap: {
+    type: Map,
+    of: String
+  },
+  // Students not simply promoted
+  overrides: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student'
+    },
+    action: {
+      type: String,
+      enum: ['promote', 'retain', 'graduate', 'leave']
+    },
+    section: String // section name to move into
+  }],
+  summary: {
+    promoted: { type: Number, default: 0 },
+    retained: { type: Number, default: 0 },
+    graduated: { type: Number, default: 0 },
+    left: { type: Number, default: 0 }
+  },
+  totalSections: {
+    type: Number,
+    default: 0
+  },
+  processedSections: {
+    type: Number,
+    default: 0
+  },
+  failureReason: String,
+  executedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: Date,
+  // Refreshed while the run is in progress; a running rollover whose
+  // heartbeat stopped was interrupted, e.g. by a restart
+  heartbeatAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// One rollover out of each academic year
+rolloverSchema.index({ branchId: 1, fromYear: 1 }, { unique: true });
+
+rolloverSchema.plugin(branchScope);
+
+module.exports = mongoose.model('Rollover', rolloverSchema);
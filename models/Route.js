@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { auditTrail } = require('../utils/auditTrail');
 
 const routeSchema = new mongoose.Schema({
   name: {
@@ -46,4 +48,7 @@ const routeSchema = new mongoose.Schema({
   timestamps: true
 });
 
+routeSchema.plugin(branchScope);
+routeSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Route', routeSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/auditTrail');
 
 const sectionSchema = new mongoose.Schema({
   name: {
@@ -33,4 +34,6 @@ const sectionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+sectionSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Section', sectionSchema);
\ No newline at end of file
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named counter behind generated identifiers such as student IDs
+const sequenceSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Increment a counter, creating it on first use, and return the new value.
+// Inside a transaction concurrent callers conflict on the counter and retry,
+// so values are never handed out twice.
+sequenceSchema.statics.next = async function(key, session) {
+  const sequence = await this.findOneAndUpdate(
+    { key },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return sequence.value;
+};
+
+module.exports = mongoose.model('Sequence', sequenceSchema);
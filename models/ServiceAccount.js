@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/auditTrail');
+
+// Non-human identity for integrations (ERP, SMS gateway, ...). It signs in
+// with API keys, each scoped to its own permissions and branches.
+const serviceAccountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Service account name is required'],
+    unique: true,
+    trim: true
+  },
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+serviceAccountSchema.plugin(auditTrail);
+
+// Stand-in for req.user on requests made with one of the account's keys
+serviceAccountSchema.methods.toRequestUser = function(apiKey) {
+  return {
+    _id: this._id,
+    id: this._id.toString(),
+    firstName: this.name,
+    lastName: '(service account)',
+    role: 'service',
+    roles: [],
+    isActive: this.isActive,
+    isServiceAccount: true,
+    permissions: apiKey.permissions,
+    branchId: apiKey.allBranches ? null : apiKey.branches[0] || null,
+    branchAccess: {
+      allBranches: apiKey.allBranches,
+      branches: apiKey.branches
+    }
+  };
+};
+
+module.exports = mongoose.model('ServiceAccount', serviceAccountSchema);
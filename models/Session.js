@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  device: {
+    type: String,
+    trim: true,
+    default: 'Unknown device'
+  },
+  ipAddress: String,
+  userAgent: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'user_revoked', 'admin_revoked', 'reuse_detected', 'deactivated', 'deleted', 'password_changed', 'password_reset']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt;
+});
+
+// Revoke this session and every refresh token issued within it
+sessionSchema.methods.revoke = async function(reason, revokedBy) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    this.revokedBy = revokedBy;
+    await this.save();
+  }
+  await RefreshToken.revokeForSession(this._id, reason);
+  return this;
+};
+
+// Revoke all active sessions of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, revokedBy, exceptId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptId) query._id = { $ne: exceptId };
+
+  const sessions = await this.find(query);
+  for (const session of sessions) {
+    await session.revoke(reason, revokedBy);
+  }
+  return sessions.length;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
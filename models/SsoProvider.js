@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { encrypt, decrypt } = require('../utils/secretBox');
+const { auditTrail } = require('../utils/auditTrail');
+
+const ssoProviderSchema = new mongoose.Schema({
+  // Used in login URLs: /api/auth/oidc/:slug/login
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Slug may only contain letters, numbers and dashes']
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true
+  },
+  issuer: {
+    type: String,
+    required: [true, 'Issuer URL is required'],
+    trim: true
+  },
+  clientId: {
+    type: String,
+    required: [true, 'Client ID is required'],
+    trim: true
+  },
+  // Encrypted at rest; empty for public clients relying on PKCE alone
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  tokenAuthMethod: {
+    type: String,
+    enum: ['client_secret_post', 'client_secret_basic', 'none'],
+    default: 'client_secret_post'
+  },
+  scopes: {
+    type: String,
+    default: 'openid email profile'
+  },
+  // Only accept these email domains (any domain when empty)
+  allowedDomains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Create unknown users on first login
+  jit: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    role: {
+      type: String,
+      enum: ['teacher', 'student', 'parent', 'accountant']
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Providers without a branch are shared by all branches
+ssoProviderSchema.plugin(branchScope, { includeUnassigned: true });
+ssoProviderSchema.plugin(auditTrail, { redact: ['clientSecret'] });
+
+ssoProviderSchema.pre('validate', function(next) {
+  if (this.jit && this.jit.enabled && (!this.jit.role || !this.branchId)) {
+    this.invalidate('jit.role', 'Provisioning users requires a role and a branch');
+  }
+  next();
+});
+
+ssoProviderSchema.methods.setClientSecret = function(secret) {
+  this.clientSecret = secret ? encrypt(secret) : undefined;
+};
+
+ssoProviderSchema.methods.getClientSecret = function() {
+  return this.clientSecret ? decrypt(this.clientSecret) : null;
+};
+
+// Whether an email address may sign in through this provider
+ssoProviderSchema.methods.allowsEmail = function(email) {
+  if (!this.allowedDomains || this.allowedDomains.length === 0) return true;
+
+  const domain = email.split('@').pop().toLowerCase();
+  return this.allowedDomains.includes(domain);
+};
+
+ssoProviderSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.clientSecret;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('SsoProvider', ssoProviderSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+
+// A file uploaded through utils/uploads.js, kept by one of the storage
+// drivers (see utils/storage.js). Records point at it with fileRef(), e.g.
+// "/api/files/<id>", which hands out a signed download link.
+const storedFileSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['profileImage', 'courseMaterial', 'expenseReceipt', 'assignmentAttachment']
+  },
+  driver: {
+    type: String,
+    required: true,
+    enum: ['local', 's3', 'cloudinary']
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: Number,
+  originalName: String,
+  // Smaller copy of an image, kept by the same driver
+  thumbnail: {
+    key: String,
+    contentType: String,
+    size: Number
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Files of users without a branch (e.g. admins' profile images) are seen
+// from every branch
+storedFileSchema.plugin(branchScope, { includeUnassigned: true });
+
+module.exports = mongoose.model('StoredFile', storedFileSchema);
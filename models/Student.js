@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { auditTrail } = require('../utils/auditTrail');
 
 const studentSchema = new mongoose.Schema({
   user: {
@@ -36,9 +38,11 @@ const studentSchema = new mongoose.Schema({
     type: String,
     enum: ['male', 'female', 'other']
   },
+  // Legacy single parent link, superseded by Guardian records
+  // (copied over by scripts/backfillGuardians.js)
   parent: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User' // Reference to parent user
+    ref: 'User'
   },
   emergencyContact: {
     name: String,
@@ -69,15 +73,87 @@ const studentSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Whether the student is still at the school; graduated and departed
+  // students are also inactive
+  enrollmentStatus: {
+    type: String,
+    enum: ['active', 'graduated', 'left'],
+    default: 'active'
+  },
+  exitDate: Date,
+  // One entry per finished academic year, written by the year-end rollover
   academicHistory: [{
-    class: String,
-    year: String,
-    grade: String
+    class: String, // class name
+    year: String, // academic year
+    grade: String, // final letter grade
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class'
+    },
+    section: String,
+    rollNumber: String,
+    percentage: Number,
+    outcome: {
+      type: String,
+      enum: ['promoted', 'retained', 'graduated', 'left']
+    },
+    courses: [{
+      _id: false,
+      course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+      },
+      title: String,
+      percentage: Number,
+      letterGrade: String
+    }],
+    recordedAt: Date
+  }],
+  // Moves between sections and branches, see utils/transfers.js
+  transferHistory: [{
+    date: Date,
+    from: {
+      branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch' },
+      class: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+      section: { type: mongoose.Schema.Types.ObjectId, ref: 'Section' },
+      rollNumber: String
+    },
+    to: {
+      branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch' },
+      class: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+      section: { type: mongoose.Schema.Types.ObjectId, ref: 'Section' },
+      rollNumber: String
+    },
+    reason: String,
+    droppedCourses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }],
+    enrolledCourses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }],
+    releasedTransport: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Transport' }],
+    movedFees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Fee' }],
+    // Issued by the branch the student left
+    certificateNumber: String,
+    certificateIssuedAt: Date,
+    transferredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }]
 }, {
   timestamps: true
 });
 
+// Roll numbers are unique within a section
+studentSchema.index({ section: 1, rollNumber: 1 }, { unique: true });
+
+// Parents and other guardians, see models/Guardian.js
+studentSchema.virtual('guardians', {
+  ref: 'Guardian',
+  localField: '_id',
+  foreignField: 'student'
+});
+
+studentSchema.plugin(branchScope);
+studentSchema.plugin(auditTrail);
+
 // Method to register biometric ID
 studentSchema.methods.registerBiometric = function(biometricId) {
   this.biometricId = biometricId;
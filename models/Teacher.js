@@ -1,10 +1,13 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { auditTrail } = require('../utils/auditTrail');
 
 const teacherSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: true,
+    unique: true
   },
   employeeId: {
     type: String,
@@ -38,9 +41,10 @@ const teacherSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Section'
     },
+    // Subject names as used by courses, e.g. "Mathematics"
     subjects: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Subject'
+      type: String,
+      trim: true
     }]
   }],
   isActive: {
@@ -51,4 +55,15 @@ const teacherSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Net salary follows from its parts
+teacherSchema.pre('validate', function(next) {
+  if (this.salary && this.salary.basic !== undefined) {
+    this.salary.net = this.salary.basic + (this.salary.allowances || 0) - (this.salary.deductions || 0);
+  }
+  next();
+});
+
+teacherSchema.plugin(branchScope);
+teacherSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Teacher', teacherSchema);
\ No newline at end of file
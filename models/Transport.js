@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { softDelete } = require('../utils/softDelete');
+const { auditTrail } = require('../utils/auditTrail');
 
 const transportSchema = new mongoose.Schema({
   routeId: {
@@ -33,4 +36,8 @@ const transportSchema = new mongoose.Schema({
   timestamps: true
 });
 
+transportSchema.plugin(branchScope);
+transportSchema.plugin(softDelete);
+transportSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Transport', transportSchema);
\ No newline at end of file
@@ -1,5 +1,10 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const totp = require("../utils/totp");
+const { branchScope } = require("../utils/branchScope");
+const { softDelete } = require("../utils/softDelete");
+const { auditTrail } = require("../utils/auditTrail");
 
 const userSchema = new mongoose.Schema(
   {
@@ -102,15 +107,100 @@ const userSchema = new mongoose.Schema(
           "Role must be either admin, teacher, student, parent, or accountant",
       },
     },
+    // Custom roles granting permissions on top of the built-in role
+    roles: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Role",
+      },
+    ],
     branchId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Branch",
       required: false, // Make it optional for registration
     },
+    // Grant to work in branches other than branchId (via X-Branch-Id)
+    branchAccess: {
+      allBranches: {
+        type: Boolean,
+        default: false,
+      },
+      branches: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Branch",
+        },
+      ],
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Whether the user has confirmed ownership of their email address
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpire: {
+      type: Date,
+      select: false,
+    },
+    // Self-registered accounts wait for an admin before they can log in
+    approvalStatus: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "approved",
+    },
+    approvalNote: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused one-time backup codes
+      backupCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step, to reject replayed codes
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Number of lockouts since the last successful login
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: Date,
     resetPasswordToken: {
       type: String,
       default: undefined,
@@ -125,6 +215,28 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Users without a branch (e.g. pending registrations) stay visible to all
+userSchema.plugin(branchScope, { includeUnassigned: true });
+userSchema.plugin(softDelete);
+userSchema.plugin(auditTrail, {
+  ignore: [
+    "failedLoginAttempts",
+    "lockCount",
+    "lockUntil",
+    "twoFactor.lastUsedStep",
+  ],
+});
+
+// Lockout kicks in after this many consecutive failures and doubles in
+// length with every further lockout, up to a day
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCK_MS = 15 * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+userSchema.virtual("isLocked").get(function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   // Only hash password if it's modified
@@ -139,4 +251,127 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to count a failed login, locking the account when the limit is hit
+userSchema.methods.registerFailedLogin = function () {
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (this.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    this.lockCount = (this.lockCount || 0) + 1;
+    this.lockUntil = new Date(
+      Date.now() +
+        Math.min(BASE_LOCK_MS * 2 ** (this.lockCount - 1), MAX_LOCK_MS)
+    );
+    this.failedLoginAttempts = 0;
+  }
+
+  return this.save({ validateBeforeSave: false });
+};
+
+// Method to clear lockout state after a successful login or an admin unlock
+userSchema.methods.resetLoginFailures = function () {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
+// Method to start TOTP enrollment, returning the secret and provisioning URI
+userSchema.methods.startTwoFactorEnrollment = function () {
+  const secret = totp.generateSecret();
+  this.twoFactor.pendingSecret = secret;
+
+  return {
+    secret,
+    otpauthUrl: totp.keyUri({
+      secret,
+      account: this.email,
+      issuer: process.env.TOTP_ISSUER || "School LMS",
+    }),
+  };
+};
+
+// Method to confirm TOTP enrollment, returning backup codes or null on a bad code
+userSchema.methods.confirmTwoFactorEnrollment = function (code) {
+  const step = totp.verifyCode(this.twoFactor.pendingSecret, code);
+  if (step === null) return null;
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+
+  return this.generateBackupCodes();
+};
+
+// Method to verify a TOTP code, rejecting codes that were already used
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  const step = totp.verifyCode(this.twoFactor.secret, code);
+  if (step === null || step <= (this.twoFactor.lastUsedStep || 0)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to generate a fresh set of backup codes, returning them in plain text
+userSchema.methods.generateBackupCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  this.twoFactor.backupCodes = codes.map((code) =>
+    crypto.createHash("sha256").update(code).digest("hex")
+  );
+
+  return codes;
+};
+
+// Method to check a one-time backup code, consuming it on success
+userSchema.methods.useBackupCode = function (code) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(String(code).trim().toLowerCase())
+    .digest("hex");
+  const codes = this.twoFactor.backupCodes || [];
+
+  if (!codes.includes(hash)) return false;
+
+  this.twoFactor.backupCodes = codes.filter((c) => c !== hash);
+  return true;
+};
+
+// Method to issue a password (re)set token, returning it in plain text
+userSchema.methods.generatePasswordResetToken = function (expiresInMs) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.resetPasswordToken = crypto
+    .createHash("sha256")
+    .update(token)
+    .digest("hex");
+  this.resetPasswordExpire = Date.now() + expiresInMs;
+
+  return token;
+};
+
+// Method to let the user work in a branch, returning whether anything changed
+userSchema.methods.grantBranchAccess = function (branchId) {
+  if (!this.branchId) {
+    this.branchId = branchId;
+    return true;
+  }
+
+  const branches = this.branchAccess.branches;
+  if (
+    this.branchId.equals(branchId) ||
+    branches.some((id) => id.equals(branchId))
+  ) {
+    return false;
+  }
+
+  branches.push(branchId);
+  return true;
+};
+
 module.exports = mongoose.model("User", userSchema);
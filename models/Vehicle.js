@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { branchScope } = require('../utils/branchScope');
+const { auditTrail } = require('../utils/auditTrail');
 
 const vehicleSchema = new mongoose.Schema({
   registrationNumber: {
@@ -38,4 +40,7 @@ const vehicleSchema = new mongoose.Schema({
   timestamps: true
 });
 
+vehicleSchema.plugin(branchScope);
+vehicleSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Vehicle', vehicleSchema);
\ No newline at end of file
@@ -5,7 +5,9 @@ const Course = require('../models/Course');
 const Student = require('../models/Student');
 const Teacher = require('../models/Teacher');
 const Grade = require('../models/Grade');
-const { protect, checkRole } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { emitToStudents } = require('../utils/socket');
+const { receiveUpload, storeUpload, fileRef, removeStoredFile, fileLinks } = require('../utils/uploads');
 
 const router = express.Router();
 
@@ -78,7 +80,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Create assignment
 // @route   POST /api/assignments
 // @access  Private/Teacher/Admin
-router.post('/', protect, checkRole('teacher', 'admin'), asyncHandler(async (req, res) => {
+router.post('/', protect, requirePermission('assignments.manage'), asyncHandler(async (req, res) => {
   const { title, description, course, assignedTo, dueDate, maxPoints, submissionType, objectives } = req.body;
 
   if (!title || !course || !dueDate || !maxPoints) {
@@ -134,20 +136,18 @@ router.post('/', protect, checkRole('teacher', 'admin'), asyncHandler(async (req
     maxPoints,
     submissionType,
     assignedTo: assignedTo || courseDoc.enrolledStudents, // Default to all enrolled students
-    objectives
+    objectives,
+    branchId: courseDoc.branchId
   });
 
   // Emit real-time notification
   const io = req.app.get('io');
   if (io) {
-    const studentIds = assignedTo || courseDoc.enrolledStudents;
-    studentIds.forEach(studentId => {
-      io.to(`user_${studentId}`).emit('assignment_created', {
-        assignmentId: assignment._id,
-        title: assignment.title,
-        dueDate: assignment.dueDate,
-        courseId: assignment.course
-      });
+    emitToStudents(io, assignment.assignedTo, 'assignment_created', {
+      assignmentId: assignment._id,
+      title: assignment.title,
+      dueDate: assignment.dueDate,
+      courseId: assignment.course
     });
   }
 
@@ -161,7 +161,7 @@ router.post('/', protect, checkRole('teacher', 'admin'), asyncHandler(async (req
 // @desc    Update assignment
 // @route   PUT /api/assignments/:id
 // @access  Private/Teacher/Admin
-router.put('/:id', protect, checkRole('teacher', 'admin'), asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('assignments.manage'), asyncHandler(async (req, res) => {
   const assignment = await Assignment.findById(req.params.id);
   if (!assignment) {
     return res.status(404).json({
@@ -199,7 +199,7 @@ router.put('/:id', protect, checkRole('teacher', 'admin'), asyncHandler(async (r
 // @desc    Delete assignment
 // @route   DELETE /api/assignments/:id
 // @access  Private/Teacher/Admin
-router.delete('/:id', protect, checkRole('teacher', 'admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('assignments.manage'), asyncHandler(async (req, res) => {
   const assignment = await Assignment.findById(req.params.id);
   if (!assignment) {
     return res.status(404).json({
@@ -228,7 +228,7 @@ router.delete('/:id', protect, checkRole('teacher', 'admin'), asyncHandler(async
     });
   }
 
-  await assignment.remove();
+  await assignment.softDelete(req.user._id);
 
   res.json({
     success: true,
@@ -236,10 +236,88 @@ router.delete('/:id', protect, checkRole('teacher', 'admin'), asyncHandler(async
   });
 }));
 
+// Teachers may only change the attachments of their own assignments
+const canManageAttachments = async (req, assignment) => {
+  if (req.user.role !== 'teacher') return true;
+  const teacher = await Teacher.findOne({ user: req.user.id });
+  return !!teacher && assignment.instructor.equals(teacher._id);
+};
+
+// @desc    Upload assignment attachment
+// @route   POST /api/assignments/:id/attachments
+// @access  Private/Teacher/Admin
+router.post('/:id/attachments', protect, requirePermission('assignments.manage'), receiveUpload('assignmentAttachment'), asyncHandler(async (req, res) => {
+  const assignment = await Assignment.findById(req.params.id);
+  if (!assignment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Assignment not found'
+    });
+  }
+
+  if (!(await canManageAttachments(req, assignment))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this assignment'
+    });
+  }
+
+  const file = await storeUpload('assignmentAttachment', req.file, {
+    uploadedBy: req.user._id,
+    branchId: assignment.branchId
+  });
+
+  assignment.attachments.push({
+    title: req.body.title || file.originalName,
+    url: fileRef(file),
+    type: file.contentType
+  });
+  await assignment.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Attachment uploaded successfully',
+    data: {
+      attachment: assignment.attachments[assignment.attachments.length - 1],
+      ...fileLinks(file, req)
+    }
+  });
+}));
+
+// @desc    Remove assignment attachment
+// @route   DELETE /api/assignments/:id/attachments/:attachmentId
+// @access  Private/Teacher/Admin
+router.delete('/:id/attachments/:attachmentId', protect, requirePermission('assignments.manage'), asyncHandler(async (req, res) => {
+  const assignment = await Assignment.findById(req.params.id);
+  const attachment = assignment && assignment.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+  }
+
+  if (!(await canManageAttachments(req, assignment))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this assignment'
+    });
+  }
+
+  attachment.deleteOne();
+  await assignment.save();
+  await removeStoredFile(attachment.url);
+
+  res.json({
+    success: true,
+    message: 'Attachment removed successfully'
+  });
+}));
+
 // @desc    Submit assignment
 // @route   POST /api/assignments/:id/submit
 // @access  Private/Student
-router.post('/:id/submit', protect, checkRole('student'), asyncHandler(async (req, res) => {
+router.post('/:id/submit', protect, requirePermission('assignments.submit'), asyncHandler(async (req, res) => {
   const { submission } = req.body;
 
   const assignment = await Assignment.findById(req.params.id)
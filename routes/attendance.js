@@ -4,14 +4,31 @@ const Attendance = require('../models/Attendance');
 const Course = require('../models/Course');
 const Student = require('../models/Student');
 const User = require('../models/User');
-const { protect, checkRole } = require('../middleware/auth');
+const Guardian = require('../models/Guardian');
+const { protect, requirePermission } = require('../middleware/auth');
+const { emitToStudents, emitToBranchRoles } = require('../utils/socket');
+const { wantsExport, sendExport, personName } = require('../utils/exporter');
 
 const router = express.Router();
 
+// Columns of an attendance export (?format=csv|xlsx|ndjson)
+const ATTENDANCE_EXPORT_COLUMNS = {
+  date: { header: 'Date' },
+  studentId: { header: 'Student ID', value: (record) => record.student && record.student.studentId },
+  rollNumber: { header: 'Roll number', value: (record) => record.student && record.student.rollNumber },
+  studentName: { header: 'Student', value: (record) => record.student && personName(record.student.user) },
+  course: { header: 'Course', value: (record) => record.course && record.course.title },
+  courseCode: { header: 'Course code', value: (record) => record.course && record.course.code },
+  status: { header: 'Status' },
+  method: { header: 'Method' },
+  markedBy: { header: 'Marked by', value: (record) => personName(record.markedBy) },
+  createdAt: { header: 'Recorded at' }
+};
+
 // @desc    Mark attendance
 // @route   POST /api/attendance/mark
 // @access  Private/Teacher/Admin
-router.post('/mark', protect, checkRole('admin', 'teacher'), asyncHandler(async (req, res) => {
+router.post('/mark', protect, requirePermission('attendance.mark'), asyncHandler(async (req, res) => {
   const { attendanceRecords } = req.body;
 
   if (!Array.isArray(attendanceRecords) || attendanceRecords.length === 0) {
@@ -73,7 +90,8 @@ router.post('/mark', protect, checkRole('admin', 'teacher'), asyncHandler(async
         date: new Date(date),
         status,
         method,
-        markedBy: req.user.id
+        markedBy: req.user.id,
+        branchId: courseDoc.branchId
       });
 
       results.push({
@@ -85,12 +103,14 @@ router.post('/mark', protect, checkRole('admin', 'teacher'), asyncHandler(async
       // Emit real-time notification
       const io = req.app.get('io');
       if (io) {
-        io.emit('attendance_updated', {
+        const payload = {
           studentId: student,
           courseId: course,
           date,
           status
-        });
+        };
+        emitToStudents(io, [student], 'attendance_updated', payload);
+        emitToBranchRoles(io, courseDoc.branchId, ['admin', 'teacher'], 'attendance_updated', payload);
       }
     } catch (error) {
       errors.push({
@@ -112,7 +132,7 @@ router.post('/mark', protect, checkRole('admin', 'teacher'), asyncHandler(async
   });
 }));
 
-// @desc    Get attendance records
+// @desc    Get attendance records, or export them all with ?format=csv|xlsx|ndjson
 // @route   GET /api/attendance
 // @access  Private
 router.get('/', protect, asyncHandler(async (req, res) => {
@@ -124,6 +144,15 @@ router.get('/', protect, asyncHandler(async (req, res) => {
   if (course) query.course = course;
   if (status) query.status = status;
 
+  // Students only see their own attendance and parents those of their children
+  if (req.user.role === 'student') {
+    const studentRecord = await Student.findOne({ user: req.user.id });
+    query.student = studentRecord ? studentRecord._id : null;
+  } else if (req.user.role === 'parent') {
+    const studentIds = await Guardian.studentIdsFor(req.user._id);
+    query.student = { $in: student ? studentIds.filter(id => id.toString() === student) : studentIds };
+  }
+
   // Date range filter
   if (startDate || endDate) {
     query.date = {};
@@ -131,6 +160,22 @@ router.get('/', protect, asyncHandler(async (req, res) => {
     if (endDate) query.date.$lte = new Date(endDate);
   }
 
+  if (wantsExport(req)) {
+    return sendExport(req, res, {
+      name: 'attendance',
+      query: Attendance.find(query)
+        .populate({
+          path: 'student',
+          select: 'studentId rollNumber user',
+          populate: { path: 'user', select: 'firstName lastName' }
+        })
+        .populate('course', 'title code')
+        .populate('markedBy', 'firstName lastName')
+        .sort({ date: -1, createdAt: -1 }),
+      columns: ATTENDANCE_EXPORT_COLUMNS
+    });
+  }
+
   const attendanceRecords = await Attendance.find(query)
     .populate('student', 'firstName lastName rollNumber studentId')
     .populate('course', 'title code')
@@ -173,7 +218,7 @@ router.get('/student/:studentId', protect, asyncHandler(async (req, res) => {
   // Only allow access if:
   // 1. User is admin
   // 2. User is the student themselves
-  // 3. User is the parent of the student
+  // 3. User is a guardian of the student
   // 4. User is a teacher teaching a course the student is enrolled in
   if (req.user.role !== 'admin') {
     if (req.user.role === 'student' && student.user.toString() !== req.user.id) {
@@ -183,7 +228,7 @@ router.get('/student/:studentId', protect, asyncHandler(async (req, res) => {
       });
     }
     
-    if (req.user.role === 'parent' && student.parent && student.parent.toString() !== req.user.id) {
+    if (req.user.role === 'parent' && !(await Guardian.isGuardianOf(req.user._id, student._id))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this student\'s attendance'
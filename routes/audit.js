@@ -0,0 +1,134 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const asyncHandler = require("express-async-handler");
+const AuditLog = require("../models/AuditLog");
+const { protect, requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// @desc    Search the audit log
+// @route   GET /api/audit
+// @access  Private (audit.view)
+router.get(
+  "/",
+  protect,
+  requirePermission("audit.view"),
+  asyncHandler(async (req, res) => {
+    const {
+      entityType,
+      entityId,
+      user,
+      apiKey,
+      impersonator,
+      branchId,
+      action,
+      from,
+      to,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    for (const [name, value] of Object.entries({
+      entityId,
+      user,
+      apiKey,
+      impersonator,
+      branchId,
+    })) {
+      if (value && !isObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name}`,
+        });
+      }
+    }
+
+    // Entries are branch scoped like the records they describe
+    let query = {};
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (user) query["actor.user"] = user;
+    if (apiKey) query["actor.apiKey"] = apiKey;
+    if (impersonator) query["actor.impersonator"] = impersonator;
+    if (branchId) query.branchId = branchId;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate("actor.user", "firstName lastName email role")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ sequence: -1 });
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Verify the audit log hash chain
+// @route   GET /api/audit/verify
+// @access  Private (audit.verify)
+router.get(
+  "/verify",
+  protect,
+  requirePermission("audit.verify"),
+  asyncHandler(async (req, res) => {
+    const result = await AuditLog.verifyChain();
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? "Audit log is intact"
+        : `Audit log has been tampered with at entry ${result.brokenAt}`,
+      data: result,
+    });
+  })
+);
+
+// @desc    Get the change history of one record
+// @route   GET /api/audit/:entityType/:entityId
+// @access  Private (audit.view)
+router.get(
+  "/:entityType/:entityId",
+  protect,
+  requirePermission("audit.view"),
+  asyncHandler(async (req, res) => {
+    const { entityType, entityId } = req.params;
+
+    if (!isObjectId(entityId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid entityId",
+      });
+    }
+
+    const entries = await AuditLog.find({ entityType, entityId })
+      .populate("actor.user", "firstName lastName email role")
+      .sort({ sequence: 1 });
+
+    res.json({
+      success: true,
+      data: entries,
+    });
+  })
+);
+
+module.exports = router;
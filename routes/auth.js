@@ -3,24 +3,155 @@ const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const asyncHandler = require("express-async-handler");
 const User = require("../models/User");
-const { protect } = require("../middleware/auth");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const Branch = require("../models/Branch");
+const LoginAttempt = require("../models/LoginAttempt");
+const Invitation = require("../models/Invitation");
+const {
+  protect,
+  denyImpersonation,
+  getUserPermissions,
+} = require("../middleware/auth");
+const SsoProvider = require("../models/SsoProvider");
+const OidcLoginState = require("../models/OidcLoginState");
+const { allowedBranches } = require("../middleware/tenancy");
+const { sendTemplate, clientUrl } = require("../utils/mailer");
+const oidc = require("../utils/oidc");
+const {
+  issueTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+  verifyInvitationToken,
+} = require("../utils/authTokens");
 
-const router = express.Router();
+// Hash an emailed token for storage and lookup
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Generate a verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  user.emailVerificationToken = hashToken(verificationToken);
+  user.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+  await user.save({ validateBeforeSave: false });
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+  return sendTemplate("emailVerification", user.email, {
+    firstName: user.firstName,
+    verifyUrl: clientUrl(`/verify-email/${verificationToken}`),
   });
 };
 
-// Generate refresh token
-const generateRefreshToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE,
+// Notify the user that their password was changed
+const sendPasswordChangedEmail = (user, req) =>
+  sendTemplate("passwordChanged", user.email, {
+    firstName: user.firstName,
+    changedAt: new Date(),
+    ipAddress: req.ip,
+  });
+
+// Roles that may request an account without an invitation
+const SELF_REGISTRATION_ROLES = ["parent", "student"];
+
+const router = express.Router();
+
+// Hidden two-factor fields needed to verify a second step
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+
+// Issue tokens and send the standard login payload
+const sendLoginResponse = async (user, req, res, extraData = {}) => {
+  if (user.failedLoginAttempts || user.lockCount || user.lockUntil) {
+    user.resetLoginFailures();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  await LoginAttempt.record(req, { user, outcome: "success" });
+
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    data: {
+      token,
+      refreshToken,
+      user: {
+        _id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        branchId: user.branchId,
+        profilePicture: user.profilePicture,
+        verified: user.verified,
+      },
+      ...extraData,
+    },
   });
 };
 
+// Finish a login once the user has proven who they are (password or single
+// sign-on): account checks, then a second factor or tokens
+const completeLogin = async (user, req, res) => {
+  if (user.approvalStatus !== "approved") {
+    await LoginAttempt.record(req, { user, outcome: "deactivated" });
+
+    return res.status(401).json({
+      success: false,
+      message:
+        user.approvalStatus === "pending"
+          ? "Account is pending approval"
+          : "Registration was not approved",
+    });
+  }
+
+  if (!user.isActive) {
+    await LoginAttempt.record(req, { user, outcome: "deactivated" });
+
+    return res.status(401).json({
+      success: false,
+      message: "Account is deactivated",
+    });
+  }
+
+  // Identity is confirmed but a second factor is still needed
+  if (user.twoFactor?.enabled) {
+    await LoginAttempt.record(req, {
+      user,
+      outcome: "two_factor_required",
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication required",
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, "2fa"),
+      },
+    });
+  }
+
+  if (await Branch.requiresTwoFactor(user.branchId, user.role)) {
+    await LoginAttempt.record(req, {
+      user,
+      outcome: "two_factor_required",
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor enrollment required",
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user._id, "2fa_setup"),
+      },
+    });
+  }
+
+  await sendLoginResponse(user, req, res);
+};
+
 // @desc    Auth user & get token
 // @route   POST /api/auth/login
 // @access  Public
@@ -38,34 +169,31 @@ router.post(
     }
 
     // Check for user
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select("+password");
+
+    if (user && user.isLocked) {
+      await LoginAttempt.record(req, { user, outcome: "locked" });
+
+      return res.status(423).json({
+        success: false,
+        message: "Account is temporarily locked due to repeated failed logins",
+        lockUntil: user.lockUntil,
+      });
+    }
 
     if (user && (await user.comparePassword(password))) {
-      if (!user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: "Account is deactivated",
-        });
+      await completeLogin(user, req, res);
+    } else {
+      if (user) {
+        await user.registerFailedLogin();
       }
 
-      res.status(200).json({
-        success: true,
-        message: "Login successful",
-        data: {
-          token: generateToken(user._id),
-          refreshToken: generateRefreshToken(user._id),
-          user: {
-            _id: user._id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            role: user.role,
-            branchId: user.branchId,
-            profilePicture: user.profilePicture,
-          },
-        },
+      await LoginAttempt.record(req, {
+        user,
+        email,
+        outcome: user ? "invalid_password" : "unknown_user",
       });
-    } else {
+
       res.status(401).json({
         success: false,
         message: "Invalid credentials",
@@ -74,7 +202,407 @@ router.post(
   })
 );
 
-// @desc    Register user
+// @desc    Complete login with a TOTP or backup code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires login challenge token)
+router.post(
+  "/login/2fa",
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code, backupCode } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken, "2fa");
+
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired login challenge",
+      });
+    }
+
+    if (!code && !backupCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide an authentication code or backup code",
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired login challenge",
+      });
+    }
+
+    if (user.isLocked) {
+      await LoginAttempt.record(req, { user, outcome: "locked" });
+
+      return res.status(423).json({
+        success: false,
+        message: "Account is temporarily locked due to repeated failed logins",
+        lockUntil: user.lockUntil,
+      });
+    }
+
+    const verified = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useBackupCode(backupCode);
+
+    if (!verified) {
+      await user.registerFailedLogin();
+      await LoginAttempt.record(req, { user, outcome: "two_factor_failed" });
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    await sendLoginResponse(user, req, res, {
+      backupCodesRemaining: user.twoFactor.backupCodes.length,
+    });
+  })
+);
+
+// @desc    Start mandatory two-factor enrollment during login
+// @route   POST /api/auth/login/2fa/setup
+// @access  Public (requires login challenge token)
+router.post(
+  "/login/2fa/setup",
+  asyncHandler(async (req, res) => {
+    const decoded = verifyChallengeToken(req.body.challengeToken, "2fa_setup");
+    const user = decoded && (await User.findById(decoded.id));
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired login challenge",
+      });
+    }
+
+    const enrollment = user.startTwoFactorEnrollment();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Scan the QR code with your authenticator app",
+      data: enrollment,
+    });
+  })
+);
+
+// @desc    Confirm mandatory two-factor enrollment and complete login
+// @route   POST /api/auth/login/2fa/enable
+// @access  Public (requires login challenge token)
+router.post(
+  "/login/2fa/enable",
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken, "2fa_setup");
+    const user =
+      decoded && (await User.findById(decoded.id).select(TWO_FACTOR_FIELDS));
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired login challenge",
+      });
+    }
+
+    const backupCodes = user.confirmTwoFactorEnrollment(code);
+
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    await sendLoginResponse(user, req, res, { backupCodes });
+  })
+);
+
+// Lifetime of an OIDC login from redirect to callback, and of the one-time
+// code the client exchanges for tokens afterwards
+const OIDC_STATE_TTL = 10 * 60 * 1000;
+const OIDC_CODE_TTL = 2 * 60 * 1000;
+
+// Client page that receives ?code= (or ?error=) after single sign-on
+const SSO_CLIENT_PATH = process.env.SSO_CLIENT_PATH || "/auth/sso/callback";
+
+const oidcRedirectUri = (req, slug) =>
+  `${
+    process.env.API_URL || `${req.protocol}://${req.get("host")}`
+  }/api/auth/oidc/${slug}/callback`;
+
+// Only same-site paths, never "//host" or absolute URLs
+const safeReturnTo = (returnTo) =>
+  typeof returnTo === "string" && /^\/(?![/\\])/.test(returnTo)
+    ? returnTo
+    : undefined;
+
+const redirectToClient = (res, params) =>
+  res.redirect(
+    clientUrl(`${SSO_CLIENT_PATH}?${new URLSearchParams(params).toString()}`)
+  );
+
+// Name parts from standard OIDC claims, falling back to the email address
+const namesFromClaims = (claims, email) => {
+  const [first, ...rest] = (claims.name || "").trim().split(/\s+/);
+  return {
+    firstName: (claims.given_name || first || email.split("@")[0]).slice(0, 50),
+    lastName: (claims.family_name || rest.join(" ") || "-").slice(0, 50),
+  };
+};
+
+// Create an account on first single sign-on, in the provider's branch
+const provisionSsoUser = (provider, email, claims) =>
+  User.create({
+    email,
+    // Never used for SSO; the user can set one with a password reset
+    password: crypto.randomBytes(32).toString("hex"),
+    ...namesFromClaims(claims, email),
+    phone: claims.phone_number || "Not provided",
+    role: provider.jit.role,
+    branchId: provider.branchId,
+    verified: true,
+    approvalStatus: "approved",
+  });
+
+// @desc    Get single sign-on providers for the login page
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+router.get(
+  "/oidc/providers",
+  asyncHandler(async (req, res) => {
+    const { branchId } = req.query;
+
+    let query = { enabled: true };
+    if (branchId && branchId.match(/^[0-9a-fA-F]{24}$/)) {
+      query.branchId = { $in: [branchId, null] };
+    }
+
+    const providers = await SsoProvider.find(query)
+      .select("slug displayName branchId")
+      .sort({ displayName: 1 });
+
+    res.json({
+      success: true,
+      data: providers.map((provider) => ({
+        slug: provider.slug,
+        displayName: provider.displayName,
+        branchId: provider.branchId,
+        loginUrl: `/api/auth/oidc/${provider.slug}/login`,
+      })),
+    });
+  })
+);
+
+// @desc    Start single sign-on with an OIDC provider
+// @route   GET /api/auth/oidc/:slug/login
+// @access  Public
+router.get(
+  "/oidc/:slug/login",
+  asyncHandler(async (req, res) => {
+    const provider = await SsoProvider.findOne({
+      slug: req.params.slug,
+      enabled: true,
+    });
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Single sign-on provider not found",
+      });
+    }
+
+    const { state, nonce, codeVerifier, codeChallenge } =
+      oidc.createLoginSecrets();
+
+    let authorizationUrl;
+    try {
+      authorizationUrl = await oidc.buildAuthorizationUrl(provider, {
+        state,
+        nonce,
+        codeChallenge,
+        redirectUri: oidcRedirectUri(req, provider.slug),
+        loginHint: req.query.loginHint,
+      });
+    } catch (error) {
+      console.error(
+        `OIDC discovery failed for ${provider.slug}:`,
+        error.message
+      );
+      return res.status(502).json({
+        success: false,
+        message: "Single sign-on provider is unavailable",
+      });
+    }
+
+    await OidcLoginState.create({
+      state,
+      provider: provider._id,
+      nonce,
+      codeVerifier,
+      returnTo: safeReturnTo(req.query.returnTo),
+      expiresAt: new Date(Date.now() + OIDC_STATE_TTL),
+    });
+
+    res.redirect(authorizationUrl);
+  })
+);
+
+// @desc    Handle the OIDC provider's redirect back after sign-in
+// @route   GET /api/auth/oidc/:slug/callback
+// @access  Public (requires a pending login state)
+router.get(
+  "/oidc/:slug/callback",
+  asyncHandler(async (req, res) => {
+    const { code, state, error, error_description } = req.query;
+
+    // Each state is accepted once, whatever the outcome
+    const loginState =
+      typeof state === "string" &&
+      (await OidcLoginState.findOneAndUpdate(
+        { state, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() }
+      ).populate({ path: "provider", select: "+clientSecret" }));
+    const provider = loginState && loginState.provider;
+
+    if (!provider || provider.slug !== req.params.slug || !provider.enabled) {
+      return redirectToClient(res, { error: "Invalid or expired sign-in" });
+    }
+
+    if (error || !code) {
+      return redirectToClient(res, {
+        error: error_description || error || "Sign-in was cancelled",
+      });
+    }
+
+    let claims;
+    try {
+      const tokens = await oidc.exchangeCode(provider, {
+        code,
+        codeVerifier: loginState.codeVerifier,
+        redirectUri: oidcRedirectUri(req, provider.slug),
+      });
+      claims = await oidc.verifyIdToken(
+        provider,
+        tokens.id_token,
+        loginState.nonce
+      );
+      if (!claims.email && tokens.access_token) {
+        claims = {
+          ...(await oidc.fetchUserInfo(provider, tokens.access_token)),
+          ...claims,
+        };
+      }
+    } catch (err) {
+      console.error(`OIDC sign-in failed for ${provider.slug}:`, err.message);
+      return redirectToClient(res, { error: "Single sign-on failed" });
+    }
+
+    const email = claims.email && claims.email.toLowerCase();
+
+    // Only addresses the provider vouches for, a missing claim included
+    if (
+      !email ||
+      claims.email_verified !== true ||
+      !provider.allowsEmail(email)
+    ) {
+      await LoginAttempt.record(req, { email, outcome: "sso_rejected" });
+      return redirectToClient(res, {
+        error: "This account cannot sign in with single sign-on",
+      });
+    }
+
+    let user = await User.findOne({ email });
+
+    if (!user && provider.jit.enabled) {
+      try {
+        user = await provisionSsoUser(provider, email, claims);
+      } catch (err) {
+        console.error(`SSO provisioning failed for ${email}:`, err.message);
+        return redirectToClient(res, {
+          error: "Could not create your account",
+        });
+      }
+    }
+
+    if (!user) {
+      await LoginAttempt.record(req, { email, outcome: "unknown_user" });
+      return redirectToClient(res, {
+        error: "No account found for this email",
+      });
+    }
+
+    // Branch providers only sign in users who work in that branch, never
+    // admins or users of every branch whose accounts reach beyond it
+    const branches = allowedBranches(user);
+    if (
+      provider.branchId &&
+      (user.role === "admin" ||
+        !branches ||
+        !branches.includes(provider.branchId.toString()))
+    ) {
+      await LoginAttempt.record(req, { user, outcome: "sso_rejected" });
+      return redirectToClient(res, {
+        error: "This account cannot sign in with single sign-on",
+      });
+    }
+
+    const loginCode = crypto.randomBytes(32).toString("hex");
+
+    await OidcLoginState.updateOne(
+      { _id: loginState._id },
+      {
+        user: user._id,
+        loginCodeHash: hashToken(loginCode),
+        expiresAt: new Date(Date.now() + OIDC_CODE_TTL),
+      }
+    );
+
+    redirectToClient(res, {
+      code: loginCode,
+      ...(loginState.returnTo && { returnTo: loginState.returnTo }),
+    });
+  })
+);
+
+// @desc    Exchange a single sign-on code for tokens
+// @route   POST /api/auth/oidc/exchange
+// @access  Public (requires a one-time sign-in code)
+router.post(
+  "/oidc/exchange",
+  asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const loginState =
+      typeof code === "string" &&
+      (await OidcLoginState.findOneAndDelete({
+        loginCodeHash: hashToken(code),
+        expiresAt: { $gt: new Date() },
+      }));
+    const user = loginState && (await User.findById(loginState.user));
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired sign-in code",
+      });
+    }
+
+    await completeLogin(user, req, res);
+  })
+);
+
+// @desc    Request an account (pending admin approval)
 // @route   POST /api/auth/register
 // @access  Public
 router.post(
@@ -91,8 +619,20 @@ router.post(
       });
     }
 
-    // Check if user exists
-    const userExists = await User.findOne({ email });
+    // Staff accounts can only be created through an invitation
+    if (!SELF_REGISTRATION_ROLES.includes(role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Only ${SELF_REGISTRATION_ROLES.join(
+          " or "
+        )} accounts can be requested. Other roles require an invitation.`,
+      });
+    }
+
+    // Check if user exists; deleted users keep their email until purged
+    const userExists = await User.findOne({ email }).setOptions({
+      withDeleted: true,
+    });
 
     if (userExists) {
       return res.status(400).json({
@@ -109,6 +649,8 @@ router.post(
       lastName,
       phone,
       role,
+      isActive: false,
+      approvalStatus: "pending",
     };
 
     // Only add branchId if it's provided and valid
@@ -120,12 +662,13 @@ router.post(
     const user = await User.create(userData);
 
     if (user) {
+      await sendVerificationEmail(user);
+
       res.status(201).json({
         success: true,
-        message: "User registered successfully",
+        message:
+          "Registration submitted and is awaiting approval. Please check your email to verify your address.",
         data: {
-          token: generateToken(user._id),
-          refreshToken: generateRefreshToken(user._id),
           user: {
             _id: user._id,
             email: user.email,
@@ -133,6 +676,8 @@ router.post(
             lastName: user.lastName,
             role: user.role,
             branchId: user.branchId,
+            approvalStatus: user.approvalStatus,
+            verified: user.verified,
           },
         },
       });
@@ -145,6 +690,367 @@ router.post(
   })
 );
 
+// @desc    Get invitation details
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+router.get(
+  "/invitations/:token",
+  asyncHandler(async (req, res) => {
+    const decoded = verifyInvitationToken(req.params.token);
+    const invitation =
+      decoded &&
+      (await Invitation.findById(decoded.jti).populate("branchId", "name"));
+
+    if (!invitation || invitation.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        branch: invitation.branchId,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  })
+);
+
+// @desc    Register through an invitation
+// @route   POST /api/auth/register/invite
+// @access  Public (requires invitation token)
+router.post(
+  "/register/invite",
+  asyncHandler(async (req, res) => {
+    const { invitationToken, password, firstName, lastName, phone } = req.body;
+
+    if (!invitationToken || !password || !firstName || !lastName || !phone) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide all required fields",
+      });
+    }
+
+    const decoded = verifyInvitationToken(invitationToken);
+
+    // Claim the invitation atomically so it can only be used once
+    const invitation =
+      decoded &&
+      (await Invitation.findOneAndUpdate(
+        {
+          _id: decoded.jti,
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        { acceptedAt: new Date() },
+        { new: true }
+      ));
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      });
+    }
+
+    let user;
+    try {
+      if (
+        await User.findOne({ email: invitation.email }).setOptions({
+          withDeleted: true,
+        })
+      ) {
+        throw new Error("User already exists");
+      }
+
+      user = await User.create({
+        email: invitation.email,
+        password,
+        firstName,
+        lastName,
+        phone,
+        role: invitation.role,
+        branchId: invitation.branchId,
+        invitedBy: invitation.invitedBy,
+        // The invitation link was delivered to this address
+        verified: true,
+      });
+    } catch (error) {
+      // Release the invitation so it can be retried
+      invitation.acceptedAt = undefined;
+      await invitation.save();
+
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    if (await Branch.requiresTwoFactor(user.branchId, user.role)) {
+      return res.status(201).json({
+        success: true,
+        message: "User registered, two-factor enrollment required",
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: generateChallengeToken(user._id, "2fa_setup"),
+        },
+      });
+    }
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: "User registered successfully",
+      data: {
+        token,
+        refreshToken,
+        user: {
+          _id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          branchId: user.branchId,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Rotate refresh token & get new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post(
+  "/refresh",
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide refresh token",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    const storedToken = await RefreshToken.findOne({ jti: decoded.jti });
+    const session =
+      storedToken && (await Session.findById(storedToken.session));
+
+    if (
+      !storedToken ||
+      storedToken.revokedAt ||
+      !session ||
+      session.revokedAt
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has been revoked",
+      });
+    }
+
+    // Claim the token in one step so concurrent requests cannot both use
+    // it. A rotated token being presented again means it was stolen:
+    // revoke the whole session so neither party can keep using it
+    const claimedToken = await RefreshToken.findOneAndUpdate(
+      { jti: decoded.jti, usedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimedToken) {
+      await session.revoke("reuse_detected");
+
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token reuse detected, please log in again",
+      });
+    }
+
+    const user = await User.findById(storedToken.user);
+
+    if (!user || !user.isActive) {
+      await session.revoke("deactivated");
+
+      return res.status(401).json({
+        success: false,
+        message: "Account is deactivated",
+      });
+    }
+
+    const tokens = await issueTokens(user, req, session._id);
+
+    claimedToken.replacedBy = tokens.jti;
+    await claimedToken.save();
+
+    session.lastSeenAt = new Date();
+    session.ipAddress = req.ip;
+    await session.save();
+
+    res.json({
+      success: true,
+      message: "Token refreshed successfully",
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+      },
+    });
+  })
+);
+
+// @desc    Logout - revoke refresh tokens
+// @route   POST /api/auth/logout
+// @access  Private
+router.post(
+  "/logout",
+  protect,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    const { allDevices } = req.body;
+
+    if (allDevices) {
+      await Session.revokeAllForUser(req.user._id, "logout_all", req.user._id);
+    } else if (req.session) {
+      await req.session.revoke("logout", req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  })
+);
+
+// @desc    Get own login history
+// @route   GET /api/auth/login-history
+// @access  Private
+router.get(
+  "/login-history",
+  protect,
+  asyncHandler(async (req, res) => {
+    const { outcome, page = 1, limit = 20 } = req.query;
+
+    const query = { user: req.user._id };
+    if (outcome) query.outcome = outcome;
+
+    const attempts = await LoginAttempt.find(query)
+      .select("ipAddress userAgent outcome createdAt")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await LoginAttempt.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        attempts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Get own sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get(
+  "/sessions",
+  protect,
+  asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+    })
+      .select("device ipAddress userAgent lastSeenAt createdAt")
+      .sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        current: req.session ? session._id.equals(req.session._id) : false,
+      })),
+    });
+  })
+);
+
+// @desc    Revoke all own sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete(
+  "/sessions",
+  protect,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    const revoked = await Session.revokeAllForUser(
+      req.user._id,
+      "user_revoked",
+      req.user._id,
+      req.session && req.session._id
+    );
+
+    res.json({
+      success: true,
+      message: "Other sessions revoked successfully",
+      data: { revoked },
+    });
+  })
+);
+
+// @desc    Revoke one of own sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete(
+  "/sessions/:id",
+  protect,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await session.revoke("user_revoked", req.user._id);
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  })
+);
+
 // @desc    Get user profile
 // @route   GET /api/auth/profile
 // @access  Private
@@ -168,6 +1074,9 @@ router.get(
           role: user.role,
           branchId: user.branchId,
           isActive: user.isActive,
+          verified: user.verified,
+          // Lets the client show that an admin is acting as this user
+          impersonatedBy: req.user.impersonatedBy,
         },
       });
     } else {
@@ -179,6 +1088,49 @@ router.get(
   })
 );
 
+// @desc    Get own effective permissions
+// @route   GET /api/auth/permissions
+// @access  Private
+router.get(
+  "/permissions",
+  protect,
+  asyncHandler(async (req, res) => {
+    const permissions = await getUserPermissions(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        role: req.user.role,
+        roles: req.user.roles,
+        permissions: [...permissions].sort(),
+      },
+    });
+  })
+);
+
+// @desc    Get branches the user can switch to
+// @route   GET /api/auth/branches
+// @access  Private
+router.get(
+  "/branches",
+  protect,
+  asyncHandler(async (req, res) => {
+    const query = { isActive: true };
+    if (req.allowedBranches) query._id = { $in: req.allowedBranches };
+
+    const branches = await Branch.find(query).select("name").sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        activeBranch: req.branchId,
+        homeBranch: req.user.branchId,
+        branches,
+      },
+    });
+  })
+);
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -228,6 +1180,7 @@ router.put(
 router.put(
   "/change-password",
   protect,
+  denyImpersonation,
   asyncHandler(async (req, res) => {
     const { currentPassword, newPassword } = req.body;
 
@@ -244,6 +1197,16 @@ router.put(
       user.password = newPassword;
       await user.save();
 
+      // Sign out everywhere else in case the old password was known
+      await Session.revokeAllForUser(
+        user._id,
+        "password_changed",
+        user._id,
+        req.session && req.session._id
+      );
+
+      await sendPasswordChangedEmail(user, req);
+
       res.json({
         success: true,
         message: "Password changed successfully",
@@ -285,28 +1248,33 @@ router.post(
     const resetToken = crypto.randomBytes(32).toString("hex");
 
     // Hash token and set to resetPasswordToken field
-    user.resetPasswordToken = crypto
-      .createHash("sha256")
-      .update(resetToken)
-      .digest("hex");
+    user.resetPasswordToken = hashToken(resetToken);
 
     // Set token expiry to 1 hour
     user.resetPasswordExpire = Date.now() + 60 * 60 * 1000;
 
     await user.save({ validateBeforeSave: false });
 
-    // In a production environment, you would send an email here
-    // For now, we'll just return the token
-    const resetUrl = `${
-      process.env.CLIENT_URL || "http://localhost:3000"
-    }/reset-password/${resetToken}`;
+    const emailSent = await sendTemplate("passwordReset", user.email, {
+      firstName: user.firstName,
+      resetUrl: clientUrl(`/reset-password/${resetToken}`),
+      expiresInMinutes: 60,
+    });
+
+    if (!emailSent) {
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: "Password reset email could not be sent",
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: "Password reset email sent",
-      // In production, remove this - only for development
-      resetToken: resetToken,
-      resetUrl: resetUrl,
     });
   })
 );
@@ -327,10 +1295,7 @@ router.post(
     }
 
     // Hash the token from params
-    const resetPasswordToken = crypto
-      .createHash("sha256")
-      .update(req.params.token)
-      .digest("hex");
+    const resetPasswordToken = hashToken(req.params.token);
 
     // Find user by token and check if token is still valid
     const user = await User.findOne({
@@ -349,9 +1314,16 @@ router.post(
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    // Receiving the reset link proves ownership of the address
+    user.verified = true;
 
     await user.save();
 
+    // Whoever may have had the old password loses every session with it
+    await Session.revokeAllForUser(user._id, "password_reset");
+
+    await sendPasswordChangedEmail(user, req);
+
     res.status(200).json({
       success: true,
       message: "Password reset successful",
@@ -359,4 +1331,63 @@ router.post(
   })
 );
 
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+router.post(
+  "/verify-email/:token",
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    user.verified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  })
+);
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+router.post(
+  "/resend-verification",
+  asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email",
+      });
+    }
+
+    const user = await User.findOne({ email });
+
+    // Respond the same way whether or not the address is known
+    if (user && !user.verified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: "If the address needs verification, a new link has been sent",
+    });
+  })
+);
+
 module.exports = router;
@@ -3,23 +3,18 @@ const asyncHandler = require('express-async-handler');
 const Attendance = require('../models/Attendance');
 const Student = require('../models/Student');
 const User = require('../models/User');
-const { protect, checkRole } = require('../middleware/auth');
+const BiometricDevice = require('../models/BiometricDevice');
+const { protect, requirePermission } = require('../middleware/auth');
+const { authenticateDevice } = require('../middleware/deviceAuth');
+const { setAuditReason } = require('../utils/auditTrail');
+const { emitToStudents, emitToBranchRoles } = require('../utils/socket');
 
 const router = express.Router();
 
 // @desc    Sync attendance data from biometric device
 // @route   POST /api/biometric/sync-attendance
-// @access  Private (Biometric device authentication)
-router.post('/sync-attendance', asyncHandler(async (req, res) => {
-  // Verify biometric device authentication using a device token
-  const deviceToken = req.headers['x-device-token'];
-  if (!deviceToken || deviceToken !== process.env.BIOMETRIC_DEVICE_TOKEN) {
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Unauthorized device access' 
-    });
-  }
-
+// @access  Private (Signed biometric device request)
+router.post('/sync-attendance', authenticateDevice, asyncHandler(async (req, res) => {
   const { attendanceRecords } = req.body;
 
   if (!Array.isArray(attendanceRecords) || attendanceRecords.length === 0) {
@@ -54,7 +49,7 @@ router.post('/sync-attendance', asyncHandler(async (req, res) => {
           $gte: new Date(record.timestamp).setHours(0, 0, 0, 0), 
           $lt: new Date(record.timestamp).setHours(24, 0, 0, 0) 
         },
-        biometricData: { deviceId: record.deviceId }
+        biometricData: { deviceId: req.device.deviceId }
       });
 
       if (existingAttendance) {
@@ -75,8 +70,9 @@ router.post('/sync-attendance', asyncHandler(async (req, res) => {
         status: 'present', // Biometric data implies present
         method: 'biometric',
         markedBy: null, // Will be updated later if teacher confirms
+        branchId: student.branchId,
         biometricData: {
-          deviceId: record.deviceId,
+          deviceId: req.device.deviceId,
           timestamp: new Date(record.timestamp),
           fingerprintId: record.biometricId,
           confidence: record.confidence
@@ -95,13 +91,15 @@ router.post('/sync-attendance', asyncHandler(async (req, res) => {
       // Emit real-time notification
       const io = req.app.get('io');
       if (io) {
-        io.emit('attendance_sync', {
+        const payload = {
           studentId: student._id,
           studentName: `${student.user.firstName} ${student.user.lastName}`,
           date: new Date(record.timestamp),
           status: 'present',
           method: 'biometric'
-        });
+        };
+        emitToStudents(io, [student._id], 'attendance_sync', payload);
+        emitToBranchRoles(io, student.branchId, ['admin', 'teacher'], 'attendance_sync', payload);
       }
 
     } catch (error) {
@@ -112,6 +110,9 @@ router.post('/sync-attendance', asyncHandler(async (req, res) => {
     }
   }
 
+  req.device.totalScans += processedRecords.length;
+  await req.device.save();
+
   res.json({
     success: true,
     message: 'Attendance sync completed',
@@ -128,8 +129,8 @@ router.post('/sync-attendance', asyncHandler(async (req, res) => {
 // @desc    Manual attendance override for biometric errors
 // @route   POST /api/biometric/manual-override
 // @access  Private/Teacher/Admin
-router.post('/manual-override', protect, checkRole('admin', 'teacher'), asyncHandler(async (req, res) => {
-  const { studentId, date, status, courseId } = req.body;
+router.post('/manual-override', protect, requirePermission('biometric.override'), asyncHandler(async (req, res) => {
+  const { studentId, date, status, courseId, reason } = req.body;
 
   if (!studentId || !date || !status) {
     return res.status(400).json({
@@ -162,7 +163,8 @@ router.post('/manual-override', protect, checkRole('admin', 'teacher'), asyncHan
     });
   }
 
-  // Update the attendance status
+  // Update the attendance status; the audit log keeps the previous one
+  setAuditReason(reason || 'Manual override of biometric attendance');
   existingRecord.status = status;
   existingRecord.markedBy = req.user.id;
   existingRecord.updatedAt = new Date();
@@ -179,7 +181,7 @@ router.post('/manual-override', protect, checkRole('admin', 'teacher'), asyncHan
 // @desc    Register biometric ID for a student
 // @route   POST /api/biometric/register/:studentId
 // @access  Private/Admin
-router.post('/register/:studentId', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.post('/register/:studentId', protect, requirePermission('biometric.register'), asyncHandler(async (req, res) => {
   const { biometricId } = req.body;
   const { studentId } = req.params;
 
@@ -225,47 +227,34 @@ router.post('/register/:studentId', protect, checkRole('admin'), asyncHandler(as
   });
 }));
 
+// Devices that have not called in for this long are reported offline
+const DEVICE_OFFLINE_AFTER = 15 * 60 * 1000;
+
 // @desc    Get biometric device status
 // @route   GET /api/biometric/device-status
 // @access  Private/Admin
-router.get('/device-status', protect, checkRole('admin'), asyncHandler(async (req, res) => {
-  // In a real implementation, this would check actual device connectivity
-  // This is a stub that returns simulated device status
-  
+router.get('/device-status', protect, requirePermission('biometric.devices'), asyncHandler(async (req, res) => {
+  const registeredDevices = await BiometricDevice.find({ status: 'active' }).sort({ deviceId: 1 });
+
+  const devices = registeredDevices.map(device => ({
+    id: device.deviceId,
+    name: device.name,
+    location: device.location,
+    status: device.lastSeenAt && Date.now() - device.lastSeenAt < DEVICE_OFFLINE_AFTER ? 'online' : 'offline',
+    lastSync: device.lastSeenAt,
+    totalScans: device.totalScans,
+    firmwareVersion: device.firmwareVersion
+  }));
+
+  const onlineDevices = devices.filter(d => d.status === 'online').length;
+
   const deviceStatus = {
-    devices: [
-      {
-        id: 'device_001',
-        location: 'Main Entrance',
-        status: 'online',
-        lastSync: new Date(),
-        totalScans: 1245,
-        connectionType: 'wifi',
-        firmwareVersion: '2.1.5'
-      },
-      {
-        id: 'device_002',
-        location: 'Library',
-        status: 'online',
-        lastSync: new Date(Date.now() - 300000), // 5 minutes ago
-        totalScans: 234,
-        connectionType: 'wifi',
-        firmwareVersion: '2.1.5'
-      },
-      {
-        id: 'device_003',
-        location: 'Sports Complex',
-        status: 'offline',
-        lastSync: new Date(Date.now() - 7200000), // 2 hours ago
-        totalScans: 567,
-        connectionType: 'wifi',
-        firmwareVersion: '2.1.3'
-      }
-    ],
-    overallHealth: 'good',
-    totalDevices: 3,
-    onlineDevices: 2,
-    offlineDevices: 1,
+    devices,
+    overallHealth: devices.length === 0 || onlineDevices === devices.length ? 'good'
+      : onlineDevices === 0 ? 'critical' : 'degraded',
+    totalDevices: devices.length,
+    onlineDevices,
+    offlineDevices: devices.length - onlineDevices,
     lastUpdated: new Date()
   };
 
@@ -275,10 +264,125 @@ router.get('/device-status', protect, checkRole('admin'), asyncHandler(async (re
   });
 }));
 
+// @desc    Get registered biometric devices
+// @route   GET /api/biometric/devices
+// @access  Private/Admin
+router.get('/devices', protect, requirePermission('biometric.devices'), asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  let query = {};
+  if (status) query.status = status;
+
+  const devices = await BiometricDevice.find(query)
+    .populate('branchId', 'name')
+    .sort({ deviceId: 1 });
+
+  res.json({
+    success: true,
+    data: devices
+  });
+}));
+
+// @desc    Register a biometric device and issue its secret
+// @route   POST /api/biometric/devices
+// @access  Private/Admin
+router.post('/devices', protect, requirePermission('biometric.devices'), asyncHandler(async (req, res) => {
+  const { deviceId, name, location, branchId } = req.body;
+
+  if (!deviceId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Device ID is required'
+    });
+  }
+
+  const deviceExists = await BiometricDevice.findOne({ deviceId }).setOptions({ skipBranchScope: true });
+  if (deviceExists) {
+    return res.status(400).json({
+      success: false,
+      message: 'Device ID is already registered'
+    });
+  }
+
+  const device = new BiometricDevice({
+    deviceId,
+    name,
+    location,
+    branchId: branchId || req.branchId,
+    registeredBy: req.user._id
+  });
+  const secret = device.generateSecret();
+  await device.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Device registered successfully. Store the secret now, it will not be shown again.',
+    data: {
+      device,
+      secret
+    }
+  });
+}));
+
+// @desc    Rotate a biometric device's secret
+// @route   POST /api/biometric/devices/:id/rotate
+// @access  Private/Admin
+router.post('/devices/:id/rotate', protect, requirePermission('biometric.devices'), asyncHandler(async (req, res) => {
+  const device = await BiometricDevice.findById(req.params.id);
+
+  if (!device) {
+    return res.status(404).json({
+      success: false,
+      message: 'Device not found'
+    });
+  }
+
+  // Rotating also reactivates a revoked device
+  const secret = device.generateSecret();
+  device.status = 'active';
+  device.revokedAt = undefined;
+  device.revokedBy = undefined;
+  await device.save();
+
+  res.json({
+    success: true,
+    message: 'Device secret rotated successfully. Store the secret now, it will not be shown again.',
+    data: {
+      device,
+      secret
+    }
+  });
+}));
+
+// @desc    Revoke a biometric device's credentials
+// @route   POST /api/biometric/devices/:id/revoke
+// @access  Private/Admin
+router.post('/devices/:id/revoke', protect, requirePermission('biometric.devices'), asyncHandler(async (req, res) => {
+  const device = await BiometricDevice.findById(req.params.id);
+
+  if (!device) {
+    return res.status(404).json({
+      success: false,
+      message: 'Device not found'
+    });
+  }
+
+  device.status = 'revoked';
+  device.revokedAt = new Date();
+  device.revokedBy = req.user._id;
+  await device.save();
+
+  res.json({
+    success: true,
+    message: 'Device revoked successfully',
+    data: device
+  });
+}));
+
 // @desc    Get biometric attendance report
 // @route   GET /api/biometric/report
 // @access  Private/Admin/Teacher
-router.get('/report', protect, checkRole('admin', 'teacher'), asyncHandler(async (req, res) => {
+router.get('/report', protect, requirePermission('biometric.report'), asyncHandler(async (req, res) => {
   const { studentId, startDate, endDate, deviceId } = req.query;
 
   let query = { method: 'biometric' };
@@ -1,7 +1,7 @@
 const express = require("express");
 const asyncHandler = require("express-async-handler");
 const Branch = require("../models/Branch");
-const { protect, checkRole } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
 
 const router = express.Router();
 
@@ -57,7 +57,7 @@ router.get(
 router.post(
   "/",
   protect,
-  checkRole("admin"),
+  requirePermission("branches.manage"),
   asyncHandler(async (req, res) => {
     const { name, address, phone, email, principal, establishedDate } =
       req.body;
@@ -101,7 +101,7 @@ router.post(
 router.put(
   "/:id",
   protect,
-  checkRole("admin"),
+  requirePermission("branches.manage"),
   asyncHandler(async (req, res) => {
     const branch = await Branch.findById(req.params.id);
 
@@ -126,13 +126,108 @@ router.put(
   })
 );
 
+// @desc    Update branch security policy
+// @route   PUT /api/branches/:id/security-policy
+// @access  Private/Admin
+router.put(
+  "/:id/security-policy",
+  protect,
+  requirePermission("branches.manage"),
+  asyncHandler(async (req, res) => {
+    const { twoFactorRequiredRoles } = req.body;
+
+    if (!Array.isArray(twoFactorRequiredRoles)) {
+      return res.status(400).json({
+        success: false,
+        message: "twoFactorRequiredRoles must be an array of roles",
+      });
+    }
+
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: "Branch not found",
+      });
+    }
+
+    branch.securityPolicy = { twoFactorRequiredRoles };
+    await branch.save();
+
+    res.json({
+      success: true,
+      message: "Security policy updated successfully",
+      data: branch.securityPolicy,
+    });
+  })
+);
+
+// @desc    Update the patterns for admitted students' IDs and roll numbers
+// @route   PUT /api/branches/:id/admission-settings
+// @access  Private/Admin
+router.put(
+  "/:id/admission-settings",
+  protect,
+  requirePermission("branches.manage"),
+  asyncHandler(async (req, res) => {
+    const {
+      code,
+      studentIdPattern,
+      rollNumberPattern,
+      employeeIdPattern,
+      transferCertificatePattern,
+    } = req.body;
+
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: "Branch not found",
+      });
+    }
+
+    if (code !== undefined) branch.admissionSettings.code = code;
+    if (studentIdPattern !== undefined) {
+      branch.admissionSettings.studentIdPattern = studentIdPattern;
+    }
+    if (rollNumberPattern !== undefined) {
+      branch.admissionSettings.rollNumberPattern = rollNumberPattern;
+    }
+    if (employeeIdPattern !== undefined) {
+      branch.admissionSettings.employeeIdPattern = employeeIdPattern;
+    }
+    if (transferCertificatePattern !== undefined) {
+      branch.admissionSettings.transferCertificatePattern =
+        transferCertificatePattern;
+    }
+
+    const validationError = branch.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    await branch.save();
+
+    res.json({
+      success: true,
+      message: "Admission settings updated successfully",
+      data: branch.admissionSettings,
+    });
+  })
+);
+
 // @desc    Delete branch
 // @route   DELETE /api/branches/:id
 // @access  Private/Admin
 router.delete(
   "/:id",
   protect,
-  checkRole("admin"),
+  requirePermission("branches.manage"),
   asyncHandler(async (req, res) => {
     const branch = await Branch.findById(req.params.id);
 
@@ -3,6 +3,7 @@ const asyncHandler = require('express-async-handler');
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 const User = require('../models/User');
 const Student = require('../models/Student');
+const Guardian = require('../models/Guardian');
 const Fee = require('../models/Fee');
 const Attendance = require('../models/Attendance');
 const Grade = require('../models/Grade');
@@ -74,10 +75,12 @@ router.post('/chat', protect, asyncHandler(async (req, res) => {
       }
     } else if (user.role === 'parent') {
       // Get student information if parent
-      const students = await Student.find({ parent: userId });
+      const students = await Student.find({ _id: { $in: await Guardian.studentIdsFor(userId) } });
       if (students.length > 0) {
         const studentIds = students.map(s => s._id);
-        const studentFees = await Fee.find({ student: { $in: studentIds } });
+        const studentFees = await Fee.find({
+          student: { $in: await Guardian.studentIdsFor(userId, { financial: true }) }
+        });
         const studentAttendance = await Attendance.find({ 
           student: { $in: studentIds },
           date: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
@@ -4,7 +4,8 @@ const Course = require('../models/Course');
 const Class = require('../models/Class');
 const Teacher = require('../models/Teacher');
 const Student = require('../models/Student');
-const { protect, checkRole } = require('../middleware/auth');
+const { protect, requirePermission, hasPermission } = require('../middleware/auth');
+const { receiveUpload, storeUpload, fileRef, removeStoredFile, fileLinks } = require('../utils/uploads');
 
 const router = express.Router();
 
@@ -69,7 +70,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Create course
 // @route   POST /api/courses
 // @access  Private/Admin/Teacher
-router.post('/', protect, checkRole('admin', 'teacher'), asyncHandler(async (req, res) => {
+router.post('/', protect, requirePermission('courses.manage'), asyncHandler(async (req, res) => {
   const {
     title, code, description, type, subject, grade, branchId, instructor,
     duration, schedule, prerequisites, objectives, maxEnrollment, startDate, endDate
@@ -83,13 +84,16 @@ router.post('/', protect, checkRole('admin', 'teacher'), asyncHandler(async (req
     });
   }
 
-  // Check if course code already exists
-  const courseExists = await Course.findOne({ code });
+  // Course codes are unique across branches, and deleted courses keep theirs
+  const courseExists = await Course.findOne({ code })
+    .setOptions({ skipBranchScope: true, withDeleted: true });
 
   if (courseExists) {
     return res.status(400).json({
       success: false,
-      message: 'Course with this code already exists'
+      message: courseExists.deletedAt
+        ? 'A deleted course has this code, restore it from the trash instead'
+        : 'Course with this code already exists'
     });
   }
 
@@ -121,7 +125,7 @@ router.post('/', protect, checkRole('admin', 'teacher'), asyncHandler(async (req
 // @desc    Update course
 // @route   PUT /api/courses/:id
 // @access  Private/Admin/Teacher
-router.put('/:id', protect, checkRole('admin', 'teacher'), asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('courses.manage'), asyncHandler(async (req, res) => {
   const course = await Course.findById(req.params.id);
 
   if (!course) {
@@ -157,7 +161,7 @@ router.put('/:id', protect, checkRole('admin', 'teacher'), asyncHandler(async (r
 // @desc    Delete course
 // @route   DELETE /api/courses/:id
 // @access  Private/Admin
-router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('courses.delete'), asyncHandler(async (req, res) => {
   const course = await Course.findById(req.params.id);
 
   if (!course) {
@@ -167,7 +171,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
     });
   }
 
-  await course.remove();
+  await course.softDelete(req.user._id);
 
   res.json({
     success: true,
@@ -178,7 +182,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
 // @desc    Enroll students in course
 // @route   POST /api/courses/:id/enroll
 // @access  Private/Admin/Teacher
-router.post('/:id/enroll', protect, checkRole('admin', 'teacher'), asyncHandler(async (req, res) => {
+router.post('/:id/enroll', protect, requirePermission('courses.enroll'), asyncHandler(async (req, res) => {
   const { students } = req.body;
 
   if (!Array.isArray(students) || students.length === 0) {
@@ -266,4 +270,95 @@ router.get('/:id/students', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+// Kind of course material a stored file is listed as
+const materialType = (contentType) => {
+  if (contentType.startsWith('video/')) return 'video';
+  if (contentType === 'application/pdf') return 'pdf';
+  return 'other';
+};
+
+// Instructors change the materials of their own courses; anyone else needs
+// courses.manageAll
+const canManageMaterials = async (req, course) => {
+  if (await hasPermission(req, 'courses.manageAll')) return true;
+  const teacher = await Teacher.findOne({ user: req.user.id });
+  return !!teacher && course.instructor.equals(teacher._id);
+};
+
+// @desc    Upload course material
+// @route   POST /api/courses/:id/materials
+// @access  Private/Admin/Teacher
+router.post('/:id/materials', protect, requirePermission('courses.manage'), receiveUpload('courseMaterial'), asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  if (!(await canManageMaterials(req, course))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this course'
+    });
+  }
+
+  const file = await storeUpload('courseMaterial', req.file, {
+    uploadedBy: req.user._id,
+    branchId: course.branchId
+  });
+
+  course.materials.push({
+    title: req.body.title || file.originalName,
+    type: materialType(file.contentType),
+    url: fileRef(file),
+    size: file.size,
+    uploadDate: new Date(),
+    description: req.body.description
+  });
+  await course.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Material uploaded successfully',
+    data: {
+      material: course.materials[course.materials.length - 1],
+      ...fileLinks(file, req)
+    }
+  });
+}));
+
+// @desc    Remove course material
+// @route   DELETE /api/courses/:id/materials/:materialId
+// @access  Private/Admin/Teacher
+router.delete('/:id/materials/:materialId', protect, requirePermission('courses.manage'), asyncHandler(async (req, res) => {
+  const course = await Course.findById(req.params.id);
+  const material = course && course.materials.id(req.params.materialId);
+
+  if (!material) {
+    return res.status(404).json({
+      success: false,
+      message: 'Material not found'
+    });
+  }
+
+  if (!(await canManageMaterials(req, course))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this course'
+    });
+  }
+
+  material.deleteOne();
+  await course.save();
+  await removeStoredFile(material.url);
+
+  res.json({
+    success: true,
+    message: 'Material removed successfully'
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
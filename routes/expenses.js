@@ -3,11 +3,28 @@ const asyncHandler = require('express-async-handler');
 const Expense = require('../models/Expense');
 const Branch = require('../models/Branch');
 const User = require('../models/User');
-const { protect, checkRole } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { emitToBranchRoles } = require('../utils/socket');
+const { wantsExport, sendExport, personName } = require('../utils/exporter');
+const { receiveUpload, storeUpload, fileRef, removeStoredFile, fileLinks } = require('../utils/uploads');
 
 const router = express.Router();
 
-// @desc    Get expenses
+// Columns of an expense export (?format=csv|xlsx|ndjson)
+const EXPENSE_EXPORT_COLUMNS = {
+  date: { header: 'Date' },
+  expenseType: { header: 'Expense type' },
+  category: { header: 'Category' },
+  amount: { header: 'Amount' },
+  paymentMethod: { header: 'Payment method' },
+  description: { header: 'Description' },
+  paidBy: { header: 'Paid by', value: (expense) => personName(expense.paidBy) },
+  branch: { header: 'Branch', value: (expense) => expense.branchId && expense.branchId.name },
+  receipt: { header: 'Receipt' },
+  createdAt: { header: 'Created at' }
+};
+
+// @desc    Get expenses, or export them all with ?format=csv|xlsx|ndjson
 // @route   GET /api/expenses
 // @access  Private
 router.get('/', protect, asyncHandler(async (req, res) => {
@@ -27,6 +44,17 @@ router.get('/', protect, asyncHandler(async (req, res) => {
     if (dateTo) query.date.$lte = new Date(dateTo);
   }
 
+  if (wantsExport(req)) {
+    return sendExport(req, res, {
+      name: 'expenses',
+      query: Expense.find(query)
+        .populate('branchId', 'name')
+        .populate('paidBy', 'firstName lastName')
+        .sort({ date: -1, createdAt: -1 }),
+      columns: EXPENSE_EXPORT_COLUMNS
+    });
+  }
+
   const expenses = await Expense.find(query)
     .populate('branchId', 'name')
     .populate('paidBy', 'firstName lastName')
@@ -79,7 +107,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Create expense
 // @route   POST /api/expenses
 // @access  Private/Admin/Accountant
-router.post('/', protect, checkRole('admin', 'accountant'), asyncHandler(async (req, res) => {
+router.post('/', protect, requirePermission('expenses.manage'), asyncHandler(async (req, res) => {
   const { expenseType, category, amount, date, description, receipt, paymentMethod, branchId } = req.body;
 
   if (!expenseType || !category || amount === undefined || !date || !branchId) {
@@ -120,7 +148,7 @@ router.post('/', protect, checkRole('admin', 'accountant'), asyncHandler(async (
   // Emit real-time notification
   const io = req.app.get('io');
   if (io) {
-    io.emit('expense_created', {
+    emitToBranchRoles(io, expense.branchId, ['admin', 'accountant'], 'expense_created', {
       expenseId: expense._id,
       branchId: expense.branchId,
       amount: expense.amount,
@@ -139,7 +167,7 @@ router.post('/', protect, checkRole('admin', 'accountant'), asyncHandler(async (
 // @desc    Update expense
 // @route   PUT /api/expenses/:id
 // @access  Private/Admin/Accountant
-router.put('/:id', protect, checkRole('admin', 'accountant'), asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('expenses.manage'), asyncHandler(async (req, res) => {
   const { amount, description, receipt, paymentMethod } = req.body;
 
   const expense = await Expense.findById(req.params.id);
@@ -174,10 +202,45 @@ router.put('/:id', protect, checkRole('admin', 'accountant'), asyncHandler(async
   });
 }));
 
+// @desc    Upload expense receipt, replacing an earlier upload
+// @route   PUT /api/expenses/:id/receipt
+// @access  Private/Admin/Accountant
+router.put('/:id/receipt', protect, requirePermission('expenses.manage'), receiveUpload('expenseReceipt', 'receipt'), asyncHandler(async (req, res) => {
+  const expense = await Expense.findById(req.params.id);
+  if (!expense) {
+    return res.status(404).json({
+      success: false,
+      message: 'Expense not found'
+    });
+  }
+
+  const file = await storeUpload('expenseReceipt', req.file, {
+    uploadedBy: req.user._id,
+    branchId: expense.branchId
+  });
+  const previous = expense.receipt;
+
+  expense.receipt = fileRef(file);
+  await expense.save();
+
+  await removeStoredFile(previous).catch((error) => {
+    console.error('Could not remove old receipt:', error.message);
+  });
+
+  res.json({
+    success: true,
+    message: 'Receipt uploaded successfully',
+    data: {
+      receipt: expense.receipt,
+      ...fileLinks(file, req)
+    }
+  });
+}));
+
 // @desc    Delete expense
 // @route   DELETE /api/expenses/:id
 // @access  Private/Admin
-router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('expenses.delete'), asyncHandler(async (req, res) => {
   const expense = await Expense.findById(req.params.id);
   if (!expense) {
     return res.status(404).json({
@@ -186,7 +249,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
     });
   }
 
-  await expense.remove();
+  await expense.softDelete(req.user._id);
 
   res.json({
     success: true,
@@ -4,11 +4,32 @@ const Fee = require('../models/Fee');
 const Student = require('../models/Student');
 const User = require('../models/User');
 const Invoice = require('../models/Invoice');
-const { protect, checkRole } = require('../middleware/auth');
+const Guardian = require('../models/Guardian');
+const { protect, requirePermission, denyImpersonation } = require('../middleware/auth');
+const { emitToStudents, emitToBranchRoles } = require('../utils/socket');
+const { wantsExport, sendExport, personName } = require('../utils/exporter');
 
 const router = express.Router();
 
-// @desc    Get fees
+// Columns of a fee export (?format=csv|xlsx|ndjson)
+const FEE_EXPORT_COLUMNS = {
+  studentId: { header: 'Student ID', value: (fee) => fee.student && fee.student.studentId },
+  rollNumber: { header: 'Roll number', value: (fee) => fee.student && fee.student.rollNumber },
+  studentName: { header: 'Student', value: (fee) => fee.student && personName(fee.student.user) },
+  academicYear: { header: 'Academic year' },
+  feeType: { header: 'Fee type' },
+  amount: { header: 'Amount' },
+  dueDate: { header: 'Due date' },
+  status: { header: 'Status' },
+  paymentMethod: { header: 'Payment method' },
+  paymentDate: { header: 'Payment date' },
+  receiptNumber: { header: 'Receipt number' },
+  notes: { header: 'Notes' },
+  createdBy: { header: 'Created by', value: (fee) => personName(fee.createdBy) },
+  createdAt: { header: 'Created at' }
+};
+
+// @desc    Get fees, or export them all with ?format=csv|xlsx|ndjson
 // @route   GET /api/fees
 // @access  Private
 router.get('/', protect, asyncHandler(async (req, res) => {
@@ -34,10 +55,10 @@ router.get('/', protect, asyncHandler(async (req, res) => {
       });
     }
   } else if (req.user.role === 'parent') {
-    // Parents can only see fees for their children
-    const studentRecords = await Student.find({ parent: req.user.id });
-    if (studentRecords.length > 0) {
-      query.student = { $in: studentRecords.map(s => s._id) };
+    // Parents only see fees of children they are financially responsible for
+    const studentIds = await Guardian.studentIdsFor(req.user._id, { financial: true });
+    if (studentIds.length > 0) {
+      query.student = { $in: studentIds };
     } else {
       return res.status(403).json({
         success: false,
@@ -46,6 +67,21 @@ router.get('/', protect, asyncHandler(async (req, res) => {
     }
   }
 
+  if (wantsExport(req)) {
+    return sendExport(req, res, {
+      name: 'fees',
+      query: Fee.find(query)
+        .populate({
+          path: 'student',
+          select: 'studentId rollNumber user',
+          populate: { path: 'user', select: 'firstName lastName' }
+        })
+        .populate('createdBy', 'firstName lastName')
+        .sort({ dueDate: -1, createdAt: -1 }),
+      columns: FEE_EXPORT_COLUMNS
+    });
+  }
+
   const fees = await Fee.find(query)
     .populate('student', 'firstName lastName rollNumber studentId')
     .populate('createdBy', 'firstName lastName')
@@ -94,8 +130,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
       });
     }
   } else if (req.user.role === 'parent') {
-    const student = await Student.findOne({ _id: fee.student._id, parent: req.user.id });
-    if (!student) {
+    if (!(await Guardian.isGuardianOf(req.user._id, fee.student._id, { financial: true }))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this fee record'
@@ -112,7 +147,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Create fee
 // @route   POST /api/fees
 // @access  Private/Admin/Accountant
-router.post('/', protect, checkRole('admin', 'accountant'), asyncHandler(async (req, res) => {
+router.post('/', protect, requirePermission('fees.manage'), asyncHandler(async (req, res) => {
   const { student, academicYear, feeType, amount, dueDate, notes } = req.body;
 
   if (!student || !academicYear || !feeType || !amount || !dueDate) {
@@ -138,18 +173,21 @@ router.post('/', protect, checkRole('admin', 'accountant'), asyncHandler(async (
     amount,
     dueDate,
     notes,
-    createdBy: req.user.id
+    createdBy: req.user.id,
+    branchId: studentExists.branchId
   });
 
   // Emit real-time notification
   const io = req.app.get('io');
   if (io) {
-    io.emit('fee_created', {
+    const payload = {
       studentId: student,
       feeId: fee._id,
       amount: fee.amount,
       dueDate: fee.dueDate
-    });
+    };
+    emitToStudents(io, [student], 'fee_created', payload);
+    emitToBranchRoles(io, fee.branchId, ['admin', 'accountant'], 'fee_created', payload);
   }
 
   res.status(201).json({
@@ -162,7 +200,7 @@ router.post('/', protect, checkRole('admin', 'accountant'), asyncHandler(async (
 // @desc    Update fee
 // @route   PUT /api/fees/:id
 // @access  Private/Admin/Accountant
-router.put('/:id', protect, checkRole('admin', 'accountant'), asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('fees.manage'), asyncHandler(async (req, res) => {
   const fee = await Fee.findById(req.params.id);
 
   if (!fee) {
@@ -190,7 +228,7 @@ router.put('/:id', protect, checkRole('admin', 'accountant'), asyncHandler(async
 // @desc    Delete fee
 // @route   DELETE /api/fees/:id
 // @access  Private/Admin
-router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('fees.delete'), asyncHandler(async (req, res) => {
   const fee = await Fee.findById(req.params.id);
 
   if (!fee) {
@@ -207,7 +245,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
     });
   }
 
-  await fee.remove();
+  await fee.softDelete(req.user._id);
 
   res.json({
     success: true,
@@ -218,7 +256,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
 // @desc    Process fee payment
 // @route   POST /api/fees/:id/pay
 // @access  Private/Admin/Accountant
-router.post('/:id/pay', protect, checkRole('admin', 'accountant'), asyncHandler(async (req, res) => {
+router.post('/:id/pay', protect, denyImpersonation, requirePermission('fees.pay'), asyncHandler(async (req, res) => {
   const { paymentMethod, transactionId, receiptNumber } = req.body;
 
   const fee = await Fee.findById(req.params.id);
@@ -248,11 +286,13 @@ router.post('/:id/pay', protect, checkRole('admin', 'accountant'), asyncHandler(
   // Emit real-time notification
   const io = req.app.get('io');
   if (io) {
-    io.emit('fee_paid', {
+    const payload = {
       studentId: fee.student,
       feeId: fee._id,
       amount: fee.amount
-    });
+    };
+    emitToStudents(io, [fee.student], 'fee_paid', payload);
+    emitToBranchRoles(io, fee.branchId, ['admin', 'accountant'], 'fee_paid', payload);
   }
 
   res.json({
@@ -283,7 +323,7 @@ router.get('/student/:studentId/summary', protect, asyncHandler(async (req, res)
       });
     }
   } else if (req.user.role === 'parent') {
-    if (student.parent.toString() !== req.user.id) {
+    if (!(await Guardian.isGuardianOf(req.user._id, student._id, { financial: true }))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this student\'s fees'
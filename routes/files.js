@@ -0,0 +1,79 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const fs = require("fs");
+const StoredFile = require("../models/StoredFile");
+const { protect, hasPermission } = require("../middleware/auth");
+const { resolveLocalLink } = require("../utils/storage");
+const { UPLOAD_TYPES, fileLinks } = require("../utils/uploads");
+
+const router = express.Router();
+
+// @desc    Download a file kept on local disk through a signed link
+// @route   GET /api/files/content
+// @access  Public (signed link)
+router.get(
+  "/content",
+  asyncHandler(async (req, res) => {
+    const link = resolveLocalLink(req.query);
+    if (!link) {
+      return res.status(403).json({
+        success: false,
+        message: "This download link is invalid or has expired",
+      });
+    }
+
+    const stats = await fs.promises.stat(link.path).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      });
+    }
+
+    res.set({
+      "Content-Type": link.contentType,
+      "Content-Length": stats.size,
+      "Content-Disposition": link.disposition,
+      "Cache-Control": "private, max-age=300",
+      // Links are handed to the client app, which is served from elsewhere
+      "Cross-Origin-Resource-Policy": "cross-origin",
+    });
+    fs.createReadStream(link.path).pipe(res);
+  })
+);
+
+// @desc    Get signed download links for a stored file
+// @route   GET /api/files/:id
+// @access  Private
+router.get(
+  "/:id",
+  protect,
+  asyncHandler(async (req, res) => {
+    const file = await StoredFile.findById(req.params.id);
+    const { readPermission } = (file && UPLOAD_TYPES[file.purpose]) || {};
+
+    if (
+      !file ||
+      (readPermission && !(await hasPermission(req, readPermission)))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: file._id,
+        purpose: file.purpose,
+        contentType: file.contentType,
+        size: file.size,
+        originalName: file.originalName,
+        ...fileLinks(file, req),
+      },
+    });
+  })
+);
+
+module.exports = router;
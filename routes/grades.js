@@ -6,7 +6,10 @@ const Quiz = require('../models/Quiz');
 const Course = require('../models/Course');
 const Student = require('../models/Student');
 const Teacher = require('../models/Teacher');
-const { protect, checkRole } = require('../middleware/auth');
+const Guardian = require('../models/Guardian');
+const { protect, requirePermission } = require('../middleware/auth');
+const { letterGradeFor } = require('../utils/grading');
+const { emitToStudents } = require('../utils/socket');
 
 const router = express.Router();
 
@@ -24,6 +27,15 @@ router.get('/', protect, asyncHandler(async (req, res) => {
   if (quiz) query.quiz = quiz;
   if (gradeType) query.gradeType = gradeType;
 
+  // Students only see their own grades and parents those of their children
+  if (req.user.role === 'student') {
+    const studentRecord = await Student.findOne({ user: req.user.id });
+    query.student = studentRecord ? studentRecord._id : null;
+  } else if (req.user.role === 'parent') {
+    const studentIds = await Guardian.studentIdsFor(req.user._id);
+    query.student = { $in: student ? studentIds.filter(id => id.toString() === student) : studentIds };
+  }
+
   const grades = await Grade.find(query)
     .populate('student', 'firstName lastName rollNumber studentId')
     .populate('course', 'title code')
@@ -78,8 +90,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
       });
     }
   } else if (req.user.role === 'parent') {
-    const student = await Student.findOne({ _id: grade.student._id, parent: req.user.id });
-    if (!student) {
+    if (!(await Guardian.isGuardianOf(req.user._id, grade.student._id))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this grade'
@@ -96,7 +107,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Create grade
 // @route   POST /api/grades
 // @access  Private/Teacher/Admin
-router.post('/', protect, checkRole('teacher', 'admin'), asyncHandler(async (req, res) => {
+router.post('/', protect, requirePermission('grades.manage'), asyncHandler(async (req, res) => {
   const { student, course, assignment, quiz, gradeType, pointsEarned, maxPoints, feedback } = req.body;
 
   if (!student || !course || !gradeType || pointsEarned === undefined || maxPoints === undefined) {
@@ -153,22 +164,12 @@ router.post('/', protect, checkRole('teacher', 'admin'), asyncHandler(async (req
 
   // Calculate percentage and letter grade
   const percentage = (pointsEarned / maxPoints) * 100;
-  let letterGrade = '';
-  
-  if (percentage >= 90) letterGrade = 'A+';
-  else if (percentage >= 85) letterGrade = 'A';
-  else if (percentage >= 80) letterGrade = 'A-';
-  else if (percentage >= 75) letterGrade = 'B+';
-  else if (percentage >= 70) letterGrade = 'B';
-  else if (percentage >= 65) letterGrade = 'B-';
-  else if (percentage >= 60) letterGrade = 'C+';
-  else if (percentage >= 55) letterGrade = 'C';
-  else if (percentage >= 50) letterGrade = 'C-';
-  else if (percentage >= 45) letterGrade = 'D';
-  else letterGrade = 'F';
-
-  // Check authorization - only instructor or admin can create grade
-  if (req.user.role === 'teacher') {
+  const letterGrade = letterGradeFor(percentage);
+
+  // Check authorization - only instructor or admin can create grade. Grades
+  // are recorded against a teacher profile, so other roles need one too.
+  let gradedBy = req.body.gradedBy || courseDoc.instructor;
+  if (req.user.role !== 'admin') {
     const teacher = await Teacher.findOne({ user: req.user.id });
     if (!teacher || !courseDoc.instructor.equals(teacher._id)) {
       return res.status(403).json({
@@ -176,11 +177,13 @@ router.post('/', protect, checkRole('teacher', 'admin'), asyncHandler(async (req
         message: 'Not authorized to grade for this course'
       });
     }
+    gradedBy = teacher._id;
   }
 
   const grade = await Grade.create({
     student,
     course,
+    branchId: courseDoc.branchId,
     assignment,
     quiz,
     gradeType,
@@ -189,14 +192,13 @@ router.post('/', protect, checkRole('teacher', 'admin'), asyncHandler(async (req
     percentage,
     letterGrade,
     feedback,
-    gradedBy: req.user.role === 'admin' ? req.body.gradedBy : 
-              (await Teacher.findOne({ user: req.user.id }))._id
+    gradedBy
   });
 
   // Emit real-time notification
   const io = req.app.get('io');
   if (io) {
-    io.to(`user_${student}`).emit('grade_updated', {
+    emitToStudents(io, [student], 'grade_updated', {
       gradeId: grade._id,
       studentId: student,
       courseId: course,
@@ -217,7 +219,7 @@ router.post('/', protect, checkRole('teacher', 'admin'), asyncHandler(async (req
 // @desc    Update grade
 // @route   PUT /api/grades/:id
 // @access  Private/Teacher/Admin
-router.put('/:id', protect, checkRole('teacher', 'admin'), asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('grades.manage'), asyncHandler(async (req, res) => {
   const { pointsEarned, maxPoints, feedback } = req.body;
 
   const grade = await Grade.findById(req.params.id);
@@ -230,9 +232,9 @@ router.put('/:id', protect, checkRole('teacher', 'admin'), asyncHandler(async (r
 
   // Check authorization
   const courseDoc = await Course.findById(grade.course);
-  if (req.user.role === 'teacher') {
+  if (req.user.role !== 'admin') {
     const teacher = await Teacher.findOne({ user: req.user.id });
-    if (!teacher || !courseDoc.instructor.equals(teacher._id)) {
+    if (!teacher || !courseDoc || !courseDoc.instructor.equals(teacher._id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this grade'
@@ -266,21 +268,7 @@ router.put('/:id', protect, checkRole('teacher', 'admin'), asyncHandler(async (r
   if (grade.pointsEarned !== undefined && grade.maxPoints !== undefined) {
     const percentage = (grade.pointsEarned / grade.maxPoints) * 100;
     grade.percentage = percentage;
-
-    let letterGrade = '';
-    if (percentage >= 90) letterGrade = 'A+';
-    else if (percentage >= 85) letterGrade = 'A';
-    else if (percentage >= 80) letterGrade = 'A-';
-    else if (percentage >= 75) letterGrade = 'B+';
-    else if (percentage >= 70) letterGrade = 'B';
-    else if (percentage >= 65) letterGrade = 'B-';
-    else if (percentage >= 60) letterGrade = 'C+';
-    else if (percentage >= 55) letterGrade = 'C';
-    else if (percentage >= 50) letterGrade = 'C-';
-    else if (percentage >= 45) letterGrade = 'D';
-    else letterGrade = 'F';
-
-    grade.letterGrade = letterGrade;
+    grade.letterGrade = letterGradeFor(percentage);
   }
 
   if (feedback !== undefined) {
@@ -292,7 +280,7 @@ router.put('/:id', protect, checkRole('teacher', 'admin'), asyncHandler(async (r
   // Emit real-time notification
   const io = req.app.get('io');
   if (io) {
-    io.to(`user_${grade.student}`).emit('grade_updated', {
+    emitToStudents(io, [grade.student], 'grade_updated', {
       gradeId: updatedGrade._id,
       studentId: grade.student,
       courseId: grade.course,
@@ -313,7 +301,7 @@ router.put('/:id', protect, checkRole('teacher', 'admin'), asyncHandler(async (r
 // @desc    Delete grade
 // @route   DELETE /api/grades/:id
 // @access  Private/Admin
-router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('grades.delete'), asyncHandler(async (req, res) => {
   const grade = await Grade.findById(req.params.id);
   if (!grade) {
     return res.status(404).json({
@@ -322,7 +310,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
     });
   }
 
-  await grade.remove();
+  await grade.softDelete(req.user._id);
 
   res.json({
     success: true,
@@ -351,7 +339,7 @@ router.get('/student/:studentId/summary', protect, asyncHandler(async (req, res)
       });
     }
   } else if (req.user.role === 'parent') {
-    if (student.parent.toString() !== req.user.id) {
+    if (!(await Guardian.isGuardianOf(req.user._id, student._id))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this student\'s grades'
@@ -0,0 +1,469 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const Guardian = require("../models/Guardian");
+const GuardianLinkCode = require("../models/GuardianLinkCode");
+const Student = require("../models/Student");
+const User = require("../models/User");
+const { protect, requirePermission } = require("../middleware/auth");
+const { runUnscoped } = require("../utils/requestContext");
+const { parentDashboard } = require("../utils/parentDashboard");
+
+const router = express.Router();
+
+// Linking codes expire after this many days unless told otherwise
+const DEFAULT_CODE_TTL_DAYS =
+  parseInt(process.env.GUARDIAN_CODE_TTL_DAYS) || 14;
+
+// Fields an admin may set on a guardianship
+const EDITABLE_FIELDS = [
+  "relationship",
+  "isPrimaryContact",
+  "financiallyResponsible",
+  "canPickUp",
+  "restrictions",
+];
+
+// Parents need access to their children's branch to see their records
+const grantBranchAccess = (userId, branchId) =>
+  runUnscoped(async () => {
+    const user = await User.findById(userId);
+
+    if (user.grantBranchAccess(branchId)) {
+      await user.save({ validateBeforeSave: false });
+    }
+  });
+
+const STUDENT_FIELDS = {
+  path: "student",
+  select: "studentId rollNumber class section user branchId",
+  populate: { path: "user", select: "firstName lastName" },
+};
+
+// @desc    Get the students linked to the current parent
+// @route   GET /api/guardians/my-students
+// @access  Private (parent)
+router.get(
+  "/my-students",
+  protect,
+  asyncHandler(async (req, res) => {
+    // Children may attend branches other than the parent's own
+    const guardianships = await runUnscoped(() =>
+      Guardian.find({ user: req.user._id })
+        .populate({
+          ...STUDENT_FIELDS,
+          populate: [
+            STUDENT_FIELDS.populate,
+            { path: "class", select: "name" },
+            { path: "section", select: "name" },
+          ],
+        })
+        .sort({ createdAt: 1 })
+    );
+
+    res.json({
+      success: true,
+      data: guardianships,
+    });
+  })
+);
+
+// @desc    Get the current parent's dashboard: every linked child with
+//          attendance, upcoming work, grades, fees, transport and notices
+// @route   GET /api/guardians/dashboard
+// @access  Private (parent)
+router.get(
+  "/dashboard",
+  protect,
+  asyncHandler(async (req, res) => {
+    if (req.user.role !== "parent") {
+      return res.status(403).json({
+        success: false,
+        message: "Only parent accounts have a dashboard",
+      });
+    }
+
+    // Children may attend branches other than the parent's own
+    const dashboard = await runUnscoped(() => parentDashboard(req.user));
+
+    res.json({
+      success: true,
+      data: dashboard,
+    });
+  })
+);
+
+// @desc    Link the current parent to a student with a school-issued code
+// @route   POST /api/guardians/link
+// @access  Private (parent)
+router.post(
+  "/link",
+  protect,
+  asyncHandler(async (req, res) => {
+    const { code, relationship } = req.body;
+
+    if (req.user.role !== "parent") {
+      return res.status(403).json({
+        success: false,
+        message: "Only parent accounts can link to students",
+      });
+    }
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Linking code is required",
+      });
+    }
+
+    if (relationship && !Guardian.RELATIONSHIPS.includes(relationship)) {
+      return res.status(400).json({
+        success: false,
+        message: `Relationship must be one of: ${Guardian.RELATIONSHIPS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const linkCode = await GuardianLinkCode.redeem(code, req.user._id);
+
+    if (!linkCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired linking code",
+      });
+    }
+
+    // Hand the code back if it cannot be used after all
+    const release = () =>
+      GuardianLinkCode.updateOne(
+        { _id: linkCode._id },
+        { usedAt: null, usedBy: null }
+      ).setOptions({ skipBranchScope: true });
+
+    if (!linkCode.relationship && !relationship) {
+      await release();
+      return res.status(400).json({
+        success: false,
+        message: "Relationship is required",
+      });
+    }
+
+    const guardian = await runUnscoped(async () => {
+      const student = await Student.findById(linkCode.student);
+
+      if (
+        !student ||
+        (await Guardian.exists({ student: student._id, user: req.user._id }))
+      ) {
+        return null;
+      }
+
+      await grantBranchAccess(req.user._id, student.branchId);
+
+      return Guardian.create({
+        student: student._id,
+        user: req.user._id,
+        relationship: linkCode.relationship || relationship,
+        isPrimaryContact: linkCode.isPrimaryContact,
+        financiallyResponsible: linkCode.financiallyResponsible,
+        linkedVia: "code",
+        linkedBy: req.user._id,
+        branchId: student.branchId,
+      });
+    });
+
+    if (!guardian) {
+      await release();
+      return res.status(400).json({
+        success: false,
+        message: "You are already linked to this student",
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Linked to student successfully",
+      data: guardian,
+    });
+  })
+);
+
+// @desc    Get linking codes
+// @route   GET /api/guardians/link-codes
+// @access  Private (guardians.manage)
+router.get(
+  "/link-codes",
+  protect,
+  requirePermission("guardians.manage"),
+  asyncHandler(async (req, res) => {
+    const { student, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+    if (student) query.student = student;
+
+    const linkCodes = await GuardianLinkCode.find(query)
+      .populate(STUDENT_FIELDS)
+      .populate("usedBy", "firstName lastName email")
+      .populate("createdBy", "firstName lastName")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await GuardianLinkCode.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        linkCodes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Issue a one-time linking code for a student
+// @route   POST /api/guardians/link-codes
+// @access  Private (guardians.manage)
+router.post(
+  "/link-codes",
+  protect,
+  requirePermission("guardians.manage"),
+  asyncHandler(async (req, res) => {
+    const {
+      student: studentId,
+      relationship,
+      isPrimaryContact,
+      financiallyResponsible,
+      expiresInDays = DEFAULT_CODE_TTL_DAYS,
+    } = req.body;
+
+    const days = parseFloat(expiresInDays);
+    if (!(days > 0 && days <= 90)) {
+      return res.status(400).json({
+        success: false,
+        message: "Codes can be valid for up to 90 days",
+      });
+    }
+
+    const student = studentId && (await Student.findById(studentId));
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: "Student not found",
+      });
+    }
+
+    const { linkCode, code } = GuardianLinkCode.generate({
+      student: student._id,
+      relationship,
+      isPrimaryContact: !!isPrimaryContact,
+      financiallyResponsible: !!financiallyResponsible,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      createdBy: req.user._id,
+      branchId: student.branchId,
+    });
+    await linkCode.save();
+
+    res.status(201).json({
+      success: true,
+      message:
+        "Linking code created. Hand it to the parent now, it will not be shown again.",
+      data: { ...linkCode.toJSON(), code },
+    });
+  })
+);
+
+// @desc    Revoke a linking code
+// @route   POST /api/guardians/link-codes/:id/revoke
+// @access  Private (guardians.manage)
+router.post(
+  "/link-codes/:id/revoke",
+  protect,
+  requirePermission("guardians.manage"),
+  asyncHandler(async (req, res) => {
+    const linkCode = await GuardianLinkCode.findById(req.params.id);
+
+    if (!linkCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Linking code not found",
+      });
+    }
+
+    if (linkCode.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot revoke a ${linkCode.status} linking code`,
+      });
+    }
+
+    linkCode.revokedAt = new Date();
+    await linkCode.save();
+
+    res.json({
+      success: true,
+      message: "Linking code revoked successfully",
+      data: linkCode,
+    });
+  })
+);
+
+// @desc    Get guardianships
+// @route   GET /api/guardians
+// @access  Private (guardians.manage)
+router.get(
+  "/",
+  protect,
+  requirePermission("guardians.manage"),
+  asyncHandler(async (req, res) => {
+    const { student, user, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+    if (student) query.student = student;
+    if (user) query.user = user;
+
+    const guardians = await Guardian.find(query)
+      .populate(STUDENT_FIELDS)
+      .populate("user", "firstName lastName email phone")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ student: 1, isPrimaryContact: -1, createdAt: 1 });
+
+    const total = await Guardian.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        guardians,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Link a parent to a student
+// @route   POST /api/guardians
+// @access  Private (guardians.manage)
+router.post(
+  "/",
+  protect,
+  requirePermission("guardians.manage"),
+  asyncHandler(async (req, res) => {
+    const { student: studentId, user: userId } = req.body;
+
+    const student = studentId && (await Student.findById(studentId));
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: "Student not found",
+      });
+    }
+
+    const user =
+      userId &&
+      (await User.findById(userId).setOptions({ skipBranchScope: true }));
+
+    if (!user || user.role !== "parent") {
+      return res.status(400).json({
+        success: false,
+        message: "Guardians must be parent accounts",
+      });
+    }
+
+    if (await Guardian.exists({ student: student._id, user: user._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "This parent is already linked to the student",
+      });
+    }
+
+    const guardian = new Guardian({
+      student: student._id,
+      user: user._id,
+      linkedBy: req.user._id,
+      branchId: student.branchId,
+    });
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) guardian[field] = req.body[field];
+    }
+    await guardian.save();
+    await grantBranchAccess(user._id, student.branchId);
+
+    res.status(201).json({
+      success: true,
+      message: "Guardian linked successfully",
+      data: guardian,
+    });
+  })
+);
+
+// @desc    Update guardianship
+// @route   PUT /api/guardians/:id
+// @access  Private (guardians.manage)
+router.put(
+  "/:id",
+  protect,
+  requirePermission("guardians.manage"),
+  asyncHandler(async (req, res) => {
+    const guardian = await Guardian.findById(req.params.id);
+
+    if (!guardian) {
+      return res.status(404).json({
+        success: false,
+        message: "Guardian not found",
+      });
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) guardian[field] = req.body[field];
+    }
+
+    const updatedGuardian = await guardian.save();
+
+    res.json({
+      success: true,
+      message: "Guardian updated successfully",
+      data: updatedGuardian,
+    });
+  })
+);
+
+// @desc    Unlink a guardian from a student
+// @route   DELETE /api/guardians/:id
+// @access  Private (guardians.manage)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("guardians.manage"),
+  asyncHandler(async (req, res) => {
+    const guardian = await Guardian.findById(req.params.id);
+
+    if (!guardian) {
+      return res.status(404).json({
+        success: false,
+        message: "Guardian not found",
+      });
+    }
+
+    await guardian.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Guardian unlinked successfully",
+    });
+  })
+);
+
+module.exports = router;
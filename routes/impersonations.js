@@ -0,0 +1,246 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const Impersonation = require("../models/Impersonation");
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+const {
+  protect,
+  requirePermission,
+  hasPermission,
+  denyImpersonation,
+} = require("../middleware/auth");
+const { generateImpersonationToken } = require("../utils/authTokens");
+const { sendTemplate } = require("../utils/mailer");
+
+const router = express.Router();
+
+const DEFAULT_MINUTES = 15;
+const MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES) || 60;
+
+// @desc    Start impersonating a user
+// @route   POST /api/impersonations
+// @access  Private (users.impersonate)
+router.post(
+  "/",
+  protect,
+  denyImpersonation,
+  requirePermission("users.impersonate"),
+  asyncHandler(async (req, res) => {
+    const { userId, reason, minutes = DEFAULT_MINUTES } = req.body;
+
+    if (!userId || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "User ID and reason are required",
+      });
+    }
+
+    const duration = parseInt(minutes);
+    if (!(duration > 0 && duration <= MAX_MINUTES)) {
+      return res.status(400).json({
+        success: false,
+        message: `Impersonation can last between 1 and ${MAX_MINUTES} minutes`,
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user._id.equals(req.user._id) || user.role === "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "This user cannot be impersonated",
+      });
+    }
+
+    if (!user.isActive || user.approvalStatus !== "approved") {
+      return res.status(400).json({
+        success: false,
+        message: "Only active, approved users can be impersonated",
+      });
+    }
+
+    const impersonation = await Impersonation.create({
+      admin: req.user._id,
+      user: user._id,
+      reason,
+      expiresAt: new Date(Date.now() + duration * 60 * 1000),
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+      branchId: user.branchId,
+    });
+
+    const adminName = `${req.user.firstName} ${req.user.lastName}`;
+
+    await sendTemplate("impersonationStarted", user.email, {
+      firstName: user.firstName,
+      adminName,
+      reason,
+      expiresAt: impersonation.expiresAt,
+    });
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`user_${user._id}`).emit("impersonation_started", {
+        impersonationId: impersonation._id,
+        admin: adminName,
+        reason,
+        expiresAt: impersonation.expiresAt,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Impersonating ${user.firstName} ${user.lastName}`,
+      data: {
+        token: generateImpersonationToken(impersonation),
+        impersonation,
+        user: {
+          _id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Get impersonations
+// @route   GET /api/impersonations
+// @access  Private (users.impersonate)
+router.get(
+  "/",
+  protect,
+  denyImpersonation,
+  requirePermission("users.impersonate"),
+  asyncHandler(async (req, res) => {
+    const { admin, user, active, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+    if (admin) query.admin = admin;
+    if (user) query.user = user;
+    if (active === "true") {
+      query.endedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const impersonations = await Impersonation.find(query)
+      .populate("admin", "firstName lastName email")
+      .populate("user", "firstName lastName email role")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Impersonation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        impersonations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Get impersonation with its audited requests and changes
+// @route   GET /api/impersonations/:id
+// @access  Private (users.impersonate)
+router.get(
+  "/:id",
+  protect,
+  denyImpersonation,
+  requirePermission("users.impersonate"),
+  asyncHandler(async (req, res) => {
+    const impersonation = await Impersonation.findById(req.params.id)
+      .populate("admin", "firstName lastName email")
+      .populate("user", "firstName lastName email role");
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: "Impersonation not found",
+      });
+    }
+
+    const activity = await AuditLog.find({
+      $or: [
+        { entityType: "Impersonation", entityId: impersonation._id },
+        {
+          "actor.impersonator": impersonation.admin._id,
+          "actor.user": impersonation.user._id,
+          createdAt: {
+            $gte: impersonation.createdAt,
+            $lte: impersonation.endedAt || impersonation.expiresAt,
+          },
+        },
+      ],
+    })
+      .setOptions({ skipBranchScope: true })
+      .sort({ sequence: 1 });
+
+    res.json({
+      success: true,
+      data: { ...impersonation.toJSON(), activity },
+    });
+  })
+);
+
+// @desc    End an impersonation, by an admin or with its own token
+// @route   POST /api/impersonations/:id/end
+// @access  Private (users.impersonate or the impersonation token)
+router.post(
+  "/:id/end",
+  protect,
+  asyncHandler(async (req, res) => {
+    const ownToken =
+      req.impersonation && req.impersonation._id.equals(req.params.id);
+
+    if (!ownToken) {
+      if (
+        req.impersonation ||
+        !(await hasPermission(req, "users.impersonate"))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Missing permission 'users.impersonate' required to access this resource",
+        });
+      }
+    }
+
+    const impersonation = ownToken
+      ? req.impersonation
+      : await Impersonation.findById(req.params.id);
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: "Impersonation not found",
+      });
+    }
+
+    await impersonation.end(ownToken ? impersonation.admin._id : req.user._id);
+
+    res.json({
+      success: true,
+      message: "Impersonation ended",
+      data: impersonation,
+    });
+  })
+);
+
+module.exports = router;
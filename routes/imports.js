@@ -0,0 +1,330 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const multer = require("multer");
+const path = require("path");
+const crypto = require("crypto");
+const fs = require("fs");
+const ImportJob = require("../models/ImportJob");
+const Branch = require("../models/Branch");
+const {
+  protect,
+  requirePermission,
+  hasPermission,
+} = require("../middleware/auth");
+const {
+  runImportJob,
+  buildErrorFile,
+  buildTemplate,
+  invalidMappingFields,
+} = require("../utils/importers");
+const { getContext, runWithContext } = require("../utils/requestContext");
+
+const router = express.Router();
+
+const UPLOAD_DIR = "uploads/imports/";
+
+// What each import creates also needs the permission to create it directly
+const TYPE_PERMISSIONS = {
+  users: "users.manage",
+  students: "students.admit",
+  teachers: "teachers.manage",
+};
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => {
+      cb(
+        null,
+        `${Date.now()}-${crypto.randomBytes(6).toString("hex")}${path
+          .extname(file.originalname)
+          .toLowerCase()}`
+      );
+    },
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error("Only CSV and XLSX files can be imported"));
+  },
+});
+
+// Upload errors are the client's to fix. Multer calls back from stream
+// events, outside the request context, so carry it over.
+const receiveFile = (req, res, next) => {
+  const context = getContext();
+  upload.single("file")(req, res, (error) => {
+    if (error) error.statusCode = 400;
+    runWithContext(context, () => next(error));
+  });
+};
+
+const removeFile = (filePath) => fs.promises.unlink(filePath).catch(() => {});
+
+// Validate or import in the background; the job records how it went
+const startJob = (job, commit) => {
+  runImportJob(job._id, { commit }).catch((error) => {
+    console.error(`Import job ${job._id} failed:`, error.message);
+  });
+};
+
+const canImport = (req, type) => hasPermission(req, TYPE_PERMISSIONS[type]);
+
+// @desc    Download an empty CSV with the columns an import reads
+// @route   GET /api/imports/templates/:type
+// @access  Private (imports.manage)
+router.get(
+  "/templates/:type",
+  protect,
+  requirePermission("imports.manage"),
+  asyncHandler(async (req, res) => {
+    if (!ImportJob.TYPES.includes(req.params.type)) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown import type",
+      });
+    }
+
+    res.attachment(`${req.params.type}-import-template.csv`);
+    res.type("text/csv").send(buildTemplate(req.params.type));
+  })
+);
+
+// @desc    Get import jobs
+// @route   GET /api/imports
+// @access  Private (imports.manage)
+router.get(
+  "/",
+  protect,
+  requirePermission("imports.manage"),
+  asyncHandler(async (req, res) => {
+    const { type, status, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const jobs = await ImportJob.find(query)
+      .select("-rowErrors")
+      .populate("createdBy", "firstName lastName")
+      .populate("branchId", "name")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await ImportJob.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Get import job with its row errors
+// @route   GET /api/imports/:id
+// @access  Private (imports.manage)
+router.get(
+  "/:id",
+  protect,
+  requirePermission("imports.manage"),
+  asyncHandler(async (req, res) => {
+    const job = await ImportJob.findById(req.params.id)
+      .populate("createdBy", "firstName lastName")
+      .populate("branchId", "name");
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Import job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  })
+);
+
+// @desc    Upload a CSV/XLSX file to validate (dry run, the default) or
+//          import right away
+// @route   POST /api/imports
+// @access  Private (imports.manage)
+router.post(
+  "/",
+  protect,
+  requirePermission("imports.manage"),
+  receiveFile,
+  asyncHandler(async (req, res) => {
+    const { type, branchId, dryRun, sendInvites } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a CSV or XLSX file",
+      });
+    }
+
+    const reject = async (statusCode, message) => {
+      await removeFile(req.file.path);
+      return res.status(statusCode).json({ success: false, message });
+    };
+
+    if (!ImportJob.TYPES.includes(type)) {
+      return reject(400, `Type must be one of: ${ImportJob.TYPES.join(", ")}`);
+    }
+
+    if (!(await canImport(req, type))) {
+      return reject(
+        403,
+        `Missing permission '${TYPE_PERMISSIONS[type]}' required to import ${type}`
+      );
+    }
+
+    let mapping;
+    try {
+      mapping = new Map(Object.entries(JSON.parse(req.body.mapping || "{}")));
+    } catch (error) {
+      return reject(400, "Mapping must be a JSON object of column: field");
+    }
+
+    const unknownFields = invalidMappingFields(type, mapping);
+    if (unknownFields.length) {
+      return reject(
+        400,
+        `Unknown fields in mapping: ${unknownFields.join(", ")}`
+      );
+    }
+
+    const branch = branchId && (await Branch.findById(branchId));
+    if (
+      !branch ||
+      (req.allowedBranches && !req.allowedBranches.includes(branch.id))
+    ) {
+      return reject(404, "Branch not found");
+    }
+
+    const job = await ImportJob.create({
+      type,
+      branchId: branch._id,
+      fileName: req.file.originalname,
+      format: path.extname(req.file.originalname).slice(1).toLowerCase(),
+      filePath: req.file.path,
+      mapping,
+      sendInvites: sendInvites !== "false",
+      createdBy: req.user._id,
+    });
+
+    startJob(job, dryRun === "false");
+
+    res.status(202).json({
+      success: true,
+      message:
+        dryRun === "false"
+          ? "Import started"
+          : "Validation started, commit the job once the report looks right",
+      data: job,
+    });
+  })
+);
+
+// @desc    Import the rows of a validated job
+// @route   POST /api/imports/:id/commit
+// @access  Private (imports.manage)
+router.post(
+  "/:id/commit",
+  protect,
+  requirePermission("imports.manage"),
+  asyncHandler(async (req, res) => {
+    const job = await ImportJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Import job not found",
+      });
+    }
+
+    if (!(await canImport(req, job.type))) {
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission '${
+          TYPE_PERMISSIONS[job.type]
+        }' required to import ${job.type}`,
+      });
+    }
+
+    // Rows are matched on their keys, so committing again is safe
+    if (job.isRunning) {
+      return res.status(409).json({
+        success: false,
+        message: "This import job is still running",
+      });
+    }
+
+    // Claim the job so a second request cannot start it as well
+    const claimed = await ImportJob.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      { status: "queued" },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: "This import job is still running",
+      });
+    }
+
+    startJob(claimed, true);
+
+    res.status(202).json({
+      success: true,
+      message: "Import started",
+      data: claimed,
+    });
+  })
+);
+
+// @desc    Download the failed rows of a job with their errors as CSV
+// @route   GET /api/imports/:id/errors
+// @access  Private (imports.manage)
+router.get(
+  "/:id/errors",
+  protect,
+  requirePermission("imports.manage"),
+  asyncHandler(async (req, res) => {
+    const job = await ImportJob.findById(req.params.id).select("+filePath");
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Import job not found",
+      });
+    }
+
+    if (job.isRunning || !job.rowErrors.length) {
+      return res.status(404).json({
+        success: false,
+        message: job.isRunning
+          ? "The job has not finished yet"
+          : "This import job has no row errors",
+      });
+    }
+
+    res.attachment(`import-${job._id}-errors.csv`);
+    res.type("text/csv").send(await buildErrorFile(job));
+  })
+);
+
+module.exports = router;
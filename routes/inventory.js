@@ -3,7 +3,8 @@ const asyncHandler = require('express-async-handler');
 const Inventory = require('../models/Inventory');
 const Branch = require('../models/Branch');
 const User = require('../models/User');
-const { protect, checkRole } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { emitToBranchRoles } = require('../utils/socket');
 
 const router = express.Router();
 
@@ -71,7 +72,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Create inventory item
 // @route   POST /api/inventory
 // @access  Private/Admin/Accountant
-router.post('/', protect, checkRole('admin', 'accountant'), asyncHandler(async (req, res) => {
+router.post('/', protect, requirePermission('inventory.manage'), asyncHandler(async (req, res) => {
   const { 
     name, category, sku, description, quantity, unit, unitPrice, 
     supplier, purchaseDate, expiryDate, location, minStockLevel, branchId 
@@ -84,12 +85,14 @@ router.post('/', protect, checkRole('admin', 'accountant'), asyncHandler(async (
     });
   }
 
-  // Check if SKU already exists
-  const skuExists = await Inventory.findOne({ sku, branchId });
+  // Check if SKU already exists, deleted items keep theirs
+  const skuExists = await Inventory.findOne({ sku, branchId }).setOptions({ withDeleted: true });
   if (skuExists) {
     return res.status(400).json({
       success: false,
-      message: 'SKU already exists in this branch'
+      message: skuExists.deletedAt
+        ? 'A deleted item has this SKU, restore it from the trash instead'
+        : 'SKU already exists in this branch'
     });
   }
 
@@ -143,7 +146,7 @@ router.post('/', protect, checkRole('admin', 'accountant'), asyncHandler(async (
 // @desc    Update inventory item
 // @route   PUT /api/inventory/:id
 // @access  Private/Admin/Accountant
-router.put('/:id', protect, checkRole('admin', 'accountant'), asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('inventory.manage'), asyncHandler(async (req, res) => {
   const { quantity, unitPrice, supplier, location, minStockLevel, status } = req.body;
 
   const item = await Inventory.findById(req.params.id);
@@ -186,7 +189,7 @@ router.put('/:id', protect, checkRole('admin', 'accountant'), asyncHandler(async
   if (updatedItem.quantity < updatedItem.minStockLevel) {
     const io = req.app.get('io');
     if (io) {
-      io.emit('low_stock_alert', {
+      emitToBranchRoles(io, updatedItem.branchId, ['admin', 'accountant'], 'low_stock_alert', {
         itemId: updatedItem._id,
         name: updatedItem.name,
         currentQuantity: updatedItem.quantity,
@@ -206,7 +209,7 @@ router.put('/:id', protect, checkRole('admin', 'accountant'), asyncHandler(async
 // @desc    Delete inventory item
 // @route   DELETE /api/inventory/:id
 // @access  Private/Admin
-router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('inventory.delete'), asyncHandler(async (req, res) => {
   const item = await Inventory.findById(req.params.id);
   if (!item) {
     return res.status(404).json({
@@ -215,7 +218,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
     });
   }
 
-  await item.remove();
+  await item.softDelete(req.user._id);
 
   res.json({
     success: true,
@@ -261,7 +264,7 @@ router.get('/low-stock', protect, asyncHandler(async (req, res) => {
 // @desc    Update inventory stock
 // @route   POST /api/inventory/:id/stock-update
 // @access  Private/Admin/Accountant
-router.post('/:id/stock-update', protect, checkRole('admin', 'accountant'), asyncHandler(async (req, res) => {
+router.post('/:id/stock-update', protect, requirePermission('inventory.stock'), asyncHandler(async (req, res) => {
   const { quantityChange, reason } = req.body;
 
   if (quantityChange === undefined) {
@@ -299,7 +302,7 @@ router.post('/:id/stock-update', protect, checkRole('admin', 'accountant'), asyn
   if (updatedItem.quantity < updatedItem.minStockLevel) {
     const io = req.app.get('io');
     if (io) {
-      io.emit('low_stock_alert', {
+      emitToBranchRoles(io, updatedItem.branchId, ['admin', 'accountant'], 'low_stock_alert', {
         itemId: updatedItem._id,
         name: updatedItem.name,
         currentQuantity: updatedItem.quantity,
@@ -0,0 +1,198 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const Invitation = require("../models/Invitation");
+const User = require("../models/User");
+const Branch = require("../models/Branch");
+const { protect, requirePermission } = require("../middleware/auth");
+const { generateInvitationToken } = require("../utils/authTokens");
+const { sendTemplate, clientUrl } = require("../utils/mailer");
+
+const router = express.Router();
+
+// Email the signed invitation link to the invitee
+const sendInvitationEmail = (invitation, branch) => {
+  return sendTemplate("invitation", invitation.email, {
+    branchName: branch.name,
+    role: invitation.role,
+    inviteUrl: clientUrl(
+      `/accept-invite/${generateInvitationToken(invitation)}`
+    ),
+    expiresAt: invitation.expiresAt,
+  });
+};
+
+// @desc    Get invitations
+// @route   GET /api/invitations
+// @access  Private/Admin
+router.get(
+  "/",
+  protect,
+  requirePermission("invitations.manage"),
+  asyncHandler(async (req, res) => {
+    const { status, branchId, page = 1, limit = 10 } = req.query;
+
+    // Build query
+    let query = {};
+    if (branchId) query.branchId = branchId;
+    if (status === "accepted") query.acceptedAt = { $ne: null };
+    if (status === "revoked") query.revokedAt = { $ne: null };
+    if (status === "pending" || status === "expired") {
+      query.acceptedAt = null;
+      query.revokedAt = null;
+      query.expiresAt =
+        status === "pending" ? { $gt: new Date() } : { $lte: new Date() };
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate("branchId", "name")
+      .populate("invitedBy", "firstName lastName")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Invitation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        invitations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Create and send invitation
+// @route   POST /api/invitations
+// @access  Private/Admin
+router.post(
+  "/",
+  protect,
+  requirePermission("invitations.manage"),
+  asyncHandler(async (req, res) => {
+    const { email, role, branchId, expiresInDays = 7 } = req.body;
+
+    if (!email || !role || !branchId) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email, role and branchId",
+      });
+    }
+
+    const branch = await Branch.findById(branchId);
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: "Branch not found",
+      });
+    }
+
+    const userExists = await User.findOne({
+      email: email.toLowerCase(),
+    }).setOptions({ withDeleted: true });
+    if (userExists) {
+      return res.status(400).json({
+        success: false,
+        message: "User already exists",
+      });
+    }
+
+    // Only the latest invitation for an address stays valid
+    await Invitation.updateMany(
+      { email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      branchId,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    });
+
+    const emailSent = await sendInvitationEmail(invitation, branch);
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation created successfully",
+      data: { invitation, emailSent },
+    });
+  })
+);
+
+// @desc    Resend invitation email
+// @route   POST /api/invitations/:id/resend
+// @access  Private/Admin
+router.post(
+  "/:id/resend",
+  protect,
+  requirePermission("invitations.manage"),
+  asyncHandler(async (req, res) => {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    if (invitation.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is ${invitation.status}`,
+      });
+    }
+
+    const branch = await Branch.findById(invitation.branchId);
+    const emailSent = await sendInvitationEmail(invitation, branch);
+
+    res.json({
+      success: true,
+      message: "Invitation resent successfully",
+      data: { emailSent },
+    });
+  })
+);
+
+// @desc    Revoke invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private/Admin
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("invitations.manage"),
+  asyncHandler(async (req, res) => {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Invitation has already been accepted",
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+    });
+  })
+);
+
+module.exports = router;
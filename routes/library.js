@@ -3,7 +3,7 @@ const asyncHandler = require('express-async-handler');
 const Library = require('../models/Library');
 const Student = require('../models/Student');
 const Branch = require('../models/Branch');
-const { protect, checkRole } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -69,7 +69,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Create library book
 // @route   POST /api/library
 // @access  Private/Admin
-router.post('/', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.post('/', protect, requirePermission('library.manage'), asyncHandler(async (req, res) => {
   const { 
     bookId, title, author, isbn, category, publisher, publishedYear, 
     edition, totalCopies, price, shelfLocation, branchId 
@@ -89,12 +89,15 @@ router.post('/', protect, checkRole('admin'), asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if book ID already exists
-  const bookIdExists = await Library.findOne({ bookId });
+  // Book IDs are unique across branches, and deleted books keep theirs
+  const bookIdExists = await Library.findOne({ bookId })
+    .setOptions({ skipBranchScope: true, withDeleted: true });
   if (bookIdExists) {
     return res.status(400).json({
       success: false,
-      message: 'Book ID already exists'
+      message: bookIdExists.deletedAt
+        ? 'A deleted book has this ID, restore it from the trash instead'
+        : 'Book ID already exists'
     });
   }
 
@@ -133,7 +136,7 @@ router.post('/', protect, checkRole('admin'), asyncHandler(async (req, res) => {
 // @desc    Update library book
 // @route   PUT /api/library/:id
 // @access  Private/Admin
-router.put('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('library.manage'), asyncHandler(async (req, res) => {
   const { title, author, isbn, category, publisher, publishedYear, edition, price, shelfLocation, status } = req.body;
 
   const book = await Library.findById(req.params.id);
@@ -168,7 +171,7 @@ router.put('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) =>
 // @desc    Delete library book
 // @route   DELETE /api/library/:id
 // @access  Private/Admin
-router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('library.manage'), asyncHandler(async (req, res) => {
   const book = await Library.findById(req.params.id);
   if (!book) {
     return res.status(404).json({
@@ -185,7 +188,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
     });
   }
 
-  await book.remove();
+  await book.softDelete(req.user._id);
 
   res.json({
     success: true,
@@ -196,7 +199,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
 // @desc    Issue book to student
 // @route   POST /api/library/issue
 // @access  Private/Admin/Teacher
-router.post('/issue', protect, checkRole('admin', 'teacher'), asyncHandler(async (req, res) => {
+router.post('/issue', protect, requirePermission('library.issue'), asyncHandler(async (req, res) => {
   const { bookId, studentId, dueDate } = req.body;
 
   if (!bookId || !studentId || !dueDate) {
@@ -251,7 +254,7 @@ router.post('/issue', protect, checkRole('admin', 'teacher'), asyncHandler(async
 // @desc    Return book from student
 // @route   POST /api/library/return
 // @access  Private/Admin/Teacher
-router.post('/return', protect, checkRole('admin', 'teacher'), asyncHandler(async (req, res) => {
+router.post('/return', protect, requirePermission('library.issue'), asyncHandler(async (req, res) => {
   const { bookId } = req.body;
 
   if (!bookId) {
@@ -0,0 +1,104 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const Notice = require("../models/Notice");
+const { protect } = require("../middleware/auth");
+const { runUnscoped } = require("../utils/requestContext");
+const { roomsFor } = require("../utils/socket");
+
+const router = express.Router();
+
+// Notices reach the rooms the user's socket joins, which for parents span
+// their children's branches
+const myRooms = (user) => runUnscoped(() => roomsFor(user));
+
+// @desc    Get the notices sent to the current user, newest first
+// @route   GET /api/notices
+// @access  Private
+router.get(
+  "/",
+  protect,
+  asyncHandler(async (req, res) => {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const query = { room: { $in: await myRooms(req.user) } };
+    if (unread === "true") query.readBy = { $ne: req.user._id };
+
+    const [result] = await runUnscoped(() =>
+      Notice.aggregate([
+        { $match: query },
+        {
+          $facet: {
+            notices: [
+              { $sort: { createdAt: -1 } },
+              { $skip: (page - 1) * limit },
+              { $limit: limit * 1 },
+              {
+                $project: {
+                  title: 1,
+                  message: 1,
+                  type: 1,
+                  createdAt: 1,
+                  sentBy: 1,
+                  read: { $in: [req.user._id, "$readBy"] },
+                },
+              },
+            ],
+            total: [{ $count: "count" }],
+          },
+        },
+      ])
+    );
+    await runUnscoped(() =>
+      Notice.populate(result.notices, {
+        path: "sentBy",
+        select: "firstName lastName",
+      })
+    );
+    const total = result.total.length ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      data: {
+        notices: result.notices,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Mark a notice as read
+// @route   POST /api/notices/:id/read
+// @access  Private
+router.post(
+  "/:id/read",
+  protect,
+  asyncHandler(async (req, res) => {
+    const rooms = await myRooms(req.user);
+    const notice = await runUnscoped(() =>
+      Notice.findOneAndUpdate(
+        { _id: req.params.id, room: { $in: rooms } },
+        { $addToSet: { readBy: req.user._id } },
+        { new: true }
+      )
+    );
+
+    if (!notice) {
+      return res.status(404).json({
+        success: false,
+        message: "Notice not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Notice marked as read",
+    });
+  })
+);
+
+module.exports = router;
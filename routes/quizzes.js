@@ -4,7 +4,8 @@ const Quiz = require("../models/Quiz");
 const Course = require("../models/Course");
 const Student = require("../models/Student");
 const Teacher = require("../models/Teacher");
-const { protect, checkRole } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
+const { emitToStudents } = require("../utils/socket");
 
 const router = express.Router();
 
@@ -94,7 +95,7 @@ router.get(
 router.post(
   "/",
   protect,
-  checkRole("teacher", "admin"),
+  requirePermission("quizzes.manage"),
   asyncHandler(async (req, res) => {
     const {
       title,
@@ -161,6 +162,7 @@ router.post(
       title,
       description,
       course,
+      branchId: courseDoc.branchId,
       instructor:
         req.user.role === "admin"
           ? req.body.instructor
@@ -183,15 +185,12 @@ router.post(
     // Emit real-time notification
     const io = req.app.get("io");
     if (io) {
-      const studentIds = assignedTo || courseDoc.enrolledStudents;
-      studentIds.forEach((studentId) => {
-        io.to(`user_${studentId}`).emit("quiz_created", {
-          quizId: quiz._id,
-          title: quiz.title,
-          startDate: quiz.startDate,
-          endDate: quiz.endDate,
-          courseId: quiz.course,
-        });
+      emitToStudents(io, quiz.assignedTo, "quiz_created", {
+        quizId: quiz._id,
+        title: quiz.title,
+        startDate: quiz.startDate,
+        endDate: quiz.endDate,
+        courseId: quiz.course,
       });
     }
 
@@ -209,7 +208,7 @@ router.post(
 router.put(
   "/:id",
   protect,
-  checkRole("teacher", "admin"),
+  requirePermission("quizzes.manage"),
   asyncHandler(async (req, res) => {
     const quiz = await Quiz.findById(req.params.id);
     if (!quiz) {
@@ -251,7 +250,7 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  checkRole("teacher", "admin"),
+  requirePermission("quizzes.manage"),
   asyncHandler(async (req, res) => {
     const quiz = await Quiz.findById(req.params.id);
     if (!quiz) {
@@ -272,7 +271,7 @@ router.delete(
       }
     }
 
-    await quiz.deleteOne();
+    await quiz.softDelete(req.user._id);
 
     res.json({
       success: true,
@@ -287,7 +286,7 @@ router.delete(
 router.post(
   "/:id/start",
   protect,
-  checkRole("student"),
+  requirePermission("quizzes.take"),
   asyncHandler(async (req, res) => {
     const quiz = await Quiz.findById(req.params.id)
       .populate("course", "title code")
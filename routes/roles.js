@@ -0,0 +1,200 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const Role = require("../models/Role");
+const User = require("../models/User");
+const {
+  protect,
+  requirePermission,
+  clearPermissionCache,
+} = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+
+const router = express.Router();
+
+// @desc    Get permission catalog
+// @route   GET /api/roles/permissions
+// @access  Private (roles.manage)
+router.get(
+  "/permissions",
+  protect,
+  requirePermission("roles.manage"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: Object.entries(PERMISSIONS).map(([name, description]) => ({
+        name,
+        description,
+      })),
+    });
+  })
+);
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private (roles.manage)
+router.get(
+  "/",
+  protect,
+  requirePermission("roles.manage"),
+  asyncHandler(async (req, res) => {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: roles,
+    });
+  })
+);
+
+// @desc    Get role by ID
+// @route   GET /api/roles/:id
+// @access  Private (roles.manage)
+router.get(
+  "/:id",
+  protect,
+  requirePermission("roles.manage"),
+  asyncHandler(async (req, res) => {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const userCount = await User.countDocuments(
+      role.isSystem ? { role: role.name } : { roles: role._id }
+    );
+
+    res.json({
+      success: true,
+      data: { ...role.toObject(), userCount },
+    });
+  })
+);
+
+// @desc    Create custom role
+// @route   POST /api/roles
+// @access  Private (roles.manage)
+router.post(
+  "/",
+  protect,
+  requirePermission("roles.manage"),
+  asyncHandler(async (req, res) => {
+    const { name, displayName, description, permissions = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "Role name is required",
+      });
+    }
+
+    const roleExists = await Role.findOne({ name: name.toLowerCase() });
+
+    if (roleExists) {
+      return res.status(400).json({
+        success: false,
+        message: "Role with this name already exists",
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      displayName: displayName || name,
+      description,
+      permissions,
+      createdBy: req.user._id,
+    });
+
+    clearPermissionCache();
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      data: role,
+    });
+  })
+);
+
+// @desc    Update role
+// @route   PUT /api/roles/:id
+// @access  Private (roles.manage)
+router.put(
+  "/:id",
+  protect,
+  requirePermission("roles.manage"),
+  asyncHandler(async (req, res) => {
+    const { displayName, description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    if (role.name === "admin") {
+      return res.status(400).json({
+        success: false,
+        message: "The admin role always holds every permission",
+      });
+    }
+
+    role.displayName = displayName || role.displayName;
+    role.description =
+      description !== undefined ? description : role.description;
+    if (Array.isArray(permissions)) role.permissions = permissions;
+
+    const updatedRole = await role.save();
+
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: "Role updated successfully",
+      data: updatedRole,
+    });
+  })
+);
+
+// @desc    Delete custom role
+// @route   DELETE /api/roles/:id
+// @access  Private (roles.manage)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("roles.manage"),
+  asyncHandler(async (req, res) => {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: "System roles cannot be deleted",
+      });
+    }
+
+    await User.updateMany({ roles: role._id }, { $pull: { roles: role._id } });
+    await role.deleteOne();
+
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  })
+);
+
+module.exports = router;
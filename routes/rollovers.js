@@ -0,0 +1,269 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const Rollover = require("../models/Rollover");
+const Branch = require("../models/Branch");
+const { protect, requirePermission } = require("../middleware/auth");
+const {
+  ACTIONS,
+  nextAcademicYear,
+  buildPlan,
+  describePlan,
+  resumableFilter,
+  isInterrupted,
+  runRollover,
+} = require("../utils/rollover");
+
+const router = express.Router();
+
+// Branch, years and decisions of a preview or rollover request, or the
+// message explaining what is wrong with them
+const readRequest = async (req) => {
+  const { branchId, fromYear, classMap = {}, overrides = [] } = req.body;
+
+  const branch = branchId && (await Branch.findById(branchId));
+  if (
+    !branch ||
+    (req.allowedBranches && !req.allowedBranches.includes(branch.id))
+  ) {
+    return { status: 404, message: "Branch not found" };
+  }
+
+  if (!fromYear) {
+    return { status: 400, message: "Please provide the academic year to end" };
+  }
+  const toYear = req.body.toYear || nextAcademicYear(fromYear);
+  if (!toYear) {
+    return {
+      status: 400,
+      message: `Cannot tell the year after ${fromYear}, please provide toYear`,
+    };
+  }
+  if (toYear === fromYear) {
+    return { status: 400, message: "toYear must differ from fromYear" };
+  }
+
+  if (typeof classMap !== "object" || Array.isArray(classMap)) {
+    return {
+      status: 400,
+      message: "classMap must be an object of class ID: class ID or graduate",
+    };
+  }
+  if (
+    !Array.isArray(overrides) ||
+    overrides.some((item) => !item || !item.student || !item.action)
+  ) {
+    return {
+      status: 400,
+      message: `overrides must be a list of { student, action, section } with action one of: ${ACTIONS.join(
+        ", "
+      )}`,
+    };
+  }
+
+  return {
+    branch,
+    options: {
+      fromYear,
+      toYear,
+      classMap: new Map(Object.entries(classMap)),
+      overrides: overrides.map(({ student, action, section }) => ({
+        student,
+        action,
+        section,
+      })),
+    },
+  };
+};
+
+// Run a rollover in the background; it records how it went
+const startRollover = (rollover) => {
+  runRollover(rollover._id).catch((error) => {
+    console.error(`Rollover ${rollover._id} failed:`, error.message);
+  });
+};
+
+// @desc    Preview the promotion of a branch's students into the next
+//          academic year
+// @route   POST /api/rollovers/preview
+// @access  Private (rollovers.manage)
+router.post(
+  "/preview",
+  protect,
+  requirePermission("rollovers.manage"),
+  asyncHandler(async (req, res) => {
+    const request = await readRequest(req);
+    if (request.message) {
+      return res
+        .status(request.status)
+        .json({ success: false, message: request.message });
+    }
+
+    const plan = await buildPlan(request.branch, request.options);
+
+    res.json({
+      success: true,
+      data: describePlan(plan),
+    });
+  })
+);
+
+// @desc    Get rollovers
+// @route   GET /api/rollovers
+// @access  Private (rollovers.manage)
+router.get(
+  "/",
+  protect,
+  requirePermission("rollovers.manage"),
+  asyncHandler(async (req, res) => {
+    const { branchId, status, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+    if (branchId) query.branchId = branchId;
+    if (status) query.status = status;
+
+    const rollovers = await Rollover.find(query)
+      .populate("executedBy", "firstName lastName")
+      .populate("branchId", "name")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Rollover.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        rollovers,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Get rollover
+// @route   GET /api/rollovers/:id
+// @access  Private (rollovers.manage)
+router.get(
+  "/:id",
+  protect,
+  requirePermission("rollovers.manage"),
+  asyncHandler(async (req, res) => {
+    const rollover = await Rollover.findById(req.params.id)
+      .populate("executedBy", "firstName lastName")
+      .populate("branchId", "name");
+
+    if (!rollover) {
+      return res.status(404).json({
+        success: false,
+        message: "Rollover not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rollover,
+    });
+  })
+);
+
+// @desc    Promote a branch's students into the next academic year, cloning
+//          its classes, sections and courses. Running it again after a
+//          failure or an interruption moves the students left.
+// @route   POST /api/rollovers
+// @access  Private (rollovers.manage)
+router.post(
+  "/",
+  protect,
+  requirePermission("rollovers.manage"),
+  asyncHandler(async (req, res) => {
+    const request = await readRequest(req);
+    if (request.message) {
+      return res
+        .status(request.status)
+        .json({ success: false, message: request.message });
+    }
+    const { branch, options } = request;
+
+    const previous = await Rollover.findOne({
+      branchId: branch._id,
+      fromYear: options.fromYear,
+    });
+    if (previous && previous.status !== "failed" && !isInterrupted(previous)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          previous.status === "running"
+            ? `The ${options.fromYear} rollover is still running`
+            : `${options.fromYear} has already been rolled over`,
+        data: previous,
+      });
+    }
+    if (previous && previous.toYear !== options.toYear) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${options.fromYear} rollover moves students into ${previous.toYear}`,
+      });
+    }
+
+    const plan = await buildPlan(branch, options);
+    if (plan.issues.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Resolve the issues of the rollover first",
+        data: { issues: plan.issues },
+      });
+    }
+
+    const start = {
+      status: "running",
+      classMap: options.classMap,
+      overrides: options.overrides,
+      executedBy: req.user._id,
+      startedAt: new Date(),
+      heartbeatAt: new Date(),
+    };
+
+    let rollover;
+    if (previous) {
+      // Claim the failed or interrupted run so a second request cannot
+      // resume it as well
+      rollover = await Rollover.findOneAndUpdate(
+        { _id: previous._id, ...resumableFilter() },
+        { ...start, $unset: { failureReason: 1, finishedAt: 1 } },
+        { new: true }
+      );
+    } else {
+      rollover = await Rollover.create({
+        branchId: branch._id,
+        fromYear: options.fromYear,
+        toYear: options.toYear,
+        ...start,
+      }).catch((error) => {
+        if (error.code === 11000) return null;
+        throw error;
+      });
+    }
+
+    if (!rollover) {
+      return res.status(409).json({
+        success: false,
+        message: `The ${options.fromYear} rollover is still running`,
+      });
+    }
+
+    startRollover(rollover);
+
+    res.status(202).json({
+      success: true,
+      message: "Rollover started",
+      data: rollover,
+    });
+  })
+);
+
+module.exports = router;
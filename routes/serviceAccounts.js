@@ -0,0 +1,392 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const asyncHandler = require("express-async-handler");
+const ServiceAccount = require("../models/ServiceAccount");
+const ApiKey = require("../models/ApiKey");
+const Branch = require("../models/Branch");
+const {
+  protect,
+  requirePermission,
+  hasPermission,
+} = require("../middleware/auth");
+const { isValidPermission } = require("../utils/permissions");
+
+const router = express.Router();
+
+// Keys expire after this many days unless an expiry is given
+const DEFAULT_KEY_TTL_DAYS = parseInt(process.env.API_KEY_TTL_DAYS) || 365;
+
+// Validate the scope of a new key against what the creator may grant.
+// Returns an error message, or null when the scope is acceptable.
+const validateKeyScope = async (
+  req,
+  { permissions, branches, allBranches }
+) => {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return "At least one permission is required";
+  }
+
+  const unknown = permissions.filter((p) => !isValidPermission(p));
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(", ")}`;
+  }
+
+  for (const permission of permissions) {
+    if (!(await hasPermission(req, permission))) {
+      return `You cannot grant permission '${permission}'`;
+    }
+  }
+
+  if (allBranches) {
+    return req.allowedBranches
+      ? "Only users with access to every branch can create all-branch keys"
+      : null;
+  }
+
+  if (!Array.isArray(branches) || branches.length === 0) {
+    return "At least one branch is required";
+  }
+
+  if (!branches.every((id) => mongoose.isValidObjectId(id))) {
+    return "Invalid branch ID";
+  }
+
+  if (
+    req.allowedBranches &&
+    !branches.every((id) => req.allowedBranches.includes(id.toString()))
+  ) {
+    return "You cannot grant access to these branches";
+  }
+
+  const found = await Branch.countDocuments({ _id: { $in: branches } });
+  return found === new Set(branches.map(String)).size
+    ? null
+    : "Branch not found";
+};
+
+const keyExpiry = (expiresAt) => {
+  if (expiresAt) return new Date(expiresAt);
+  return new Date(Date.now() + DEFAULT_KEY_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// @desc    Get all service accounts
+// @route   GET /api/service-accounts
+// @access  Private (serviceAccounts.manage)
+router.get(
+  "/",
+  protect,
+  requirePermission("serviceAccounts.manage"),
+  asyncHandler(async (req, res) => {
+    const accounts = await ServiceAccount.find()
+      .populate("createdBy", "firstName lastName email")
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: accounts,
+    });
+  })
+);
+
+// @desc    Create service account
+// @route   POST /api/service-accounts
+// @access  Private (serviceAccounts.manage)
+router.post(
+  "/",
+  protect,
+  requirePermission("serviceAccounts.manage"),
+  asyncHandler(async (req, res) => {
+    const { name, description } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "Service account name is required",
+      });
+    }
+
+    if (await ServiceAccount.exists({ name: name.trim() })) {
+      return res.status(400).json({
+        success: false,
+        message: "A service account with this name already exists",
+      });
+    }
+
+    const account = await ServiceAccount.create({
+      name,
+      description,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Service account created successfully",
+      data: account,
+    });
+  })
+);
+
+// @desc    Get service account with its API keys
+// @route   GET /api/service-accounts/:id
+// @access  Private (serviceAccounts.manage)
+router.get(
+  "/:id",
+  protect,
+  requirePermission("serviceAccounts.manage"),
+  asyncHandler(async (req, res) => {
+    const account = await ServiceAccount.findById(req.params.id).populate(
+      "createdBy",
+      "firstName lastName email"
+    );
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Service account not found",
+      });
+    }
+
+    const keys = await ApiKey.find({ serviceAccount: account._id })
+      .populate("branches", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { ...account.toObject(), keys },
+    });
+  })
+);
+
+// @desc    Update service account
+// @route   PUT /api/service-accounts/:id
+// @access  Private (serviceAccounts.manage)
+router.put(
+  "/:id",
+  protect,
+  requirePermission("serviceAccounts.manage"),
+  asyncHandler(async (req, res) => {
+    const { name, description, isActive } = req.body;
+
+    const account = await ServiceAccount.findById(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Service account not found",
+      });
+    }
+
+    if (name !== undefined) account.name = name;
+    if (description !== undefined) account.description = description;
+    if (isActive !== undefined) account.isActive = isActive;
+
+    const updatedAccount = await account.save();
+
+    res.json({
+      success: true,
+      message: "Service account updated successfully",
+      data: updatedAccount,
+    });
+  })
+);
+
+// @desc    Deactivate service account and revoke all its keys
+// @route   DELETE /api/service-accounts/:id
+// @access  Private (serviceAccounts.manage)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("serviceAccounts.manage"),
+  asyncHandler(async (req, res) => {
+    const account = await ServiceAccount.findById(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Service account not found",
+      });
+    }
+
+    // Accounts are kept so audit entries still resolve to them
+    account.isActive = false;
+    await account.save();
+
+    const keys = await ApiKey.find({
+      serviceAccount: account._id,
+      revokedAt: null,
+    });
+    for (const key of keys) {
+      await key.revoke("account_deactivated", req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: "Service account deactivated successfully",
+      data: { revokedKeys: keys.length },
+    });
+  })
+);
+
+// @desc    Create API key for a service account
+// @route   POST /api/service-accounts/:id/keys
+// @access  Private (serviceAccounts.manage)
+router.post(
+  "/:id/keys",
+  protect,
+  requirePermission("serviceAccounts.manage"),
+  asyncHandler(async (req, res) => {
+    const { name, permissions, branches, allBranches, expiresAt } = req.body;
+
+    const account = await ServiceAccount.findById(req.params.id);
+
+    if (!account || !account.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Service account not found",
+      });
+    }
+
+    const scopeError = await validateKeyScope(req, {
+      permissions,
+      branches,
+      allBranches,
+    });
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError,
+      });
+    }
+
+    const expiry = keyExpiry(expiresAt);
+    if (isNaN(expiry) || expiry <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: "Expiry must be a date in the future",
+      });
+    }
+
+    const { apiKey, key } = ApiKey.generate({
+      serviceAccount: account._id,
+      name,
+      permissions,
+      branches: allBranches ? [] : branches,
+      allBranches: !!allBranches,
+      expiresAt: expiry,
+      createdBy: req.user._id,
+    });
+    await apiKey.save();
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Store it now, it will not be shown again.",
+      data: { ...apiKey.toJSON(), key },
+    });
+  })
+);
+
+// @desc    Rotate API key, keeping the old key valid for a grace period
+// @route   POST /api/service-accounts/:id/keys/:keyId/rotate
+// @access  Private (serviceAccounts.manage)
+router.post(
+  "/:id/keys/:keyId/rotate",
+  protect,
+  requirePermission("serviceAccounts.manage"),
+  asyncHandler(async (req, res) => {
+    const { graceHours = 0, expiresAt } = req.body;
+
+    const oldKey = await ApiKey.findOne({
+      _id: req.params.keyId,
+      serviceAccount: req.params.id,
+    }).populate("serviceAccount");
+
+    if (!oldKey || !oldKey.serviceAccount.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (oldKey.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot rotate a ${oldKey.status} API key`,
+      });
+    }
+
+    // The creator must still be able to grant the key's scope
+    const scopeError = await validateKeyScope(req, oldKey);
+    if (scopeError) {
+      return res.status(403).json({
+        success: false,
+        message: scopeError,
+      });
+    }
+
+    const { apiKey, key } = ApiKey.generate({
+      serviceAccount: oldKey.serviceAccount._id,
+      name: oldKey.name,
+      permissions: oldKey.permissions,
+      branches: oldKey.branches,
+      allBranches: oldKey.allBranches,
+      expiresAt: keyExpiry(expiresAt),
+      createdBy: req.user._id,
+    });
+    await apiKey.save();
+
+    oldKey.replacedBy = apiKey._id;
+    const grace = parseFloat(graceHours) * 60 * 60 * 1000;
+    if (grace > 0) {
+      const graceEnd = new Date(Date.now() + grace);
+      if (!oldKey.expiresAt || graceEnd < oldKey.expiresAt) {
+        oldKey.expiresAt = graceEnd;
+      }
+      await oldKey.save();
+    } else {
+      await oldKey.revoke("rotated", req.user._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message:
+        "API key rotated. Store the new key now, it will not be shown again.",
+      data: {
+        ...apiKey.toJSON(),
+        key,
+        previousKeyExpiresAt: oldKey.revokedAt || oldKey.expiresAt,
+      },
+    });
+  })
+);
+
+// @desc    Revoke API key
+// @route   POST /api/service-accounts/:id/keys/:keyId/revoke
+// @access  Private (serviceAccounts.manage)
+router.post(
+  "/:id/keys/:keyId/revoke",
+  protect,
+  requirePermission("serviceAccounts.manage"),
+  asyncHandler(async (req, res) => {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.keyId,
+      serviceAccount: req.params.id,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    await apiKey.revoke(req.body.reason || "revoked", req.user._id);
+
+    res.json({
+      success: true,
+      message: "API key revoked successfully",
+      data: apiKey,
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const SsoProvider = require("../models/SsoProvider");
+const { protect, requirePermission } = require("../middleware/auth");
+const { allowedBranches } = require("../middleware/tenancy");
+const oidc = require("../utils/oidc");
+
+const router = express.Router();
+
+// Fields an admin may set directly; the client secret is handled separately
+const EDITABLE_FIELDS = [
+  "slug",
+  "displayName",
+  "issuer",
+  "clientId",
+  "tokenAuthMethod",
+  "scopes",
+  "allowedDomains",
+  "jit",
+  "branchId",
+  "enabled",
+];
+
+// Shared providers sign in users of every branch, so branch-scoped admins
+// may neither change them nor move their own providers to another branch
+const providerChangeError = (req, provider) => {
+  if (!allowedBranches(req.user)) return null;
+  if (!provider.branchId) {
+    return "Only admins of every branch can change shared providers";
+  }
+  if (
+    req.body.branchId !== undefined &&
+    String(req.body.branchId) !== provider.branchId.toString()
+  ) {
+    return "Providers cannot be moved to another branch";
+  }
+  return null;
+};
+
+// @desc    Get single sign-on providers
+// @route   GET /api/sso-providers
+// @access  Private (sso.manage)
+router.get(
+  "/",
+  protect,
+  requirePermission("sso.manage"),
+  asyncHandler(async (req, res) => {
+    const providers = await SsoProvider.find()
+      .populate("branchId", "name")
+      .sort({ displayName: 1 });
+
+    res.json({
+      success: true,
+      data: providers,
+    });
+  })
+);
+
+// @desc    Create single sign-on provider
+// @route   POST /api/sso-providers
+// @access  Private (sso.manage)
+router.post(
+  "/",
+  protect,
+  requirePermission("sso.manage"),
+  asyncHandler(async (req, res) => {
+    const provider = new SsoProvider({ createdBy: req.user._id });
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) provider[field] = req.body[field];
+    }
+    provider.setClientSecret(req.body.clientSecret);
+
+    if (await SsoProvider.exists({ slug: provider.slug })) {
+      return res.status(400).json({
+        success: false,
+        message: "A provider with this slug already exists",
+      });
+    }
+
+    await provider.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Single sign-on provider created successfully",
+      data: provider,
+    });
+  })
+);
+
+// @desc    Get single sign-on provider
+// @route   GET /api/sso-providers/:id
+// @access  Private (sso.manage)
+router.get(
+  "/:id",
+  protect,
+  requirePermission("sso.manage"),
+  asyncHandler(async (req, res) => {
+    const provider = await SsoProvider.findById(req.params.id).populate(
+      "branchId",
+      "name"
+    );
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Single sign-on provider not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: provider,
+    });
+  })
+);
+
+// @desc    Update single sign-on provider
+// @route   PUT /api/sso-providers/:id
+// @access  Private (sso.manage)
+router.put(
+  "/:id",
+  protect,
+  requirePermission("sso.manage"),
+  asyncHandler(async (req, res) => {
+    const provider = await SsoProvider.findById(req.params.id);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Single sign-on provider not found",
+      });
+    }
+
+    const changeError = providerChangeError(req, provider);
+    if (changeError) {
+      return res.status(403).json({
+        success: false,
+        message: changeError,
+      });
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) provider[field] = req.body[field];
+    }
+    // An empty string clears the secret, leaving it out keeps the old one
+    if (req.body.clientSecret !== undefined) {
+      provider.setClientSecret(req.body.clientSecret);
+    }
+
+    const updatedProvider = await provider.save();
+
+    res.json({
+      success: true,
+      message: "Single sign-on provider updated successfully",
+      data: updatedProvider,
+    });
+  })
+);
+
+// @desc    Delete single sign-on provider
+// @route   DELETE /api/sso-providers/:id
+// @access  Private (sso.manage)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("sso.manage"),
+  asyncHandler(async (req, res) => {
+    const provider = await SsoProvider.findById(req.params.id);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Single sign-on provider not found",
+      });
+    }
+
+    const changeError = providerChangeError(req, provider);
+    if (changeError) {
+      return res.status(403).json({
+        success: false,
+        message: changeError,
+      });
+    }
+
+    await provider.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Single sign-on provider deleted successfully",
+    });
+  })
+);
+
+// @desc    Check that the provider's discovery document can be loaded
+// @route   POST /api/sso-providers/:id/test
+// @access  Private (sso.manage)
+router.post(
+  "/:id/test",
+  protect,
+  requirePermission("sso.manage"),
+  asyncHandler(async (req, res) => {
+    const provider = await SsoProvider.findById(req.params.id);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Single sign-on provider not found",
+      });
+    }
+
+    try {
+      const metadata = await oidc.discover(provider.issuer);
+
+      res.json({
+        success: true,
+        message: "Provider is reachable",
+        data: {
+          issuer: metadata.issuer,
+          authorizationEndpoint: metadata.authorization_endpoint,
+          tokenEndpoint: metadata.token_endpoint,
+          supportsPkce: (
+            metadata.code_challenge_methods_supported || []
+          ).includes("S256"),
+        },
+      });
+    } catch (error) {
+      res.status(502).json({
+        success: false,
+        message: `Provider discovery failed: ${error.message}`,
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,457 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const Student = require("../models/Student");
+const User = require("../models/User");
+const Class = require("../models/Class");
+const Section = require("../models/Section");
+const Branch = require("../models/Branch");
+const Guardian = require("../models/Guardian");
+const { protect, requirePermission } = require("../middleware/auth");
+const { runInTransaction } = require("../utils/transaction");
+const { runUnscoped } = require("../utils/requestContext");
+const {
+  takeSeat,
+  nextStudentId,
+  nextRollNumber,
+} = require("../utils/enrollment");
+const {
+  createAccount,
+  sendAccountSetup,
+  accountSummary,
+} = require("../utils/accounts");
+const {
+  transferStudent,
+  issueCertificate,
+  certificateHtml,
+} = require("../utils/transfers");
+
+const router = express.Router();
+
+// Error that aborts an admission or transfer and is reported with its status
+const studentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const PROFILE_FIELDS = ["email", "firstName", "lastName", "phone", "address"];
+
+const pickProfile = (details = {}) =>
+  Object.fromEntries(
+    PROFILE_FIELDS.filter((field) => details[field] !== undefined).map(
+      (field) => [field, details[field]]
+    )
+  );
+
+// Find or create the parent account of a guardian in the admission request
+const resolveGuardianUser = async (details, branchId, session) => {
+  const email = details.email && details.email.toLowerCase().trim();
+  const existing = details.user
+    ? await User.findById(details.user)
+        .session(session)
+        .setOptions({ skipBranchScope: true })
+    : email &&
+      (await User.findOne({ email })
+        .session(session)
+        .setOptions({ skipBranchScope: true, withDeleted: true }));
+
+  if (details.user && !existing) {
+    throw studentError("Guardian user not found", 404);
+  }
+
+  // Deleted accounts keep their email until purged
+  if (existing && existing.deletedAt) {
+    throw studentError(
+      `${existing.email} belongs to a deleted account, restore it first`
+    );
+  }
+
+  if (existing) {
+    if (existing.role !== "parent") {
+      throw studentError(`${existing.email} is not a parent account`);
+    }
+    if (existing.grantBranchAccess(branchId)) {
+      await existing.save({ session, validateBeforeSave: false });
+    }
+    return { user: existing };
+  }
+
+  return createAccount(
+    {
+      ...pickProfile(details),
+      role: "parent",
+      branchId,
+    },
+    session
+  );
+};
+
+// @desc    Admit a student: create their account, student record and
+//          guardian links together
+// @route   POST /api/students/admissions
+// @access  Private (students.admit)
+router.post(
+  "/admissions",
+  protect,
+  requirePermission("students.admit"),
+  asyncHandler(async (req, res) => {
+    const {
+      student: details = {},
+      class: classId,
+      section: sectionId,
+      admissionDate,
+      guardians = [],
+    } = req.body;
+
+    if (!details.email || !details.firstName || !details.lastName) {
+      return res.status(400).json({
+        success: false,
+        message: "Student email, first name and last name are required",
+      });
+    }
+
+    if (!classId || !sectionId) {
+      return res.status(400).json({
+        success: false,
+        message: "Class and section are required",
+      });
+    }
+
+    if (!Array.isArray(guardians)) {
+      return res.status(400).json({
+        success: false,
+        message: "Guardians must be an array",
+      });
+    }
+
+    const guardianKeys = guardians.map((g) =>
+      String(g.user || (g.email || "").toLowerCase().trim())
+    );
+    if (
+      guardianKeys.some((key) => !key) ||
+      new Set(guardianKeys).size !== guardianKeys.length
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Each guardian needs a distinct user or email",
+      });
+    }
+
+    if (guardians.filter((g) => g.isPrimaryContact).length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Only one guardian can be the primary contact",
+      });
+    }
+
+    const admittedOn = admissionDate ? new Date(admissionDate) : new Date();
+
+    let admission;
+    try {
+      admission = await runInTransaction(async (session) => {
+        const cls = await Class.findById(classId).session(session);
+        if (!cls || !cls.isActive) {
+          throw studentError("Class not found", 404);
+        }
+
+        const section = await Section.findOne({
+          _id: sectionId,
+          classId: cls._id,
+        }).session(session);
+        if (!section || !section.isActive) {
+          throw studentError("Section not found in this class", 404);
+        }
+
+        const branch = await Branch.findById(cls.branchId).session(session);
+
+        if (
+          await User.exists({ email: details.email.toLowerCase().trim() })
+            .session(session)
+            .setOptions({ skipBranchScope: true, withDeleted: true })
+        ) {
+          throw studentError("A user with this email already exists");
+        }
+
+        await takeSeat(section, session);
+
+        const patternValues = { date: admittedOn, cls, section };
+        const studentId = await nextStudentId(branch, patternValues, session);
+        const rollNumber = await nextRollNumber(branch, patternValues, session);
+
+        const account = await createAccount(
+          {
+            ...pickProfile(details),
+            phone: details.phone || "Not provided",
+            role: "student",
+            branchId: branch._id,
+          },
+          session
+        );
+
+        const student = new Student({
+          user: account.user._id,
+          studentId,
+          rollNumber,
+          class: cls._id,
+          section: section._id,
+          admissionDate: admittedOn,
+          dateOfBirth: details.dateOfBirth,
+          gender: details.gender,
+          emergencyContact: details.emergencyContact,
+          medicalInformation: details.medicalInformation,
+          branchId: branch._id,
+        });
+        await student.save({ session });
+
+        const newAccounts = [account];
+        const links = [];
+        for (const details of guardians) {
+          const guardianAccount = await resolveGuardianUser(
+            details,
+            branch._id,
+            session
+          );
+          if (guardianAccount.setupToken) newAccounts.push(guardianAccount);
+
+          const guardian = new Guardian({
+            student: student._id,
+            user: guardianAccount.user._id,
+            relationship: details.relationship,
+            isPrimaryContact: !!details.isPrimaryContact,
+            financiallyResponsible: !!details.financiallyResponsible,
+            canPickUp: details.canPickUp !== false,
+            restrictions: details.restrictions,
+            linkedBy: req.user._id,
+            branchId: branch._id,
+          });
+          await guardian.save({ session });
+          links.push(guardian);
+        }
+
+        return { branch, student, guardians: links, newAccounts };
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    // Only invite people once their accounts really exist
+    for (const account of admission.newAccounts) {
+      await sendAccountSetup(account, admission.branch.name);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Student admitted with ID ${admission.student.studentId}`,
+      data: {
+        student: admission.student,
+        guardians: admission.guardians,
+        createdAccounts: admission.newAccounts.map(({ user }) =>
+          accountSummary(user)
+        ),
+      },
+    });
+  })
+);
+
+// Student and one of their transfers, or the response saying why not
+const findTransfer = async (req, res) => {
+  const student = await Student.findById(req.params.id);
+  const transfer = student && student.transferHistory.id(req.params.transferId);
+
+  if (!transfer) {
+    res.status(404).json({
+      success: false,
+      message: student ? "Transfer not found" : "Student not found",
+    });
+    return {};
+  }
+  return { student, transfer };
+};
+
+// @desc    Transfer a student to another section, class or branch
+// @route   POST /api/students/:id/transfer
+// @access  Private (students.transfer)
+router.post(
+  "/:id/transfer",
+  protect,
+  requirePermission("students.transfer"),
+  asyncHandler(async (req, res) => {
+    const {
+      class: classId,
+      section: sectionId,
+      reason,
+      date,
+      issueCertificate: withCertificate,
+      releaseTransport,
+    } = req.body;
+
+    if (!classId || !sectionId) {
+      return res.status(400).json({
+        success: false,
+        message: "Class and section to transfer to are required",
+      });
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: "Student not found",
+      });
+    }
+    if (!student.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Only active students can be transferred",
+      });
+    }
+
+    // The class may belong to another branch the user works in
+    const cls = await Class.findById(classId).setOptions({
+      skipBranchScope: true,
+    });
+    if (
+      !cls ||
+      !cls.isActive ||
+      (req.allowedBranches &&
+        !req.allowedBranches.includes(cls.branchId.toString()))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "Class not found",
+      });
+    }
+
+    let result;
+    try {
+      result = await runUnscoped(() =>
+        runInTransaction(async (session) => {
+          const section = await Section.findOne({
+            _id: sectionId,
+            classId: cls._id,
+          }).session(session);
+          if (!section || !section.isActive) {
+            throw studentError("Section not found in this class", 404);
+          }
+
+          const current = await Student.findById(student._id).session(session);
+          return transferStudent(
+            current,
+            cls,
+            section,
+            {
+              date: date ? new Date(date) : new Date(),
+              reason,
+              issueCertificate: !!withCertificate,
+              releaseTransport: !!releaseTransport,
+              transferredBy: req.user._id,
+            },
+            session
+          );
+        })
+      );
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: result.transfer.certificateNumber
+        ? `Student transferred with certificate ${result.transfer.certificateNumber}`
+        : "Student transferred successfully",
+      data: result,
+    });
+  })
+);
+
+// @desc    Get the transfer history of a student
+// @route   GET /api/students/:id/transfers
+// @access  Private (students.transfer)
+router.get(
+  "/:id/transfers",
+  protect,
+  requirePermission("students.transfer"),
+  asyncHandler(async (req, res) => {
+    // Transfers name branches, classes and courses the user may not see
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: "Student not found",
+      });
+    }
+
+    await runUnscoped(() =>
+      student.populate([
+        { path: "transferHistory.from.branch", select: "name" },
+        { path: "transferHistory.from.class", select: "name grade" },
+        { path: "transferHistory.from.section", select: "name" },
+        { path: "transferHistory.to.branch", select: "name" },
+        { path: "transferHistory.to.class", select: "name grade" },
+        { path: "transferHistory.to.section", select: "name" },
+        { path: "transferHistory.droppedCourses", select: "title code" },
+        { path: "transferHistory.enrolledCourses", select: "title code" },
+        { path: "transferHistory.transferredBy", select: "firstName lastName" },
+      ])
+    );
+
+    res.json({
+      success: true,
+      data: student.transferHistory,
+    });
+  })
+);
+
+// @desc    Issue a transfer certificate for an earlier transfer
+// @route   POST /api/students/:id/transfers/:transferId/certificate
+// @access  Private (students.transfer)
+router.post(
+  "/:id/transfers/:transferId/certificate",
+  protect,
+  requirePermission("students.transfer"),
+  asyncHandler(async (req, res) => {
+    const { student, transfer } = await findTransfer(req, res);
+    if (!transfer) return;
+
+    const issued = !transfer.certificateNumber;
+    await runUnscoped(() => issueCertificate(student, transfer));
+
+    res.status(issued ? 201 : 200).json({
+      success: true,
+      message: issued
+        ? `Transfer certificate ${transfer.certificateNumber} issued`
+        : "A certificate was already issued for this transfer",
+      data: transfer,
+    });
+  })
+);
+
+// @desc    Print the transfer certificate of a transfer
+// @route   GET /api/students/:id/transfers/:transferId/certificate
+// @access  Private (students.transfer)
+router.get(
+  "/:id/transfers/:transferId/certificate",
+  protect,
+  requirePermission("students.transfer"),
+  asyncHandler(async (req, res) => {
+    const { student, transfer } = await findTransfer(req, res);
+    if (!transfer) return;
+
+    const html = await runUnscoped(() => certificateHtml(student, transfer));
+    res.type("html").send(html);
+  })
+);
+
+module.exports = router;
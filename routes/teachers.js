@@ -0,0 +1,808 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const Teacher = require("../models/Teacher");
+const User = require("../models/User");
+const Branch = require("../models/Branch");
+const Class = require("../models/Class");
+const Section = require("../models/Section");
+const Course = require("../models/Course");
+const {
+  protect,
+  requirePermission,
+  hasPermission,
+} = require("../middleware/auth");
+const { runInTransaction } = require("../utils/transaction");
+const { uniqueIdentifier } = require("../utils/identifierPattern");
+const {
+  createAccount,
+  sendAccountSetup,
+  accountSummary,
+} = require("../utils/accounts");
+
+const router = express.Router();
+
+// Fields an admin may set on a teacher profile
+const PROFILE_FIELDS = [
+  "subjectSpecializations",
+  "department",
+  "joiningDate",
+  "qualification",
+  "experience",
+  "salary",
+];
+
+// Fields of the linked account an admin may set
+const ACCOUNT_FIELDS = ["firstName", "lastName", "phone", "address"];
+
+const USER_FIELDS = "firstName lastName email phone isActive";
+
+// Error that aborts a change and is reported with its status. Conflicting
+// assignments of other teachers are returned with it.
+const teacherError = (message, statusCode = 400, conflicts) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.conflicts = conflicts;
+  return error;
+};
+
+// Respond to errors thrown inside a transaction
+const sendTeacherError = (res, error) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.conflicts) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      data: { conflicts: error.conflicts },
+    });
+  }
+  throw error;
+};
+
+const pick = (source = {}, fields) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => source[field] !== undefined)
+      .map((field) => [field, source[field]])
+  );
+
+// Trimmed, distinct subject names
+const normalizeSubjects = (subjects) =>
+  Array.isArray(subjects)
+    ? [...new Set(subjects.map((subject) => String(subject).trim()))].filter(
+        Boolean
+      )
+    : null;
+
+// Salaries are only shown to those who may change them
+const salaryProjection = async (req) =>
+  (await hasPermission(req, "teachers.manage")) ? "" : "-salary";
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Where the lead teacher of an assignment is recorded: the class teacher of
+// its section, or the homeroom teacher when it covers the whole class
+const leadOf = (assignment) =>
+  assignment.section
+    ? { model: Section, id: assignment.section, field: "classTeacher" }
+    : { model: Class, id: assignment.class, field: "homeroomTeacher" };
+
+// Assignments of other active teachers teaching one of `subjects` to the
+// same students: in the same section, or anywhere in the class when either
+// assignment covers the whole class
+const findConflicts = async (teacher, assignment, subjects, session) => {
+  if (!subjects.length) return [];
+
+  const others = await Teacher.find({
+    _id: { $ne: teacher._id },
+    isActive: true,
+    assignedClasses: {
+      $elemMatch: { class: assignment.class, subjects: { $in: subjects } },
+    },
+  })
+    .populate("user", "firstName lastName")
+    .session(session);
+
+  return others.flatMap((other) =>
+    other.assignedClasses
+      .filter(
+        (theirs) =>
+          sameId(theirs.class, assignment.class) &&
+          (!theirs.section ||
+            !assignment.section ||
+            sameId(theirs.section, assignment.section))
+      )
+      .map((theirs) => ({
+        teacher: {
+          _id: other._id,
+          employeeId: other.employeeId,
+          name: other.user
+            ? `${other.user.firstName} ${other.user.lastName}`
+            : undefined,
+        },
+        class: theirs.class,
+        section: theirs.section,
+        subjects: theirs.subjects.filter((subject) =>
+          subjects.includes(subject)
+        ),
+      }))
+      .filter((conflict) => conflict.subjects.length)
+  );
+};
+
+// Make the teacher the class or homeroom teacher of an assignment, unless
+// another teacher already is
+const claimLead = async (teacher, assignment, session) => {
+  const { model, id, field } = leadOf(assignment);
+  const claimed = await model.findOneAndUpdate(
+    { _id: id, [field]: { $in: [null, teacher._id] } },
+    { [field]: teacher._id },
+    { new: true, session }
+  );
+
+  if (!claimed) {
+    const current = await model.findById(id).session(session);
+    throw teacherError(
+      assignment.section
+        ? "This section already has a class teacher"
+        : "This class already has a homeroom teacher",
+      409,
+      [
+        {
+          teacher: current[field],
+          class: assignment.class,
+          section: assignment.section,
+        },
+      ]
+    );
+  }
+};
+
+// Step down as class or homeroom teacher of an assignment
+const releaseLead = (teacher, assignment, session) => {
+  const { model, id, field } = leadOf(assignment);
+  return model.updateOne(
+    { _id: id, [field]: teacher._id },
+    { $unset: { [field]: 1 } },
+    { session }
+  );
+};
+
+const isLead = async (teacher, assignment, session) => {
+  const { model, id, field } = leadOf(assignment);
+  return !!(await model
+    .exists({ _id: id, [field]: teacher._id })
+    .session(session));
+};
+
+// @desc    Get the classes, sections and courses of the current teacher
+// @route   GET /api/teachers/me/classes
+// @access  Private (teacher)
+router.get(
+  "/me/classes",
+  protect,
+  asyncHandler(async (req, res) => {
+    const teacher = await Teacher.findOne({ user: req.user._id })
+      .select("-salary")
+      .populate(
+        "assignedClasses.class",
+        "name grade academicYear homeroomTeacher"
+      )
+      .populate(
+        "assignedClasses.section",
+        "name roomNumber capacity currentEnrollment classTeacher"
+      );
+
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: "No teacher profile is linked to your account",
+      });
+    }
+
+    const courses = await Course.find({
+      instructor: teacher._id,
+      isActive: true,
+    })
+      .select("title code subject grade type schedule startDate endDate")
+      .sort({ grade: 1, title: 1 });
+
+    const assignments = teacher.assignedClasses.map((assignment) => ({
+      _id: assignment._id,
+      class: assignment.class,
+      section: assignment.section,
+      subjects: assignment.subjects,
+      isClassTeacher: assignment.section
+        ? sameId(assignment.section.classTeacher, teacher._id)
+        : !!assignment.class &&
+          sameId(assignment.class.homeroomTeacher, teacher._id),
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        teacher: {
+          _id: teacher._id,
+          employeeId: teacher.employeeId,
+          department: teacher.department,
+          subjectSpecializations: teacher.subjectSpecializations,
+        },
+        assignments,
+        courses,
+      },
+    });
+  })
+);
+
+// @desc    Get teachers
+// @route   GET /api/teachers
+// @access  Private (teachers.view)
+router.get(
+  "/",
+  protect,
+  requirePermission("teachers.view"),
+  asyncHandler(async (req, res) => {
+    const {
+      department,
+      subject,
+      class: classId,
+      section,
+      isActive,
+      search,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    let query = {};
+    if (department) query.department = department;
+    if (subject) query.subjectSpecializations = subject;
+    if (classId) query["assignedClasses.class"] = classId;
+    if (section) query["assignedClasses.section"] = section;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+    if (search) {
+      const pattern = { $regex: search, $options: "i" };
+      const users = await User.find({
+        role: "teacher",
+        $or: [
+          { firstName: pattern },
+          { lastName: pattern },
+          { email: pattern },
+        ],
+      }).distinct("_id");
+      query.$or = [{ employeeId: pattern }, { user: { $in: users } }];
+    }
+
+    const teachers = await Teacher.find(query)
+      .select(await salaryProjection(req))
+      .populate("user", USER_FIELDS)
+      .populate("assignedClasses.class", "name grade")
+      .populate("assignedClasses.section", "name")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ employeeId: 1 });
+
+    const total = await Teacher.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        teachers,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Get teacher
+// @route   GET /api/teachers/:id
+// @access  Private (teachers.view)
+router.get(
+  "/:id",
+  protect,
+  requirePermission("teachers.view"),
+  asyncHandler(async (req, res) => {
+    const teacher = await Teacher.findById(req.params.id)
+      .select(await salaryProjection(req))
+      .populate("user", USER_FIELDS)
+      .populate("branchId", "name")
+      .populate("assignedClasses.class", "name grade academicYear")
+      .populate("assignedClasses.section", "name roomNumber");
+
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: "Teacher not found",
+      });
+    }
+
+    const courses = await Course.find({ instructor: teacher._id })
+      .select("title code subject grade isActive")
+      .sort({ grade: 1, title: 1 });
+
+    res.json({
+      success: true,
+      data: { ...teacher.toObject(), courses },
+    });
+  })
+);
+
+// @desc    Onboard a teacher: create their profile with a new or existing
+//          teacher account
+// @route   POST /api/teachers
+// @access  Private (teachers.manage)
+router.post(
+  "/",
+  protect,
+  requirePermission("teachers.manage"),
+  asyncHandler(async (req, res) => {
+    const { user: userId, account = {}, employeeId, branchId } = req.body;
+
+    if (!branchId) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide branchId",
+      });
+    }
+
+    if (
+      !userId &&
+      (!account.email ||
+        !account.firstName ||
+        !account.lastName ||
+        !account.phone)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Provide an existing user, or an account with email, first name, last name and phone",
+      });
+    }
+
+    const branch = await Branch.findById(branchId);
+
+    if (!branch || !branch.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Branch not found",
+      });
+    }
+
+    let onboarding;
+    try {
+      onboarding = await runInTransaction(async (session) => {
+        let newAccount;
+        let user;
+
+        if (userId) {
+          user = await User.findById(userId).session(session);
+          if (!user) throw teacherError("User not found", 404);
+          if (user.role !== "teacher") {
+            throw teacherError(`${user.email} is not a teacher account`);
+          }
+          if (await Teacher.exists({ user: user._id }).session(session)) {
+            throw teacherError("This user already has a teacher profile");
+          }
+        } else {
+          if (
+            await User.exists({ email: account.email.toLowerCase().trim() })
+              .session(session)
+              .setOptions({ skipBranchScope: true, withDeleted: true })
+          ) {
+            throw teacherError("A user with this email already exists");
+          }
+          newAccount = await createAccount(
+            {
+              ...pick(account, ACCOUNT_FIELDS),
+              email: account.email,
+              role: "teacher",
+              branchId: branch._id,
+            },
+            session
+          );
+          user = newAccount.user;
+        }
+
+        const isTaken = (value) =>
+          Teacher.exists({ employeeId: value })
+            .session(session)
+            .setOptions({ skipBranchScope: true });
+
+        if (employeeId && (await isTaken(employeeId))) {
+          throw teacherError("Employee ID already in use");
+        }
+
+        const teacher = new Teacher({
+          ...pick(req.body, PROFILE_FIELDS),
+          user: user._id,
+          employeeId:
+            employeeId ||
+            (await uniqueIdentifier(
+              branch.admissionSettings.employeeIdPattern,
+              `employeeId:${branch._id}`,
+              { branch, date: new Date(req.body.joiningDate || Date.now()) },
+              isTaken,
+              session
+            )),
+          branchId: branch._id,
+        });
+        await teacher.save({ session });
+
+        return { teacher, user, newAccount };
+      });
+    } catch (error) {
+      return sendTeacherError(res, error);
+    }
+
+    if (onboarding.newAccount) {
+      await sendAccountSetup(onboarding.newAccount, branch.name);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Teacher onboarded with employee ID ${onboarding.teacher.employeeId}`,
+      data: {
+        teacher: onboarding.teacher,
+        user: accountSummary(onboarding.user),
+        accountCreated: !!onboarding.newAccount,
+      },
+    });
+  })
+);
+
+// @desc    Update teacher profile
+// @route   PUT /api/teachers/:id
+// @access  Private (teachers.manage)
+router.put(
+  "/:id",
+  protect,
+  requirePermission("teachers.manage"),
+  asyncHandler(async (req, res) => {
+    const { account, employeeId, isActive } = req.body;
+
+    const teacher = await Teacher.findById(req.params.id);
+
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: "Teacher not found",
+      });
+    }
+
+    if (isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: "Use DELETE /api/teachers/:id to deactivate a teacher",
+      });
+    }
+
+    if (
+      employeeId &&
+      employeeId !== teacher.employeeId &&
+      (await Teacher.exists({ employeeId }).setOptions({
+        skipBranchScope: true,
+      }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Employee ID already in use",
+      });
+    }
+
+    let updated;
+    try {
+      updated = await runInTransaction(async (session) => {
+        const profile = await Teacher.findById(teacher._id).session(session);
+        const user = await User.findById(profile.user).session(session);
+
+        profile.set(pick(req.body, PROFILE_FIELDS));
+        if (employeeId) profile.employeeId = employeeId;
+        if (isActive === true) profile.isActive = true;
+        await profile.save({ session });
+
+        if (user && (account || isActive === true)) {
+          user.set(pick(account, ACCOUNT_FIELDS));
+          if (isActive === true) user.isActive = true;
+          await user.save({ session });
+        }
+
+        return profile;
+      });
+    } catch (error) {
+      return sendTeacherError(res, error);
+    }
+
+    res.json({
+      success: true,
+      message: "Teacher updated successfully",
+      data: updated,
+    });
+  })
+);
+
+// @desc    Deactivate a teacher: disable their account and release their
+//          class assignments
+// @route   DELETE /api/teachers/:id
+// @access  Private (teachers.manage)
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("teachers.manage"),
+  asyncHandler(async (req, res) => {
+    const teacher = await Teacher.findById(req.params.id);
+
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: "Teacher not found",
+      });
+    }
+
+    // Courses need an instructor, so hand them over first
+    const courses = await Course.find({
+      instructor: teacher._id,
+      isActive: true,
+    }).select("title code");
+
+    if (courses.length) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Assign another instructor to this teacher's active courses first",
+        data: { courses },
+      });
+    }
+
+    await runInTransaction(async (session) => {
+      const profile = await Teacher.findById(teacher._id).session(session);
+
+      for (const assignment of profile.assignedClasses) {
+        await releaseLead(profile, assignment, session);
+      }
+      profile.assignedClasses = [];
+      profile.isActive = false;
+      await profile.save({ session });
+
+      await User.updateOne(
+        { _id: profile.user },
+        { isActive: false },
+        { session }
+      );
+    });
+
+    res.json({
+      success: true,
+      message: "Teacher deactivated successfully",
+    });
+  })
+);
+
+// @desc    Assign a teacher to a class or section, for some subjects and/or
+//          as its class teacher
+// @route   POST /api/teachers/:id/assignments
+// @access  Private (teachers.manage)
+router.post(
+  "/:id/assignments",
+  protect,
+  requirePermission("teachers.manage"),
+  asyncHandler(async (req, res) => {
+    const { class: classId, section: sectionId, classTeacher } = req.body;
+    const subjects = normalizeSubjects(req.body.subjects || []);
+
+    if (!classId) {
+      return res.status(400).json({
+        success: false,
+        message: "Class is required",
+      });
+    }
+
+    if (!subjects || (!subjects.length && !classTeacher)) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide the subjects taught, or make them the class teacher",
+      });
+    }
+
+    let teacher;
+    try {
+      teacher = await runInTransaction(async (session) => {
+        const profile = await Teacher.findById(req.params.id).session(session);
+        if (!profile) throw teacherError("Teacher not found", 404);
+        if (!profile.isActive) {
+          throw teacherError("Cannot assign an inactive teacher");
+        }
+
+        const cls = await Class.findById(classId).session(session);
+        if (!cls || !cls.isActive) throw teacherError("Class not found", 404);
+        if (!sameId(cls.branchId, profile.branchId)) {
+          throw teacherError("Class belongs to another branch");
+        }
+
+        if (sectionId) {
+          const section = await Section.findOne({
+            _id: sectionId,
+            classId: cls._id,
+          }).session(session);
+          if (!section || !section.isActive) {
+            throw teacherError("Section not found in this class", 404);
+          }
+        }
+
+        const assignment = { class: cls._id, section: sectionId || undefined };
+
+        if (
+          profile.assignedClasses.some(
+            (existing) =>
+              sameId(existing.class, assignment.class) &&
+              String(existing.section || "") === String(sectionId || "")
+          )
+        ) {
+          throw teacherError(
+            "Teacher is already assigned here, update that assignment instead"
+          );
+        }
+
+        const conflicts = await findConflicts(
+          profile,
+          assignment,
+          subjects,
+          session
+        );
+        if (conflicts.length) {
+          throw teacherError(
+            "Another teacher already teaches these subjects here",
+            409,
+            conflicts
+          );
+        }
+
+        if (classTeacher) await claimLead(profile, assignment, session);
+
+        profile.assignedClasses.push({ ...assignment, subjects });
+        await profile.save({ session });
+
+        return profile;
+      });
+    } catch (error) {
+      return sendTeacherError(res, error);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Teacher assigned successfully",
+      data: teacher.assignedClasses[teacher.assignedClasses.length - 1],
+    });
+  })
+);
+
+// @desc    Change the subjects or class teacher role of an assignment
+// @route   PUT /api/teachers/:id/assignments/:assignmentId
+// @access  Private (teachers.manage)
+router.put(
+  "/:id/assignments/:assignmentId",
+  protect,
+  requirePermission("teachers.manage"),
+  asyncHandler(async (req, res) => {
+    const { classTeacher } = req.body;
+    const subjects =
+      req.body.subjects === undefined
+        ? undefined
+        : normalizeSubjects(req.body.subjects);
+
+    if (subjects === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Subjects must be an array",
+      });
+    }
+
+    let assignment;
+    try {
+      assignment = await runInTransaction(async (session) => {
+        const profile = await Teacher.findById(req.params.id).session(session);
+        if (!profile) throw teacherError("Teacher not found", 404);
+
+        const existing = profile.assignedClasses.id(req.params.assignmentId);
+        if (!existing) throw teacherError("Assignment not found", 404);
+
+        if (subjects) {
+          const added = subjects.filter(
+            (subject) => !existing.subjects.includes(subject)
+          );
+          const conflicts = await findConflicts(
+            profile,
+            existing,
+            added,
+            session
+          );
+          if (conflicts.length) {
+            throw teacherError(
+              "Another teacher already teaches these subjects here",
+              409,
+              conflicts
+            );
+          }
+          existing.subjects = subjects;
+        }
+
+        if (classTeacher === true) await claimLead(profile, existing, session);
+        if (classTeacher === false) {
+          await releaseLead(profile, existing, session);
+        }
+
+        const leads =
+          typeof classTeacher === "boolean"
+            ? classTeacher
+            : await isLead(profile, existing, session);
+        if (!existing.subjects.length && !leads) {
+          throw teacherError(
+            "An assignment needs subjects or the class teacher role, remove it instead"
+          );
+        }
+
+        await profile.save({ session });
+        return existing;
+      });
+    } catch (error) {
+      return sendTeacherError(res, error);
+    }
+
+    res.json({
+      success: true,
+      message: "Assignment updated successfully",
+      data: assignment,
+    });
+  })
+);
+
+// @desc    Remove a teacher from a class or section
+// @route   DELETE /api/teachers/:id/assignments/:assignmentId
+// @access  Private (teachers.manage)
+router.delete(
+  "/:id/assignments/:assignmentId",
+  protect,
+  requirePermission("teachers.manage"),
+  asyncHandler(async (req, res) => {
+    const teacher = await Teacher.findById(req.params.id);
+
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: "Teacher not found",
+      });
+    }
+
+    if (!teacher.assignedClasses.id(req.params.assignmentId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      });
+    }
+
+    await runInTransaction(async (session) => {
+      const profile = await Teacher.findById(teacher._id).session(session);
+      const assignment = profile.assignedClasses.id(req.params.assignmentId);
+
+      if (assignment) {
+        await releaseLead(profile, assignment, session);
+        assignment.deleteOne();
+        await profile.save({ session });
+      }
+    });
+
+    res.json({
+      success: true,
+      message: "Assignment removed successfully",
+    });
+  })
+);
+
+module.exports = router;
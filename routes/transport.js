@@ -5,7 +5,7 @@ const Route = require('../models/Route');
 const Vehicle = require('../models/Vehicle');
 const Student = require('../models/Student');
 const User = require('../models/User');
-const { protect, checkRole } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -79,7 +79,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Create transport record
 // @route   POST /api/transport
 // @access  Private/Admin
-router.post('/', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.post('/', protect, requirePermission('transport.manage'), asyncHandler(async (req, res) => {
   const { routeId, vehicle, driver, capacity } = req.body;
 
   if (!routeId || !vehicle || !driver) {
@@ -128,7 +128,8 @@ router.post('/', protect, checkRole('admin'), asyncHandler(async (req, res) => {
     routeId,
     vehicle,
     driver,
-    capacity
+    capacity,
+    branchId: route.branchId
   });
 
   res.status(201).json({
@@ -141,7 +142,7 @@ router.post('/', protect, checkRole('admin'), asyncHandler(async (req, res) => {
 // @desc    Update transport record
 // @route   PUT /api/transport/:id
 // @access  Private/Admin
-router.put('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('transport.manage'), asyncHandler(async (req, res) => {
   const { capacity, status } = req.body;
 
   const transport = await Transport.findById(req.params.id);
@@ -180,7 +181,7 @@ router.put('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) =>
 // @desc    Delete transport record
 // @route   DELETE /api/transport/:id
 // @access  Private/Admin
-router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('transport.manage'), asyncHandler(async (req, res) => {
   const transport = await Transport.findById(req.params.id);
   if (!transport) {
     return res.status(404).json({
@@ -189,7 +190,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
     });
   }
 
-  await transport.remove();
+  await transport.softDelete(req.user._id);
 
   res.json({
     success: true,
@@ -200,7 +201,7 @@ router.delete('/:id', protect, checkRole('admin'), asyncHandler(async (req, res)
 // @desc    Assign students to transport
 // @route   POST /api/transport/:id/assign-students
 // @access  Private/Admin
-router.post('/:id/assign-students', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.post('/:id/assign-students', protect, requirePermission('transport.assign'), asyncHandler(async (req, res) => {
   const { students } = req.body;
 
   if (!Array.isArray(students) || students.length === 0) {
@@ -283,7 +284,7 @@ router.post('/:id/assign-students', protect, checkRole('admin'), asyncHandler(as
 // @desc    Remove students from transport
 // @route   POST /api/transport/:id/remove-students
 // @access  Private/Admin
-router.post('/:id/remove-students', protect, checkRole('admin'), asyncHandler(async (req, res) => {
+router.post('/:id/remove-students', protect, requirePermission('transport.assign'), asyncHandler(async (req, res) => {
   const { students } = req.body;
 
   if (!Array.isArray(students) || students.length === 0) {
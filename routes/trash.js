@@ -0,0 +1,149 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const { protect, requirePermission } = require("../middleware/auth");
+const {
+  RETENTION_DAYS,
+  softDeleteModels,
+  purgeDate,
+} = require("../utils/softDelete");
+
+const router = express.Router();
+
+// Models with a trash, addressed by collection name (e.g. "courses")
+const trashModel = (name) =>
+  softDeleteModels().find((model) => model.collection.name === name);
+
+const notFound = (res, message) =>
+  res.status(404).json({
+    success: false,
+    message,
+  });
+
+// @desc    Count deleted records per model
+// @route   GET /api/trash
+// @access  Private (trash.manage)
+router.get(
+  "/",
+  protect,
+  requirePermission("trash.manage"),
+  asyncHandler(async (req, res) => {
+    const models = await Promise.all(
+      softDeleteModels().map(async (model) => ({
+        model: model.collection.name,
+        entityType: model.modelName,
+        count: await model.countDocuments().setOptions({ onlyDeleted: true }),
+      }))
+    );
+
+    res.json({
+      success: true,
+      data: { retentionDays: RETENTION_DAYS, models },
+    });
+  })
+);
+
+// @desc    Get the deleted records of a model, latest first
+// @route   GET /api/trash/:model
+// @access  Private (trash.manage)
+router.get(
+  "/:model",
+  protect,
+  requirePermission("trash.manage"),
+  asyncHandler(async (req, res) => {
+    const model = trashModel(req.params.model);
+    if (!model) return notFound(res, "Unknown model");
+
+    const { page = 1, limit = 20 } = req.query;
+
+    const records = await model
+      .find()
+      .setOptions({ onlyDeleted: true })
+      .populate({
+        path: "deletedBy",
+        select: "firstName lastName",
+        options: { withDeleted: true },
+      })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ deletedAt: -1 });
+
+    const total = await model
+      .countDocuments()
+      .setOptions({ onlyDeleted: true });
+
+    res.json({
+      success: true,
+      data: {
+        records: records.map((record) => ({
+          ...record.toJSON(),
+          purgeAt: purgeDate(record.deletedAt),
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Restore a deleted record
+// @route   POST /api/trash/:model/:id/restore
+// @access  Private (trash.manage)
+router.post(
+  "/:model/:id/restore",
+  protect,
+  requirePermission("trash.manage"),
+  asyncHandler(async (req, res) => {
+    const model = trashModel(req.params.model);
+    const record =
+      model &&
+      (await model.findById(req.params.id).setOptions({ onlyDeleted: true }));
+    if (!record) return notFound(res, "Deleted record not found");
+
+    try {
+      await record.restore();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({
+        success: false,
+        message: `Another record now uses the same ${Object.keys(
+          error.keyValue || {}
+        ).join(", ")}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Record restored successfully",
+      data: record,
+    });
+  })
+);
+
+// @desc    Permanently delete a record from the trash
+// @route   DELETE /api/trash/:model/:id
+// @access  Private (trash.manage)
+router.delete(
+  "/:model/:id",
+  protect,
+  requirePermission("trash.manage"),
+  asyncHandler(async (req, res) => {
+    const model = trashModel(req.params.model);
+    const { deletedCount } = model
+      ? await model
+          .deleteOne({ _id: req.params.id })
+          .setOptions({ onlyDeleted: true })
+      : {};
+    if (!deletedCount) return notFound(res, "Deleted record not found");
+
+    res.json({
+      success: true,
+      message: "Record permanently deleted",
+    });
+  })
+);
+
+module.exports = router;
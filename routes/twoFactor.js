@@ -0,0 +1,190 @@
+const express = require("express");
+const asyncHandler = require("express-async-handler");
+const User = require("../models/User");
+const Branch = require("../models/Branch");
+const { protect, denyImpersonation } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Hidden two-factor fields needed to manage enrollment
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+
+// @desc    Get two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+router.get(
+  "/",
+  protect,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.backupCodes"
+    );
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt,
+        backupCodesRemaining: (user.twoFactor?.backupCodes || []).length,
+        required: await Branch.requiresTwoFactor(user.branchId, user.role),
+      },
+    });
+  })
+);
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post(
+  "/setup",
+  protect,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const enrollment = user.startTwoFactorEnrollment();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Scan the QR code with your authenticator app",
+      data: enrollment,
+    });
+  })
+);
+
+// @desc    Confirm two-factor enrollment
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post(
+  "/enable",
+  protect,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Please start two-factor setup first",
+      });
+    }
+
+    const backupCodes = user.confirmTwoFactorEnrollment(req.body.code);
+
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: { backupCodes },
+    });
+  })
+);
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post(
+  "/disable",
+  protect,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide password and authentication code",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      `+password ${TWO_FACTOR_FIELDS}`
+    );
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (await Branch.requiresTwoFactor(user.branchId, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is mandatory for your role",
+      });
+    }
+
+    if (
+      !(await user.comparePassword(password)) ||
+      !user.verifyTwoFactorCode(code)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid password or authentication code",
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  })
+);
+
+// @desc    Regenerate backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+router.post(
+  "/backup-codes",
+  protect,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Backup codes regenerated",
+      data: { backupCodes },
+    });
+  })
+);
+
+module.exports = router;
@@ -1,48 +1,81 @@
 const express = require("express");
 const asyncHandler = require("express-async-handler");
-const multer = require("multer");
-const path = require("path");
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Student = require("../models/Student");
 const Teacher = require("../models/Teacher");
-const { protect, checkRole } = require("../middleware/auth");
+const Session = require("../models/Session");
+const LoginAttempt = require("../models/LoginAttempt");
+const Role = require("../models/Role");
+const Branch = require("../models/Branch");
+const AccessViolation = require("../models/AccessViolation");
+const { sendTemplate, clientUrl } = require("../utils/mailer");
+const { wantsExport, sendExport } = require("../utils/exporter");
+const {
+  receiveUpload,
+  storeUpload,
+  fileRef,
+  removeStoredFile,
+  fileLinks,
+} = require("../utils/uploads");
+const {
+  protect,
+  requirePermission,
+  hasPermission,
+  clearPermissionCache,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "uploads/profiles/");
-  },
-  filename: function (req, file, cb) {
-    cb(null, `${req.user._id}-${Date.now()}${path.extname(file.originalname)}`);
-  },
-});
-
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: function (req, file, cb) {
-    const filetypes = /jpeg|jpg|png|gif/;
-    const mimetype = filetypes.test(file.mimetype);
-    const extname = filetypes.test(
-      path.extname(file.originalname).toLowerCase()
-    );
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    }
-    cb(new Error("Only image files are allowed!"));
+// Reason a change of the user's built-in role is refused, if it is. Admins
+// hold every permission, so only admins grant or take away the admin role.
+const roleChangeError = async (req, user, role) => {
+  if (!User.schema.path("role").enumValues.includes(role)) {
+    return { status: 400, message: "Unknown role" };
+  }
+  if (user._id.equals(req.user._id)) {
+    return { status: 403, message: "You cannot change your own role" };
+  }
+  if (!(await hasPermission(req, "roles.manage"))) {
+    return { status: 403, message: "Changing roles requires roles.manage" };
+  }
+  if (
+    (role === "admin" || user.role === "admin") &&
+    req.user.role !== "admin"
+  ) {
+    return {
+      status: 403,
+      message: "Only admins can grant or remove the admin role",
+    };
+  }
+  return null;
+};
+
+// Columns of a user export (?format=csv|xlsx|ndjson)
+const USER_EXPORT_COLUMNS = {
+  email: { header: "Email" },
+  firstName: { header: "First name" },
+  lastName: { header: "Last name" },
+  phone: { header: "Phone" },
+  role: { header: "Role" },
+  branch: {
+    header: "Branch",
+    value: (user) => user.branchId && user.branchId.name,
   },
-});
-
-// @desc    Get all users
+  "address.city": { header: "City" },
+  "address.country": { header: "Country" },
+  isActive: { header: "Active" },
+  approvalStatus: { header: "Approval status" },
+  createdAt: { header: "Created at" },
+};
+
+// @desc    Get all users, or export them all with ?format=csv|xlsx|ndjson
 // @route   GET /api/users
 // @access  Private/Admin
 router.get(
   "/",
   protect,
-  checkRole("admin", "accountant"),
+  requirePermission("users.view"),
   asyncHandler(async (req, res) => {
     const { type, branchId, page = 1, limit = 10 } = req.query;
 
@@ -51,6 +84,16 @@ router.get(
     if (type) query.role = type;
     if (branchId) query.branchId = branchId;
 
+    if (wantsExport(req)) {
+      return sendExport(req, res, {
+        name: "users",
+        query: User.find(query)
+          .populate("branchId", "name")
+          .sort({ createdAt: -1 }),
+        columns: USER_EXPORT_COLUMNS,
+      });
+    }
+
     const users = await User.find(query)
       .populate("branchId", "name")
       .limit(limit * 1)
@@ -74,6 +117,182 @@ router.get(
   })
 );
 
+// Longest look-back of the suspicious login report, 30 days
+const MAX_SUSPICIOUS_HOURS = 30 * 24;
+
+// @desc    Get branch-wide suspicious login report
+// @route   GET /api/users/security/suspicious-logins
+// @access  Private/Admin
+router.get(
+  "/security/suspicious-logins",
+  protect,
+  requirePermission("users.security"),
+  asyncHandler(async (req, res) => {
+    const hours = Number(req.query.hours || 24);
+    const threshold = Number(req.query.threshold || 5);
+    const branchId = req.query.branchId || req.user.branchId;
+
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_SUSPICIOUS_HOURS) {
+      return res.status(400).json({
+        success: false,
+        message: `hours must be a whole number from 1 to ${MAX_SUSPICIOUS_HOURS}`,
+      });
+    }
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "threshold must be a positive whole number",
+      });
+    }
+    if (branchId && !mongoose.isValidObjectId(branchId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid branch ID",
+      });
+    }
+
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const match = {
+      createdAt: { $gte: since },
+      outcome: { $in: LoginAttempt.FAILURE_OUTCOMES },
+    };
+    if (branchId) match.branchId = new mongoose.Types.ObjectId(branchId);
+
+    // Accounts with many failures, possibly from many addresses
+    const targetedAccounts = await LoginAttempt.aggregate([
+      { $match: { ...match, user: { $ne: null } } },
+      {
+        $group: {
+          _id: "$user",
+          email: { $last: "$email" },
+          failures: { $sum: 1 },
+          lockouts: {
+            $sum: { $cond: [{ $eq: ["$outcome", "locked"] }, 1, 0] },
+          },
+          ipAddresses: { $addToSet: "$ipAddress" },
+          lastAttempt: { $max: "$createdAt" },
+        },
+      },
+      { $match: { failures: { $gte: threshold } } },
+      { $sort: { failures: -1 } },
+    ]);
+
+    // Addresses trying many different accounts (credential stuffing)
+    const suspiciousAddresses = await LoginAttempt.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$ipAddress",
+          failures: { $sum: 1 },
+          emails: { $addToSet: "$email" },
+          lastAttempt: { $max: "$createdAt" },
+        },
+      },
+      { $addFields: { accountsTargeted: { $size: "$emails" } } },
+      {
+        $match: {
+          $or: [
+            { failures: { $gte: threshold } },
+            { accountsTargeted: { $gt: 2 } },
+          ],
+        },
+      },
+      { $sort: { accountsTargeted: -1, failures: -1 } },
+    ]);
+
+    const lockedUsers = await User.find({
+      lockUntil: { $gt: new Date() },
+      ...(branchId && { branchId }),
+    }).select("email firstName lastName role lockUntil lockCount");
+
+    res.json({
+      success: true,
+      data: {
+        since,
+        branchId: branchId || null,
+        targetedAccounts,
+        suspiciousAddresses,
+        lockedUsers,
+      },
+    });
+  })
+);
+
+// @desc    Get cross-branch access violations
+// @route   GET /api/users/security/branch-violations
+// @access  Private (users.security)
+router.get(
+  "/security/branch-violations",
+  protect,
+  requirePermission("users.security"),
+  asyncHandler(async (req, res) => {
+    const { user, page = 1, limit = 20 } = req.query;
+
+    // Violations are reported to the branch the offending user belongs to
+    let query = {};
+    if (req.branchId) query.homeBranch = req.branchId;
+    if (user) query.user = user;
+
+    const violations = await AccessViolation.find(query)
+      .populate("user", "firstName lastName email role")
+      .populate("requestedBranch", "name")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await AccessViolation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        violations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
+// @desc    Get registrations awaiting approval
+// @route   GET /api/users/registrations/pending
+// @access  Private/Admin
+router.get(
+  "/registrations/pending",
+  protect,
+  requirePermission("users.approve"),
+  asyncHandler(async (req, res) => {
+    const { branchId, page = 1, limit = 10 } = req.query;
+
+    let query = { approvalStatus: "pending" };
+    if (branchId) query.branchId = branchId;
+
+    const users = await User.find(query)
+      .populate("branchId", "name")
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: 1 });
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit),
+          totalDocs: total,
+        },
+      },
+    });
+  })
+);
+
 // @desc    Get user by ID
 // @route   GET /api/users/:id
 // @access  Private
@@ -106,7 +325,7 @@ router.get(
 router.put(
   "/:id",
   protect,
-  checkRole("admin"),
+  requirePermission("users.manage"),
   asyncHandler(async (req, res) => {
     const { firstName, lastName, phone, address, role, isActive } = req.body;
 
@@ -119,15 +338,29 @@ router.put(
       });
     }
 
+    if (role && role !== user.role) {
+      const roleError = await roleChangeError(req, user, role);
+      if (roleError) {
+        return res.status(roleError.status).json({
+          success: false,
+          message: roleError.message,
+        });
+      }
+      user.role = role;
+    }
+
     user.firstName = firstName || user.firstName;
     user.lastName = lastName || user.lastName;
     user.phone = phone || user.phone;
     user.address = address || user.address;
-    user.role = role || user.role;
     user.isActive = isActive !== undefined ? isActive : user.isActive;
 
     const updatedUser = await user.save();
 
+    if (!updatedUser.isActive) {
+      await Session.revokeAllForUser(user._id, "deactivated", req.user._id);
+    }
+
     res.json({
       success: true,
       message: "User updated successfully",
@@ -136,13 +369,301 @@ router.put(
   })
 );
 
+// @desc    Assign custom roles to a user
+// @route   PUT /api/users/:id/roles
+// @access  Private (roles.manage)
+router.put(
+  "/:id/roles",
+  protect,
+  requirePermission("roles.manage"),
+  asyncHandler(async (req, res) => {
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({
+        success: false,
+        message: "roles must be an array of role IDs",
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const customRoles = await Role.find({
+      _id: { $in: roles },
+      isSystem: false,
+    });
+
+    if (customRoles.length !== roles.length) {
+      return res.status(400).json({
+        success: false,
+        message: "One or more roles were not found or are system roles",
+      });
+    }
+
+    user.roles = customRoles.map((role) => role._id);
+    await user.save();
+
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: "User roles updated successfully",
+      data: {
+        _id: user._id,
+        role: user.role,
+        roles: customRoles,
+      },
+    });
+  })
+);
+
+// @desc    Grant a user access to additional branches
+// @route   PUT /api/users/:id/branch-access
+// @access  Private (users.manage)
+router.put(
+  "/:id/branch-access",
+  protect,
+  requirePermission("users.manage"),
+  asyncHandler(async (req, res) => {
+    const { allBranches = false, branches = [] } = req.body;
+
+    if (!Array.isArray(branches)) {
+      return res.status(400).json({
+        success: false,
+        message: "branches must be an array of branch IDs",
+      });
+    }
+
+    // Only unscoped admins may hand out access to every branch
+    if ((allBranches || branches.length) && req.allowedBranches) {
+      const outside = branches.filter(
+        (id) => !req.allowedBranches.includes(String(id))
+      );
+
+      if (allBranches || outside.length) {
+        return res.status(403).json({
+          success: false,
+          message: "Cannot grant access to branches you cannot access",
+        });
+      }
+    }
+
+    if (
+      (await Branch.countDocuments({ _id: { $in: branches } })) !==
+      branches.length
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "One or more branches were not found",
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    user.branchAccess = { allBranches, branches };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Branch access updated successfully",
+      data: user.branchAccess,
+    });
+  })
+);
+
+// @desc    Approve a pending registration
+// @route   POST /api/users/:id/approve
+// @access  Private/Admin
+router.post(
+  "/:id/approve",
+  protect,
+  requirePermission("users.approve"),
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({
+      _id: req.params.id,
+      approvalStatus: "pending",
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending registration not found",
+      });
+    }
+
+    user.approvalStatus = "approved";
+    user.isActive = true;
+    user.approvalNote = req.body.note;
+    user.reviewedBy = req.user._id;
+    user.reviewedAt = new Date();
+    if (req.body.branchId) user.branchId = req.body.branchId;
+    await user.save();
+
+    await sendTemplate("registrationApproved", user.email, {
+      firstName: user.firstName,
+      role: user.role,
+      loginUrl: clientUrl("/login"),
+    });
+
+    res.json({
+      success: true,
+      message: "Registration approved successfully",
+      data: user,
+    });
+  })
+);
+
+// @desc    Reject a pending registration
+// @route   POST /api/users/:id/reject
+// @access  Private/Admin
+router.post(
+  "/:id/reject",
+  protect,
+  requirePermission("users.approve"),
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({
+      _id: req.params.id,
+      approvalStatus: "pending",
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending registration not found",
+      });
+    }
+
+    user.approvalStatus = "rejected";
+    user.isActive = false;
+    user.approvalNote = req.body.reason;
+    user.reviewedBy = req.user._id;
+    user.reviewedAt = new Date();
+    await user.save();
+
+    await sendTemplate("registrationRejected", user.email, {
+      firstName: user.firstName,
+      role: user.role,
+      reason: req.body.reason,
+    });
+
+    res.json({
+      success: true,
+      message: "Registration rejected successfully",
+      data: user,
+    });
+  })
+);
+
+// @desc    Unlock a locked-out user account
+// @route   POST /api/users/:id/unlock
+// @access  Private/Admin
+router.post(
+  "/:id/unlock",
+  protect,
+  requirePermission("users.security"),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    user.resetLoginFailures();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "User account unlocked successfully",
+    });
+  })
+);
+
+// @desc    Get a user's active sessions
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin
+router.get(
+  "/:id/sessions",
+  protect,
+  requirePermission("users.security"),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const sessions = await Session.find({
+      user: user._id,
+      revokedAt: null,
+    })
+      .select("device ipAddress userAgent lastSeenAt createdAt")
+      .sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions,
+    });
+  })
+);
+
+// @desc    Revoke all of a user's sessions
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin
+router.delete(
+  "/:id/sessions",
+  protect,
+  requirePermission("users.security"),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const revoked = await Session.revokeAllForUser(
+      user._id,
+      "admin_revoked",
+      req.user._id
+    );
+
+    res.json({
+      success: true,
+      message: "User sessions revoked successfully",
+      data: { revoked },
+    });
+  })
+);
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
 router.delete(
   "/:id",
   protect,
-  checkRole("admin"),
+  requirePermission("users.manage"),
   asyncHandler(async (req, res) => {
     const user = await User.findById(req.params.id);
 
@@ -169,7 +690,10 @@ router.delete(
       });
     }
 
-    await user.remove();
+    // Kept in the trash with its isActive flag as it was, so a restore
+    // brings the account back unchanged; until then it cannot sign in
+    await user.softDelete(req.user._id);
+    await Session.revokeAllForUser(user._id, "deleted", req.user._id);
 
     res.json({
       success: true,
@@ -217,13 +741,13 @@ router.put(
   })
 );
 
-// @desc    Upload profile image
+// @desc    Upload profile image, resized with a thumbnail
 // @route   PUT /api/users/profile/image
 // @access  Private
 router.put(
   "/profile/image",
   protect,
-  upload.single("profileImage"),
+  receiveUpload("profileImage", "profileImage"),
   asyncHandler(async (req, res) => {
     if (!req.file) {
       return res.status(400).json({
@@ -241,14 +765,24 @@ router.put(
       });
     }
 
-    // Store relative path
-    user.profileImage = `/uploads/profiles/${req.file.filename}`;
+    const file = await storeUpload("profileImage", req.file, {
+      uploadedBy: user._id,
+      branchId: user.branchId,
+    });
+    const previous = user.profileImage;
+
+    user.profileImage = fileRef(file);
     await user.save();
 
+    await removeStoredFile(previous).catch((error) => {
+      console.error("Could not remove old profile image:", error.message);
+    });
+
     res.json({
       success: true,
       message: "Profile image uploaded successfully",
       profileImage: user.profileImage,
+      data: fileLinks(file, req),
     });
   })
 );
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Branch = require("../models/Branch");
+const User = require("../models/User");
+const Student = require("../models/Student");
+const Teacher = require("../models/Teacher");
+const Class = require("../models/Class");
+const Course = require("../models/Course");
+const Fee = require("../models/Fee");
+const Invoice = require("../models/Invoice");
+const Attendance = require("../models/Attendance");
+const Grade = require("../models/Grade");
+const Assignment = require("../models/Assignment");
+const Quiz = require("../models/Quiz");
+const Transport = require("../models/Transport");
+const Route = require("../models/Route");
+
+dotenv.config();
+
+// Copy branchId onto documents of `Model` from the document their
+// `field` points at, for records created before branch isolation existed
+const backfillFrom = async (
+  Model,
+  field,
+  Source,
+  sourceBranchField = "branchId"
+) => {
+  const docs = await Model.find({ branchId: null }).select(field).lean();
+  let updated = 0;
+
+  for (const doc of docs) {
+    if (!doc[field]) continue;
+    const source = await Source.findById(doc[field])
+      .select(sourceBranchField)
+      .lean();
+    if (source && source[sourceBranchField]) {
+      await Model.updateOne(
+        { _id: doc._id },
+        { branchId: source[sourceBranchField] }
+      );
+      updated++;
+    }
+  }
+
+  console.log(
+    `${Model.modelName}: ${updated}/${docs.length} backfilled from ${Source.modelName}`
+  );
+};
+
+const backfillBranchIds = async () => {
+  // Users without a branch go to the only branch, if there is just one
+  const branches = await Branch.find({ isActive: true }).select("_id").lean();
+  if (branches.length === 1) {
+    const result = await User.updateMany(
+      { branchId: null },
+      { branchId: branches[0]._id }
+    );
+    console.log(`User: ${result.modifiedCount} assigned to the only branch`);
+  }
+
+  await backfillFrom(Student, "class", Class);
+  await backfillFrom(Teacher, "user", User);
+  await backfillFrom(Fee, "student", Student);
+  await backfillFrom(Invoice, "student", Student);
+  await backfillFrom(Attendance, "course", Course);
+  await backfillFrom(Grade, "course", Course);
+  await backfillFrom(Assignment, "course", Course);
+  await backfillFrom(Quiz, "course", Course);
+  await backfillFrom(Transport, "routeId", Route);
+};
+
+mongoose
+  .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/school_lms")
+  .then(backfillBranchIds)
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error("❌ Error backfilling branch IDs:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Student = require("../models/Student");
+const Guardian = require("../models/Guardian");
+
+dotenv.config();
+
+// Turn the single Student.parent link of older records into a Guardian,
+// as the primary, financially responsible contact. Safe to run repeatedly.
+const backfillGuardians = async () => {
+  const students = await Student.find({ parent: { $ne: null } })
+    .select("parent branchId")
+    .lean();
+  let created = 0;
+
+  for (const student of students) {
+    const result = await Guardian.updateOne(
+      { student: student._id, user: student.parent },
+      {
+        $setOnInsert: {
+          relationship: "legal_guardian",
+          isPrimaryContact: true,
+          financiallyResponsible: true,
+          linkedVia: "migration",
+          branchId: student.branchId,
+        },
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount) created++;
+  }
+
+  console.log(
+    `Guardian: ${created} created from ${students.length} students with a parent`
+  );
+};
+
+mongoose
+  .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/school_lms")
+  .then(backfillGuardians)
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error("❌ Error backfilling guardians:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,205 @@
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+// Minimal OpenID Connect provider for trying single sign-on locally. Signs
+// in whoever is named in login_hint (or the form), without a password.
+//
+//   npm run mock:oidc
+//
+// then create a provider with issuer http://localhost:4011, client ID
+// "school-lms" and client secret "mock-secret" (see MOCK_OIDC_* below).
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4011;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "school-lms";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "mock-secret";
+const KEY_ID = "mock-key";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+// Issued authorization codes and access tokens, in memory only
+const codes = new Map();
+const accessTokens = new Map();
+
+const randomToken = () => crypto.randomBytes(24).toString("base64url");
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+// Claims for an email address, e.g. "jane.doe@school.edu"
+const claimsFor = (email) => {
+  const [given, family = "User"] = email
+    .split("@")[0]
+    .split(/[._-]/)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1));
+
+  return {
+    sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+    email,
+    email_verified: true,
+    given_name: given,
+    family_name: family,
+    name: `${given} ${family}`,
+  };
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: [
+      "client_secret_post",
+      "client_secret_basic",
+      "none",
+    ],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [
+      {
+        ...publicKey.export({ format: "jwk" }),
+        kid: KEY_ID,
+        alg: "RS256",
+        use: "sig",
+      },
+    ],
+  });
+});
+
+// Sign in straight away with login_hint, otherwise ask for an email address
+app.all("/authorize", (req, res) => {
+  const params = { ...req.query, ...req.body };
+  const email = params.login_hint || params.email;
+
+  if (params.client_id !== CLIENT_ID) {
+    return res.status(400).send("Unknown client_id");
+  }
+
+  if (params.code_challenge_method !== "S256" || !params.code_challenge) {
+    return res.status(400).send("PKCE with S256 is required");
+  }
+
+  if (!email) {
+    const hidden = Object.entries(params)
+      .map(
+        ([name, value]) =>
+          `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(
+            value
+          )}">`
+      )
+      .join("");
+
+    return res.send(
+      `<form method="post" action="/authorize">${hidden}` +
+        `<label>Email <input name="email" type="email" autofocus></label>` +
+        `<button type="submit">Sign in</button></form>`
+    );
+  }
+
+  const code = randomToken();
+  codes.set(code, {
+    claims: claimsFor(email.toLowerCase()),
+    nonce: params.nonce,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set("code", code);
+  if (params.state) redirect.searchParams.set("state", params.state);
+  res.redirect(redirect.toString());
+});
+
+app.post("/token", (req, res) => {
+  let { client_id: clientId, client_secret: clientSecret } = req.body;
+
+  const basic = req.get("authorization");
+  if (basic && basic.startsWith("Basic ")) {
+    [clientId, clientSecret] = Buffer.from(basic.slice(6), "base64")
+      .toString()
+      .split(":")
+      .map(decodeURIComponent);
+  }
+
+  if (
+    clientId !== CLIENT_ID ||
+    (clientSecret && clientSecret !== CLIENT_SECRET)
+  ) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const challenge =
+    req.body.code_verifier &&
+    crypto
+      .createHash("sha256")
+      .update(req.body.code_verifier)
+      .digest("base64url");
+
+  if (
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.redirectUri !== req.body.redirect_uri ||
+    grant.codeChallenge !== challenge
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const accessToken = randomToken();
+  accessTokens.set(accessToken, grant.claims);
+
+  res.json({
+    token_type: "Bearer",
+    access_token: accessToken,
+    expires_in: 3600,
+    id_token: jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: "RS256",
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: "5m",
+    }),
+  });
+});
+
+app.get("/userinfo", (req, res) => {
+  const header = req.get("authorization") || "";
+  const claims = accessTokens.get(header.replace(/^Bearer /, ""));
+
+  if (!claims) {
+    return res.status(401).json({ error: "invalid_token" });
+  }
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+});
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const express = require("express");
+
+// Minimal S3-compatible object store for trying the s3 storage driver
+// locally, in the place of MinIO. Keeps objects in memory and checks the
+// Signature Version 4 of every request, signed headers or presigned URL.
+//
+//   npm run mock:s3
+//
+// then start the API with STORAGE_DRIVER=s3, S3_ENDPOINT=http://localhost:4012,
+// S3_BUCKET=school-lms, S3_ACCESS_KEY_ID=mock-access-key and
+// S3_SECRET_ACCESS_KEY=mock-secret-key (see MOCK_S3_* below). Any bucket
+// name is accepted.
+
+const PORT = parseInt(process.env.MOCK_S3_PORT) || 4012;
+const ACCESS_KEY_ID = process.env.MOCK_S3_ACCESS_KEY_ID || "mock-access-key";
+const SECRET_ACCESS_KEY =
+  process.env.MOCK_S3_SECRET_ACCESS_KEY || "mock-secret-key";
+
+// "bucket/key" -> { body, contentType, lastModified }
+const objects = new Map();
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+const encode = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+// "20130524T000000Z" -> milliseconds
+const parseAmzDate = (value) =>
+  Date.parse(
+    String(value).replace(
+      /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+      "$1-$2-$3T$4:$5:$6Z"
+    )
+  );
+
+const expectedSignature = (
+  req,
+  { date, scope, signedHeaders, query, payloadHash }
+) => {
+  const [day, region] = scope.split("/");
+  const canonicalRequest = [
+    req.method,
+    req.path
+      .split("/")
+      .map((part) => encode(decodeURIComponent(part)))
+      .join("/"),
+    Object.keys(query)
+      .sort()
+      .map((name) => `${encode(name)}=${encode(query[name])}`)
+      .join("&"),
+    signedHeaders
+      .split(";")
+      .map((name) => `${name}:${String(req.get(name) || "").trim()}\n`)
+      .join(""),
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    hmac,
+    hmac(hmac(`AWS4${SECRET_ACCESS_KEY}`, day), region)
+  );
+  return crypto
+    .createHmac("sha256", signingKey)
+    .update(
+      ["AWS4-HMAC-SHA256", date, scope, sha256(canonicalRequest)].join("\n")
+    )
+    .digest("hex");
+};
+
+const s3Error = (res, status, code, message) =>
+  res
+    .status(status)
+    .type("application/xml")
+    .send(
+      `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`
+    );
+
+// Reason the request's signature is refused, or null when it is valid
+const authError = (req) => {
+  const presigned = req.query["X-Amz-Signature"];
+  let credential, signedHeaders, signature, date, query, payloadHash;
+
+  if (presigned) {
+    ({
+      "X-Amz-Credential": credential,
+      "X-Amz-SignedHeaders": signedHeaders,
+      "X-Amz-Date": date,
+    } = req.query);
+    signature = presigned;
+    query = { ...req.query };
+    delete query["X-Amz-Signature"];
+    payloadHash = "UNSIGNED-PAYLOAD";
+
+    const expires = parseInt(req.query["X-Amz-Expires"]);
+    if (!(parseAmzDate(date) + expires * 1000 > Date.now())) {
+      return "Request has expired";
+    }
+  } else {
+    const match =
+      /^AWS4-HMAC-SHA256 Credential=([^,]+), ?SignedHeaders=([^,]+), ?Signature=([0-9a-f]+)$/.exec(
+        req.get("authorization") || ""
+      );
+    if (!match) return "Missing or malformed Authorization header";
+    [, credential, signedHeaders, signature] = match;
+    date = req.get("x-amz-date");
+    query = req.query;
+    payloadHash = req.get("x-amz-content-sha256");
+
+    if (payloadHash !== sha256(req.body)) {
+      return "The provided x-amz-content-sha256 does not match the body";
+    }
+  }
+
+  const [accessKeyId, ...scope] = String(credential).split("/");
+  if (accessKeyId !== ACCESS_KEY_ID) return "Unknown access key";
+
+  const expected = expectedSignature(req, {
+    date,
+    scope: scope.join("/"),
+    signedHeaders: String(signedHeaders),
+    query,
+    payloadHash,
+  });
+  return expected === signature ? null : "Signature does not match";
+};
+
+const app = express();
+app.use(express.raw({ type: () => true, limit: "200mb" }));
+// Requests without a body are hashed as empty
+app.use((req, res, next) => {
+  if (!Buffer.isBuffer(req.body)) req.body = Buffer.alloc(0);
+  next();
+});
+
+app.use((req, res, next) => {
+  const error = authError(req);
+  if (error) return s3Error(res, 403, "AccessDenied", error);
+  next();
+});
+
+app.put("/:bucket/*", (req, res) => {
+  const body = req.body;
+  objects.set(`${req.params.bucket}/${req.params[0]}`, {
+    body,
+    contentType: req.get("content-type") || "application/octet-stream",
+    lastModified: new Date(),
+  });
+  res.set("ETag", `"${crypto.createHash("md5").update(body).digest("hex")}"`);
+  res.status(200).end();
+});
+
+app.get("/:bucket/*", (req, res) => {
+  const object = objects.get(`${req.params.bucket}/${req.params[0]}`);
+  if (!object) {
+    return s3Error(res, 404, "NoSuchKey", "The specified key does not exist.");
+  }
+
+  res.set({
+    "Content-Type": req.query["response-content-type"] || object.contentType,
+    "Last-Modified": object.lastModified.toUTCString(),
+  });
+  if (req.query["response-content-disposition"]) {
+    res.set("Content-Disposition", req.query["response-content-disposition"]);
+  }
+  res.send(object.body);
+});
+
+app.delete("/:bucket/*", (req, res) => {
+  objects.delete(`${req.params.bucket}/${req.params[0]}`);
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock S3 server running at http://localhost:${PORT}`);
+});
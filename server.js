@@ -5,13 +5,16 @@ const dotenv = require("dotenv");
 const http = require("http");
 const { Server } = require("socket.io");
 const helmet = require("helmet");
-const rateLimit = require("express-rate-limit");
+const { createRateLimiter } = require("./middleware/rateLimit");
+const { setupSocket } = require("./utils/socket");
+const { requestContext } = require("./utils/requestContext");
 
 // Load environment variables
 dotenv.config();
 
 // Import routes
 const authRoutes = require("./routes/auth");
+const twoFactorRoutes = require("./routes/twoFactor");
 const userRoutes = require("./routes/users");
 const courseRoutes = require("./routes/courses");
 const attendanceRoutes = require("./routes/attendance");
@@ -27,18 +30,34 @@ const chatbotRoutes = require("./routes/chatbot");
 const biometricRoutes = require("./routes/biometric");
 const healthRoutes = require("./routes/health");
 const branchRoutes = require("./routes/branches");
+const invitationRoutes = require("./routes/invitations");
+const roleRoutes = require("./routes/roles");
+const auditRoutes = require("./routes/audit");
+const serviceAccountRoutes = require("./routes/serviceAccounts");
+const impersonationRoutes = require("./routes/impersonations");
+const ssoProviderRoutes = require("./routes/ssoProviders");
+const guardianRoutes = require("./routes/guardians");
+const studentRoutes = require("./routes/students");
+const teacherRoutes = require("./routes/teachers");
+const importRoutes = require("./routes/imports");
+const rolloverRoutes = require("./routes/rollovers");
+const noticeRoutes = require("./routes/notices");
+const fileRoutes = require("./routes/files");
+const trashRoutes = require("./routes/trash");
 
 // Create Express app
 const app = express();
 
+// Needed behind a load balancer so limits apply per client, not per proxy
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security middleware
 app.use(helmet());
-app.use(
-  rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per windowMs
-  })
-);
+// Per-user limits by route group and role (see middleware/rateLimit.js)
+app.use(createRateLimiter());
 
 // CORS configuration
 // app.use(
@@ -60,10 +79,22 @@ app.use(
 );
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the raw body for verifying signed device requests
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
+// Track the request behind every data change for the audit log
+app.use(requestContext);
+
 // Routes
+app.use("/api/auth/2fa", twoFactorRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/courses", courseRoutes);
@@ -79,6 +110,20 @@ app.use("/api/library", libraryRoutes);
 app.use("/api/chatbot", chatbotRoutes);
 app.use("/api/biometric", biometricRoutes);
 app.use("/api/branches", branchRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/service-accounts", serviceAccountRoutes);
+app.use("/api/impersonations", impersonationRoutes);
+app.use("/api/sso-providers", ssoProviderRoutes);
+app.use("/api/guardians", guardianRoutes);
+app.use("/api/students", studentRoutes);
+app.use("/api/teachers", teacherRoutes);
+app.use("/api/imports", importRoutes);
+app.use("/api/rollovers", rolloverRoutes);
+app.use("/api/notices", noticeRoutes);
+app.use("/api/files", fileRoutes);
+app.use("/api/trash", trashRoutes);
 app.use("/health", healthRoutes);
 
 // Health check endpoint
@@ -88,6 +133,14 @@ app.get("/", (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Errors raised deliberately (e.g. branch access) carry their own status
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({
+      success: false,
+      message: err.message,
+    });
+  }
+
   console.error(err.stack);
   res.status(500).json({
     success: false,
@@ -107,57 +160,16 @@ const io = new Server(server, {
   },
 });
 
-// Store connected users
-const connectedUsers = new Map();
-
-io.on("connection", (socket) => {
-  console.log("New client connected:", socket.id);
-
-  // Handle user connection
-  socket.on("user_connected", (userId) => {
-    connectedUsers.set(userId, socket.id);
-    socket.userId = userId;
-    console.log(`User ${userId} connected with socket ${socket.id}`);
-  });
-
-  // Handle attendance sync
-  socket.on("attendance_sync", (data) => {
-    io.emit("attendance_updated", data);
-  });
-
-  // Handle notifications
-  socket.on("send_notification", (data) => {
-    // Broadcast to all or specific users
-    if (data.recipient) {
-      const recipientSocketId = connectedUsers.get(data.recipient);
-      if (recipientSocketId) {
-        io.to(recipientSocketId).emit("notification", data);
-      } else {
-        io.emit("notification", data);
-      }
-    } else {
-      io.emit("notification", data);
-    }
-  });
-
-  // Handle disconnect
-  socket.on("disconnect", () => {
-    console.log("Client disconnected:", socket.id);
-    // Remove user from connected users
-    for (let [userId, socketId] of connectedUsers) {
-      if (socketId === socket.id) {
-        connectedUsers.delete(userId);
-        break;
-      }
-    }
-  });
-});
+// Authenticate sockets and join them to their rooms
+setupSocket(io);
 
 // Make io available to routes
 app.set("io", io);
 
-// Import seed function
+// Import seed functions
 const seedBranches = require("./utils/seedBranches");
+const seedRoles = require("./utils/seedRoles");
+const { schedulePurge } = require("./utils/softDelete");
 
 // Connect to MongoDB
 mongoose
@@ -169,6 +181,9 @@ mongoose
     console.log("MongoDB connected");
     // Run seed functions
     await seedBranches();
+    await seedRoles();
+    // Empty the trash of records past their retention period
+    schedulePurge();
   })
   .catch((err) => console.error("MongoDB connection error:", err));
 
@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { sendTemplate, clientUrl } = require("./mailer");
+
+// New accounts get a link to choose their password, valid this long
+const ACCOUNT_SETUP_DAYS = 7;
+
+// Unsaved account with a random password and a link to choose one
+const buildAccount = (fields) => {
+  const user = new User({
+    ...fields,
+    password: crypto.randomBytes(32).toString("hex"),
+  });
+  const setupToken = user.generatePasswordResetToken(
+    ACCOUNT_SETUP_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  return { user, setupToken };
+};
+
+// Create an account with a random password and a link to choose one
+const createAccount = async (fields, session) => {
+  const account = buildAccount(fields);
+  await account.user.save({ session });
+
+  return account;
+};
+
+// Email the owner of a new account the link to choose their password. Send
+// it only once the account is committed.
+const sendAccountSetup = ({ user, setupToken }, branchName) =>
+  sendTemplate("accountCreated", user.email, {
+    firstName: user.firstName,
+    role: user.role,
+    branchName,
+    setupUrl: clientUrl(`/reset-password/${setupToken}`),
+    expiresInDays: ACCOUNT_SETUP_DAYS,
+  });
+
+// Public fields of a new account, safe to return in a response
+const accountSummary = (user) => ({
+  _id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+});
+
+module.exports = {
+  buildAccount,
+  createAccount,
+  sendAccountSetup,
+  accountSummary,
+};
@@ -0,0 +1,341 @@
+const AuditLog = require("../models/AuditLog");
+const { getContext } = require("./requestContext");
+
+// Paths that never produce an audit entry on their own
+const ALWAYS_IGNORED = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Paths recorded as changed without storing their values
+const ALWAYS_REDACTED = [
+  "password",
+  "secret",
+  "pendingSecret",
+  "backupCodes",
+  "resetPasswordToken",
+  "emailVerificationToken",
+];
+const REDACTED = "[redacted]";
+
+const UPDATE_QUERIES = [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+];
+const DELETE_QUERIES = ["deleteOne", "deleteMany", "findOneAndDelete"];
+
+// Plain JSON values (ids as strings, dates as ISO strings)
+const normalize = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+// Flatten nested objects to dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = "", out = {}) => {
+  if (
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length > 0
+  ) {
+    for (const key of Object.keys(value)) {
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+const pick = (record, paths) =>
+  Object.fromEntries(paths.map((path) => [path, record[path]]));
+
+// Who made the current change and through which request
+const sourceOfChange = () => {
+  const context = getContext() || {};
+  const { req, device } = context;
+  const user = context.user || (req && req.user);
+
+  return {
+    actor: {
+      user: user && user._id,
+      role: user && user.role,
+      device: device && device._id,
+      apiKey: req && req.apiKey && req.apiKey._id,
+      impersonator: user && user.impersonatedBy && user.impersonatedBy._id,
+    },
+    request: req && {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    },
+    reason: context.auditReason,
+  };
+};
+
+// Attach a reason (e.g. for a manual override) to the audit entries written
+// for the rest of the current request
+const setAuditReason = (reason) => {
+  const context = getContext();
+  if (context && reason) context.auditReason = reason;
+};
+
+const appendEntry = async (entry) => {
+  try {
+    await AuditLog.record(entry);
+  } catch (error) {
+    // The change itself is already stored; never fail the request over it
+    console.error(
+      `Failed to audit ${entry.action} of ${entry.entityType}:`,
+      error
+    );
+  }
+};
+
+// Entries for changes made in a transaction, held until it commits
+const pendingEntries = new WeakMap();
+
+const writeEntry = async (action, entityType, record, changes, session) => {
+  if (action === "update" && changes.length === 0) return;
+
+  const entry = {
+    action,
+    entityType,
+    entityId: record._id,
+    branchId: record.branchId,
+    ...sourceOfChange(),
+    changes,
+  };
+
+  if (session && session.inTransaction()) {
+    if (!pendingEntries.has(session)) pendingEntries.set(session, []);
+    pendingEntries.get(session).push(entry);
+    return;
+  }
+
+  await appendEntry(entry);
+};
+
+// Drop the entries of a transaction that aborted or is being retried
+const discardAuditEntries = (session) => pendingEntries.delete(session);
+
+// Write the entries of a committed transaction
+const flushAuditEntries = async (session) => {
+  const entries = pendingEntries.get(session) || [];
+  pendingEntries.delete(session);
+
+  for (const entry of entries) {
+    await appendEntry(entry);
+  }
+};
+
+// Record a request that changes nothing but must be traceable, e.g. one
+// made while impersonating a user
+const recordAccess = (entityType, entityId, branchId) =>
+  writeEntry("access", entityType, { _id: entityId, branchId }, []);
+
+// Mongoose plugin recording every create, update and delete of a model in
+// the audit log with a before/after diff. Options:
+// - ignore: paths whose changes are not audited (e.g. counters)
+// - redact: paths whose values are not stored in the log
+const auditTrail = (schema, options = {}) => {
+  const ignored = [...ALWAYS_IGNORED, ...(options.ignore || [])];
+  const redacted = [...ALWAYS_REDACTED, ...(options.redact || [])];
+
+  const isIgnored = (path) =>
+    ignored.includes(path) || ignored.includes(path.split(".")[0]);
+  const isRedacted = (path) =>
+    path.split(".").some((segment) => redacted.includes(segment));
+  const recorded = (path, value) => {
+    if (value === undefined) return null;
+    return isRedacted(path) ? REDACTED : value;
+  };
+
+  const diff = (before, after) => {
+    const previous = flatten(normalize(before) || {});
+    const current = flatten(normalize(after) || {});
+    const paths = [
+      ...new Set([...Object.keys(previous), ...Object.keys(current)]),
+    ];
+
+    return paths
+      .filter((path) => !isIgnored(path))
+      .filter(
+        (path) =>
+          JSON.stringify(previous[path] ?? null) !==
+          JSON.stringify(current[path] ?? null)
+      )
+      .map((path) => ({
+        path,
+        before: recorded(path, previous[path]),
+        after: recorded(path, current[path]),
+      }));
+  };
+
+  const snapshot = (doc) =>
+    typeof doc.toObject === "function"
+      ? doc.toObject({ depopulate: true })
+      : doc;
+
+  // Documents saved through save()
+  schema.pre("save", async function () {
+    this.$locals.auditAction = this.isNew ? "create" : "update";
+    if (this.isNew) return;
+
+    const paths = [
+      ...new Set(this.modifiedPaths().map((path) => path.split(".")[0])),
+    ].filter((path) => !isIgnored(path));
+
+    if (paths.length === 0) {
+      this.$locals.auditAction = null;
+      return;
+    }
+
+    this.$locals.auditPaths = paths;
+    this.$locals.auditBefore = await this.constructor
+      .findById(this._id)
+      .select(paths.join(" "))
+      .session(this.$session())
+      .setOptions({ skipBranchScope: true, withDeleted: true })
+      .lean();
+  });
+
+  schema.post("save", async function () {
+    const action = this.$locals.auditAction;
+    if (!action) return;
+    this.$locals.auditAction = null;
+
+    const after = snapshot(this);
+    const changes =
+      action === "create"
+        ? diff({}, after)
+        : diff(
+            this.$locals.auditBefore || {},
+            pick(after, this.$locals.auditPaths)
+          );
+
+    await writeEntry(
+      action,
+      this.constructor.modelName,
+      after,
+      changes,
+      this.$session()
+    );
+  });
+
+  // Documents deleted through doc.deleteOne()
+  schema.post("deleteOne", { document: true, query: false }, async function () {
+    const before = snapshot(this);
+    await writeEntry(
+      "delete",
+      this.constructor.modelName,
+      before,
+      diff(before, {}),
+      this.$session()
+    );
+  });
+
+  schema.post("insertMany", async function (docs) {
+    for (const doc of Array.isArray(docs) ? docs : [docs]) {
+      const after = snapshot(doc);
+      await writeEntry(
+        "create",
+        this.modelName,
+        after,
+        diff({}, after),
+        doc.$session && doc.$session()
+      );
+    }
+  });
+
+  // Query updates and deletes: load the affected documents first
+  schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], async function () {
+    const { sort, skipBranchScope, session } = this.getOptions();
+    const many = this.op === "updateMany" || this.op === "deleteMany";
+
+    // Skip the lookup for updates of ignored paths only (e.g. usage counters)
+    const update = UPDATE_QUERIES.includes(this.op) ? this.getUpdate() : null;
+    if (update) {
+      const paths = Object.entries(update).flatMap(([key, value]) =>
+        key.startsWith("$") ? Object.keys(value || {}) : [key]
+      );
+      if (paths.length > 0 && paths.every(isIgnored)) {
+        this._auditBefore = [];
+        return;
+      }
+    }
+
+    // The filter already holds any soft delete condition (see softDelete)
+    this._auditBefore = await this.model
+      .find(this.getFilter())
+      .sort(sort)
+      .limit(many ? 0 : 1)
+      .session(session)
+      .setOptions({ skipBranchScope, withDeleted: true })
+      .lean();
+  });
+
+  schema.post(UPDATE_QUERIES, async function () {
+    const before = this._auditBefore || [];
+    const { modelName } = this.model;
+    const { upsert, session } = this.getOptions();
+
+    if (before.length === 0) {
+      if (!upsert) return;
+
+      const created = await this.model
+        .findOne(this.getFilter())
+        .session(session)
+        .setOptions({ skipBranchScope: true, withDeleted: true })
+        .lean();
+      if (created) {
+        await writeEntry(
+          "create",
+          modelName,
+          created,
+          diff({}, created),
+          session
+        );
+      }
+      return;
+    }
+
+    const afterDocs = await this.model
+      .find({ _id: { $in: before.map((doc) => doc._id) } })
+      .session(session)
+      .setOptions({ skipBranchScope: true, withDeleted: true })
+      .lean();
+
+    for (const previous of before) {
+      const after =
+        afterDocs.find((doc) => doc._id.equals(previous._id)) || previous;
+      await writeEntry(
+        "update",
+        modelName,
+        after,
+        diff(previous, after),
+        session
+      );
+    }
+  });
+
+  schema.post(DELETE_QUERIES, async function () {
+    for (const previous of this._auditBefore || []) {
+      await writeEntry(
+        "delete",
+        this.model.modelName,
+        previous,
+        diff(previous, {}),
+        this.getOptions().session
+      );
+    }
+  });
+};
+
+module.exports = {
+  auditTrail,
+  setAuditReason,
+  recordAccess,
+  discardAuditEntries,
+  flushAuditEntries,
+};
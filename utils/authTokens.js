@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+
+// Build a readable device label from a user agent string
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ];
+  const platforms = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) return "Unknown device";
+  return [browser && browser[0], platform && platform[0]]
+    .filter(Boolean)
+    .join(" on ");
+};
+
+// Start a new login session for a user
+const createSession = (userId, req) => {
+  const userAgent = req.get("user-agent");
+
+  return Session.create({
+    user: userId,
+    device: req.body.deviceName || describeDevice(userAgent),
+    ipAddress: req.ip,
+    userAgent,
+  });
+};
+
+// Generate JWT access token bound to a session. The role only picks the
+// rate limit tier; permissions are always checked against the stored user.
+const generateToken = (id, sessionId, role) => {
+  return jwt.sign({ id, sid: sessionId, role }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE,
+  });
+};
+
+// Generate and persist a refresh token within a session
+const generateRefreshToken = async (id, sessionId, req) => {
+  const jti = crypto.randomUUID();
+  const refreshToken = jwt.sign(
+    { id, sid: sessionId, jti },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || "7d" }
+  );
+
+  const { exp } = jwt.decode(refreshToken);
+
+  await RefreshToken.create({
+    user: id,
+    jti,
+    session: sessionId,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+    expiresAt: new Date(exp * 1000),
+  });
+
+  return { refreshToken, jti };
+};
+
+// Issue an access/refresh token pair for a user, starting a new session
+// unless one is given
+const issueTokens = async (user, req, sessionId) => {
+  if (!sessionId) {
+    sessionId = (await createSession(user._id, req))._id;
+  }
+
+  const { refreshToken, jti } = await generateRefreshToken(
+    user._id,
+    sessionId,
+    req
+  );
+
+  return {
+    token: generateToken(user._id, sessionId, user.role),
+    refreshToken,
+    jti,
+    sessionId,
+  };
+};
+
+// Generate a short-lived token proving the password step of a login succeeded
+const generateChallengeToken = (id, purpose) => {
+  return jwt.sign({ id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+};
+
+// Verify a challenge token for the expected purpose, returning null if invalid
+const verifyChallengeToken = (challengeToken, purpose) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate an access token for an admin acting as another user. It is not
+// bound to a session and expires with the impersonation.
+const generateImpersonationToken = (impersonation) => {
+  return jwt.sign(
+    {
+      id: impersonation.user.toString(),
+      imp: impersonation._id.toString(),
+      purpose: "impersonation",
+      exp: Math.floor(impersonation.expiresAt.getTime() / 1000),
+    },
+    process.env.JWT_SECRET
+  );
+};
+
+// Sign an invitation link token that expires with the invitation
+const generateInvitationToken = (invitation) => {
+  return jwt.sign(
+    {
+      jti: invitation._id.toString(),
+      email: invitation.email,
+      role: invitation.role,
+      branchId: invitation.branchId.toString(),
+      purpose: "invite",
+      exp: Math.floor(invitation.expiresAt.getTime() / 1000),
+    },
+    process.env.JWT_INVITE_SECRET || process.env.JWT_SECRET
+  );
+};
+
+// Verify an invitation link token, returning null if invalid or expired
+const verifyInvitationToken = (invitationToken) => {
+  try {
+    const decoded = jwt.verify(
+      invitationToken,
+      process.env.JWT_INVITE_SECRET || process.env.JWT_SECRET
+    );
+    return decoded.purpose === "invite" ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  generateToken,
+  generateRefreshToken,
+  issueTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateImpersonationToken,
+  generateInvitationToken,
+  verifyInvitationToken,
+};
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const { getContext } = require("./requestContext");
+
+const QUERY_HOOKS = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+];
+
+// Branch the current request is scoped to: undefined when unscoped (no
+// request, global admins), null for users without a branch
+const currentScope = () => {
+  const context = getContext();
+  if (!context || context.unscoped) return undefined;
+  return context.branchId || null;
+};
+
+const branchAccessError = () => {
+  const error = new Error("Cannot access records of another branch");
+  error.statusCode = 403;
+  return error;
+};
+
+// Mongoose plugin restricting every query and create on a model to the
+// branch of the current request, adding a branchId path if the schema has
+// none. Options:
+// - includeUnassigned: also match documents without a branchId
+const branchScope = (schema, options = {}) => {
+  if (!schema.path("branchId")) {
+    schema.add({
+      branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Branch",
+      },
+    });
+  }
+  schema.index({ branchId: 1 });
+
+  const branchFilter = (branchId) =>
+    branchId && options.includeUnassigned
+      ? { branchId: { $in: [branchId, null] } }
+      : { branchId };
+
+  schema.pre(QUERY_HOOKS, function () {
+    const branchId = currentScope();
+    if (branchId === undefined || this.getOptions().skipBranchScope) return;
+
+    this.and([branchFilter(branchId)]);
+  });
+
+  schema.pre("aggregate", function () {
+    const branchId = currentScope();
+    if (branchId === undefined || this.options.skipBranchScope) return;
+
+    this.pipeline().unshift({
+      $match: branchFilter(
+        branchId && new mongoose.Types.ObjectId(branchId.toString())
+      ),
+    });
+  });
+
+  // Stamp new documents with the active branch and refuse foreign ones
+  const stampBranch = (doc) => {
+    const branchId = currentScope();
+    if (branchId === undefined) return;
+
+    if (!doc.branchId) {
+      doc.branchId = branchId || undefined;
+    } else if (!branchId || doc.branchId.toString() !== branchId.toString()) {
+      throw branchAccessError();
+    }
+  };
+
+  schema.pre("validate", function () {
+    if (this.isNew || this.isModified("branchId")) {
+      stampBranch(this);
+    }
+  });
+
+  schema.pre("insertMany", function (next, docs) {
+    try {
+      (Array.isArray(docs) ? docs : [docs]).forEach(stampBranch);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+module.exports = { branchScope, branchAccessError };
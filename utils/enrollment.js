@@ -0,0 +1,76 @@
+const Student = require("../models/Student");
+const Class = require("../models/Class");
+const Section = require("../models/Section");
+const { uniqueIdentifier } = require("./identifierPattern");
+
+const enrollmentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Take a seat in a section (and its class) while the section has room
+const takeSeat = async (section, session) => {
+  const seated = await Section.findOneAndUpdate(
+    {
+      _id: section._id,
+      $expr: { $lt: ["$currentEnrollment", "$capacity"] },
+    },
+    { $inc: { currentEnrollment: 1 } },
+    { new: true, session }
+  );
+  if (!seated) {
+    throw enrollmentError(
+      `Section ${section.name} is full (capacity ${section.capacity})`,
+      409
+    );
+  }
+
+  await Class.updateOne(
+    { _id: section.classId },
+    { $inc: { currentEnrollment: 1 } },
+    { session }
+  );
+};
+
+// Give back a seat taken with takeSeat
+const releaseSeat = async (section, session) => {
+  await Section.updateOne(
+    { _id: section._id, currentEnrollment: { $gt: 0 } },
+    { $inc: { currentEnrollment: -1 } },
+    { session }
+  );
+  await Class.updateOne(
+    { _id: section.classId, currentEnrollment: { $gt: 0 } },
+    { $inc: { currentEnrollment: -1 } },
+    { session }
+  );
+};
+
+// Student ID following the branch's pattern
+const nextStudentId = (branch, values, session) =>
+  uniqueIdentifier(
+    branch.admissionSettings.studentIdPattern,
+    `studentId:${branch._id}`,
+    { branch, ...values },
+    (value) =>
+      Student.exists({ studentId: value })
+        .session(session)
+        .setOptions({ skipBranchScope: true }),
+    session
+  );
+
+// Roll number within a section following the branch's pattern
+const nextRollNumber = (branch, values, session) =>
+  uniqueIdentifier(
+    branch.admissionSettings.rollNumberPattern,
+    `rollNumber:${values.section._id}`,
+    { branch, ...values },
+    (value) =>
+      Student.exists({ section: values.section._id, rollNumber: value })
+        .session(session)
+        .setOptions({ skipBranchScope: true }),
+    session
+  );
+
+module.exports = { takeSeat, releaseSeat, nextStudentId, nextRollNumber };
@@ -0,0 +1,173 @@
+const ExcelJS = require("exceljs");
+const { formatCsvRow } = require("./spreadsheet");
+
+// Documents fetched from MongoDB at a time while exporting
+const BATCH_SIZE = 500;
+
+const FORMATS = {
+  csv: { extension: "csv", contentType: "text/csv; charset=utf-8" },
+  xlsx: {
+    extension: "xlsx",
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  ndjson: { extension: "ndjson", contentType: "application/x-ndjson" },
+};
+
+const exportError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// "First Last" of a populated user
+const personName = (user) =>
+  user && [user.firstName, user.lastName].filter(Boolean).join(" ");
+
+// Plain cell value: ObjectIds as strings, lists joined
+const toCell = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(toCell).join("; ");
+  if (value instanceof Date || typeof value !== "object") return value;
+  return value._bsontype ? value.toString() : JSON.stringify(value);
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) =>
+  typeof value === "string" && FORMULA_START.test(value) ? `'${value}` : value;
+
+// Resolve ?columns=a,b against the columns a list offers
+const selectColumns = (available, requested) => {
+  if (!requested) return Object.keys(available);
+
+  const keys = String(requested)
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const unknown = keys.filter((key) => !available[key]);
+  if (unknown.length) {
+    throw exportError(
+      `Unknown columns: ${unknown.join(", ")}. Available columns: ${Object.keys(
+        available
+      ).join(", ")}`
+    );
+  }
+  return keys;
+};
+
+// Wait until the client has taken what was written, or has gone away
+const drained = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+// Write one format's output row by row
+const createWriter = (format, res, columns) => {
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useSharedStrings: false,
+      useStyles: false,
+    });
+    const sheet = workbook.addWorksheet("Export");
+    sheet.columns = columns.map(({ key, header }) => ({
+      key,
+      header,
+      width: Math.max(12, header.length + 2),
+    }));
+
+    return {
+      write: async (row) => {
+        sheet.addRow(row).commit();
+        if (res.writableNeedDrain) await drained(res);
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  const send = async (chunk) => {
+    if (!res.write(chunk)) await drained(res);
+  };
+
+  if (format === "ndjson") {
+    return {
+      write: (row) => send(`${JSON.stringify(row)}\n`),
+      end: async () => res.end(),
+    };
+  }
+
+  return {
+    start: () => send(formatCsvRow(columns.map(({ header }) => header))),
+    write: (row) =>
+      send(formatCsvRow(columns.map(({ key }) => csvCell(row[key])))),
+    end: async () => res.end(),
+  };
+};
+
+// Does the request ask for an export (?format=csv|xlsx|ndjson) rather than
+// a page of results?
+const wantsExport = (req) => req.query.format !== undefined;
+
+// Stream every document of a list query as CSV, XLSX or NDJSON. `columns`
+// maps column keys to { header, value(doc) } (value defaults to the path of
+// the key); ?columns= picks and orders them. The query is read with a
+// cursor, so the size of the export does not matter.
+const sendExport = async (req, res, { name, query, columns }) => {
+  const format = String(req.query.format).toLowerCase();
+  if (!FORMATS[format]) {
+    throw exportError(
+      `Export format must be one of: ${Object.keys(FORMATS).join(", ")}`
+    );
+  }
+
+  const selected = selectColumns(columns, req.query.columns).map((key) => ({
+    key,
+    header: columns[key].header || key,
+    value: columns[key].value || ((doc) => getPath(doc, key)),
+  }));
+
+  const cursor = query.lean().cursor({ batchSize: BATCH_SIZE });
+  res.on("close", () => cursor.close().catch(() => {}));
+
+  const { extension, contentType } = FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`${name}-${date}.${extension}`);
+  res.type(contentType);
+
+  const writer = createWriter(format, res, selected);
+  try {
+    if (writer.start) await writer.start();
+
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+
+      const row = {};
+      for (const { key, value } of selected) row[key] = toCell(value(doc));
+      await writer.write(row);
+    }
+
+    if (!res.destroyed) await writer.end();
+  } catch (error) {
+    // Too late for an error response once the download has started
+    console.error(`Export of ${name} failed:`, error.message);
+    res.destroy(error);
+  }
+};
+
+module.exports = { wantsExport, sendExport, personName };
@@ -0,0 +1,20 @@
+// Lowest percentage for each letter grade, best first
+const LETTER_GRADES = [
+  [90, "A+"],
+  [85, "A"],
+  [80, "A-"],
+  [75, "B+"],
+  [70, "B"],
+  [65, "B-"],
+  [60, "C+"],
+  [55, "C"],
+  [50, "C-"],
+  [45, "D"],
+];
+
+const letterGradeFor = (percentage) => {
+  const match = LETTER_GRADES.find(([minimum]) => percentage >= minimum);
+  return match ? match[1] : "F";
+};
+
+module.exports = { letterGradeFor };
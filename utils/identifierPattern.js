@@ -0,0 +1,74 @@
+const Sequence = require("../models/Sequence");
+
+// Identifier patterns such as "{BRANCH}-{YYYY}-{SEQ:4}". Placeholders:
+// - {BRANCH}: branch code
+// - {YYYY}, {YY}: year of admission
+// - {GRADE}: class grade
+// - {CLASS}, {SECTION}: class and section names without spaces
+// - {SEQ} or {SEQ:n}: running number, zero-padded to n digits
+// The running number restarts whenever the rest of the identifier changes,
+// e.g. every year for "{BRANCH}-{YYYY}-{SEQ:4}".
+
+const SEQ_PLACEHOLDER = /\{SEQ(?::(\d+))?\}/g;
+
+const compact = (value) =>
+  String(value || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+// Short code for a branch: its configured code or the initials of its name
+const branchCode = (branch) =>
+  (branch.admissionSettings && branch.admissionSettings.code) ||
+  branch.name
+    .split(/\s+/)
+    .map((word) => word.charAt(0))
+    .join("")
+    .toUpperCase();
+
+const fillPattern = (pattern, { branch, date = new Date(), cls, section }) => {
+  const year = String(date.getFullYear());
+  const values = {
+    BRANCH: branch ? branchCode(branch) : "",
+    YYYY: year,
+    YY: year.slice(2),
+    GRADE: cls ? cls.grade : "",
+    CLASS: cls ? compact(cls.name) : "",
+    SECTION: section ? compact(section.name) : "",
+  };
+
+  return pattern.replace(
+    /\{(BRANCH|YYYY|YY|GRADE|CLASS|SECTION)\}/g,
+    (_, name) => String(values[name])
+  );
+};
+
+// Generate the next identifier for a pattern. `scope` separates counters of
+// otherwise identical patterns (e.g. the branch or section).
+const nextIdentifier = async (pattern, scope, values, session) => {
+  const filled = fillPattern(pattern, values);
+  const sequence = await Sequence.next(`${scope}:${filled}`, session);
+
+  return filled.replace(SEQ_PLACEHOLDER, (_, digits) =>
+    String(sequence).padStart(parseInt(digits) || 0, "0")
+  );
+};
+
+// Attempts at finding a generated identifier that is not taken yet, e.g.
+// by records entered by hand before patterns were configured
+const MAX_IDENTIFIER_ATTEMPTS = 20;
+
+// Next generated identifier for which `isTaken(identifier)` resolves false
+const uniqueIdentifier = async (pattern, scope, values, isTaken, session) => {
+  for (let attempt = 0; attempt < MAX_IDENTIFIER_ATTEMPTS; attempt++) {
+    const identifier = await nextIdentifier(pattern, scope, values, session);
+    if (!(await isTaken(identifier))) return identifier;
+  }
+
+  const error = new Error(
+    "Could not generate a free identifier, check the branch admission settings"
+  );
+  error.statusCode = 409;
+  throw error;
+};
+
+module.exports = { nextIdentifier, uniqueIdentifier, branchCode };
@@ -0,0 +1,717 @@
+const fs = require("fs");
+const User = require("../models/User");
+const Student = require("../models/Student");
+const Teacher = require("../models/Teacher");
+const Guardian = require("../models/Guardian");
+const Class = require("../models/Class");
+const Section = require("../models/Section");
+const Branch = require("../models/Branch");
+const ImportJob = require("../models/ImportJob");
+const { allowedBranches } = require("../middleware/tenancy");
+const { runInTransaction } = require("./transaction");
+const { buildAccount, sendAccountSetup } = require("./accounts");
+const { readSpreadsheet, formatCsvRow } = require("./spreadsheet");
+const { uniqueIdentifier } = require("./identifierPattern");
+const { takeSeat, nextStudentId, nextRollNumber } = require("./enrollment");
+
+// Rows accepted in one file
+const MAX_IMPORT_ROWS = 5000;
+
+// Job progress is saved every this many rows
+const PROGRESS_INTERVAL = 50;
+
+// Stands in for generated identifiers while validating in a dry run
+const GENERATED = "(generated)";
+
+// Roles the users import may create; students and teachers have their own
+// imports since they need records besides the account
+const USER_IMPORT_ROLES = ["parent", "accountant"];
+
+// Error in one row, reported against a field
+const rowError = (field, message) => {
+  const error = new Error(message);
+  error.field = field;
+  return error;
+};
+
+// Columns of the file by field, with the other names they may go by.
+// Names are matched ignoring case, spaces and punctuation.
+const PROFILE_COLUMNS = {
+  email: ["email address", "e-mail"],
+  firstName: ["given name"],
+  lastName: ["surname", "family name"],
+  phone: ["phone number", "mobile"],
+  "address.street": ["street"],
+  "address.city": ["city"],
+  "address.state": ["state"],
+  "address.zipCode": ["zip", "postal code"],
+  "address.country": ["country"],
+};
+
+const PROFILE_PATHS = Object.keys(PROFILE_COLUMNS).filter(
+  (path) => path !== "email"
+);
+
+const STUDENT_PATHS = [
+  "rollNumber",
+  "dateOfBirth",
+  "gender",
+  "emergencyContact.name",
+  "emergencyContact.phone",
+  "emergencyContact.relationship",
+];
+
+const TEACHER_PATHS = [
+  "department",
+  "subjectSpecializations",
+  "qualification",
+  "experience",
+  "joiningDate",
+  "salary.basic",
+  "salary.allowances",
+  "salary.deductions",
+];
+
+const normalizeName = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+const getPath = (record, path) =>
+  path.split(".").reduce((value, key) => value && value[key], record);
+
+// Copy the given paths of a row onto a document; unchanged values leave the
+// document unmodified
+const applyPaths = (doc, record, paths) => {
+  for (const path of paths) {
+    const value = getPath(record, path);
+    if (value !== undefined) doc.set(path, value);
+  }
+};
+
+// Validate only in a dry run, save otherwise
+const persist = (doc, { dryRun, session }) =>
+  dryRun ? doc.validate() : doc.save({ session });
+
+// Deleted accounts keep their email until purged, so they block the row
+const findUserByEmail = async (email, session, field = "email") => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+    .session(session)
+    .setOptions({ skipBranchScope: true, withDeleted: true });
+
+  if (user && user.deletedAt) {
+    throw rowError(
+      field,
+      "This email belongs to a deleted account, restore it first"
+    );
+  }
+  return user;
+};
+
+const worksInBranch = (user, branch) => {
+  const branches = allowedBranches(user);
+  return !branches || branches.includes(branch._id.toString());
+};
+
+// Class and section named in a student row, looked up once per job
+const resolvePlacement = (record, context) => {
+  if (!record.class && !record.section) return null;
+  if (!record.class || !record.section) {
+    throw rowError(
+      record.class ? "section" : "class",
+      "Class and section must be given together"
+    );
+  }
+
+  const key = `${record.class}\n${record.section}`;
+  if (!context.placements.has(key)) {
+    context.placements.set(key, findPlacement(record, context.branch));
+  }
+  return context.placements.get(key);
+};
+
+const findPlacement = async (record, branch) => {
+  const classes = await Class.find({
+    branchId: branch._id,
+    name: record.class,
+    isActive: true,
+  });
+  if (!classes.length) {
+    throw rowError("class", `No active class named ${record.class}`);
+  }
+  if (classes.length > 1) {
+    throw rowError(
+      "class",
+      `Several active classes are named ${record.class}, rename them first`
+    );
+  }
+
+  const section = await Section.findOne({
+    classId: classes[0]._id,
+    name: record.section,
+    isActive: true,
+  });
+  if (!section) {
+    throw rowError(
+      "section",
+      `No active section ${record.section} in ${record.class}`
+    );
+  }
+
+  return { cls: classes[0], section };
+};
+
+// Link a student to the parent account named in the row, if not linked yet
+const linkGuardian = async (student, record, context) => {
+  const { branch, session, dryRun } = context;
+  if (!record.guardianEmail) return false;
+
+  const parent = await findUserByEmail(
+    record.guardianEmail,
+    session,
+    "guardianEmail"
+  );
+  if (!parent || parent.role !== "parent") {
+    throw rowError(
+      "guardianEmail",
+      "No parent account with this email, import parents first"
+    );
+  }
+
+  if (
+    await Guardian.exists({ student: student._id, user: parent._id })
+      .session(session)
+      .setOptions({ skipBranchScope: true })
+  ) {
+    return false;
+  }
+
+  const guardian = new Guardian({
+    student: student._id,
+    user: parent._id,
+    relationship: record.guardianRelationship,
+    linkedBy: context.createdBy,
+    branchId: branch._id,
+  });
+  try {
+    await persist(guardian, context);
+  } catch (error) {
+    if (error.name !== "ValidationError") throw error;
+    throw rowError(
+      "guardianRelationship",
+      Object.values(error.errors)[0].message
+    );
+  }
+
+  if (parent.grantBranchAccess(branch._id) && !dryRun) {
+    await parent.save({ session, validateBeforeSave: false });
+  }
+  return true;
+};
+
+// Parents and accountants, matched by email
+const importUser = async (record, context) => {
+  const { branch, session } = context;
+
+  if (!USER_IMPORT_ROLES.includes(record.role)) {
+    throw rowError(
+      "role",
+      `Role must be one of: ${USER_IMPORT_ROLES.join(", ")}`
+    );
+  }
+
+  const existing =
+    record.email && (await findUserByEmail(record.email, session));
+
+  if (existing) {
+    if (existing.role !== record.role) {
+      throw rowError(
+        "role",
+        `${existing.email} already has a ${existing.role} account`
+      );
+    }
+    if (!worksInBranch(existing, branch)) {
+      // Parents may have children in several branches
+      if (existing.role !== "parent") {
+        throw rowError("email", "This account belongs to another branch");
+      }
+      existing.grantBranchAccess(branch._id);
+    }
+
+    applyPaths(existing, record, PROFILE_PATHS);
+    if (!existing.isModified()) return { outcome: "unchanged" };
+
+    await persist(existing, context);
+    return { outcome: "updated" };
+  }
+
+  const account = buildAccount({ role: record.role, branchId: branch._id });
+  applyPaths(account.user, record, ["email", ...PROFILE_PATHS]);
+  await persist(account.user, context);
+
+  return { outcome: "created", account };
+};
+
+// Students matched by student ID or email. New students are admitted to the
+// class and section in the row; existing ones stay where they are.
+const importStudent = async (record, context) => {
+  const { branch, session, dryRun } = context;
+
+  let student =
+    record.studentId &&
+    (await Student.findOne({ studentId: record.studentId })
+      .session(session)
+      .setOptions({ skipBranchScope: true }));
+  const user = student
+    ? await User.findById(student.user)
+        .session(session)
+        .setOptions({ skipBranchScope: true })
+    : record.email && (await findUserByEmail(record.email, session));
+
+  if (!student && user) {
+    if (user.role !== "student") {
+      throw rowError(
+        "email",
+        `${user.email} already has a ${user.role} account`
+      );
+    }
+    if (!worksInBranch(user, branch)) {
+      throw rowError("email", "This account belongs to another branch");
+    }
+    student = await Student.findOne({ user: user._id })
+      .session(session)
+      .setOptions({ skipBranchScope: true });
+  }
+
+  if (student && !sameId(student.branchId, branch._id)) {
+    throw rowError("studentId", "This student belongs to another branch");
+  }
+  if (
+    student &&
+    user &&
+    record.email &&
+    user.email !== record.email.toLowerCase()
+  ) {
+    throw rowError(
+      "email",
+      `Student ${student.studentId} is registered with ${user.email}`
+    );
+  }
+
+  const placement = await resolvePlacement(record, context);
+
+  if (student) {
+    if (placement && !sameId(student.section, placement.section._id)) {
+      throw rowError(
+        "section",
+        "Student is enrolled in another section, transfer or promote them instead"
+      );
+    }
+
+    applyPaths(user, record, PROFILE_PATHS);
+    applyPaths(student, record, STUDENT_PATHS);
+    const linked = await linkGuardian(student, record, context);
+    if (!user.isModified() && !student.isModified() && !linked) {
+      return { outcome: "unchanged" };
+    }
+
+    await persist(user, context);
+    await persist(student, context);
+    return { outcome: "updated" };
+  }
+
+  if (!placement) {
+    throw rowError("class", "Class and section are required for new students");
+  }
+  const { cls, section } = placement;
+
+  // A dry run counts the seats earlier rows would take
+  if (dryRun) {
+    const taken = context.seats.get(section.id) || 0;
+    if (section.currentEnrollment + taken >= section.capacity) {
+      throw rowError(
+        "section",
+        `Section ${section.name} is full (capacity ${section.capacity})`
+      );
+    }
+    context.seats.set(section.id, taken + 1);
+  } else {
+    try {
+      await takeSeat(section, session);
+    } catch (error) {
+      throw rowError("section", error.message);
+    }
+  }
+
+  const account = user
+    ? { user }
+    : buildAccount({ role: "student", branchId: branch._id });
+  applyPaths(account.user, record, ["email", ...PROFILE_PATHS]);
+  if (!account.user.phone) account.user.phone = "Not provided";
+
+  const admissionDate = record.admissionDate || new Date();
+  const patternValues = { date: new Date(admissionDate), cls, section };
+
+  student = new Student({
+    user: account.user._id,
+    studentId:
+      record.studentId ||
+      (dryRun
+        ? GENERATED
+        : await nextStudentId(branch, patternValues, session)),
+    rollNumber:
+      record.rollNumber ||
+      (dryRun
+        ? GENERATED
+        : await nextRollNumber(branch, patternValues, session)),
+    class: cls._id,
+    section: section._id,
+    admissionDate,
+    branchId: branch._id,
+  });
+  applyPaths(student, record, STUDENT_PATHS);
+
+  await persist(account.user, context);
+  await persist(student, context);
+  await linkGuardian(student, record, context);
+
+  return { outcome: "created", account: account.setupToken && account };
+};
+
+// Teachers matched by employee ID or email
+const importTeacher = async (record, context) => {
+  const { branch, session, dryRun } = context;
+
+  let teacher =
+    record.employeeId &&
+    (await Teacher.findOne({ employeeId: record.employeeId })
+      .session(session)
+      .setOptions({ skipBranchScope: true }));
+  const user = teacher
+    ? await User.findById(teacher.user)
+        .session(session)
+        .setOptions({ skipBranchScope: true })
+    : record.email && (await findUserByEmail(record.email, session));
+
+  if (!teacher && user) {
+    if (user.role !== "teacher") {
+      throw rowError(
+        "email",
+        `${user.email} already has a ${user.role} account`
+      );
+    }
+    if (!worksInBranch(user, branch)) {
+      throw rowError("email", "This account belongs to another branch");
+    }
+    teacher = await Teacher.findOne({ user: user._id })
+      .session(session)
+      .setOptions({ skipBranchScope: true });
+  }
+
+  if (teacher && !sameId(teacher.branchId, branch._id)) {
+    throw rowError("employeeId", "This teacher belongs to another branch");
+  }
+  if (
+    teacher &&
+    user &&
+    record.email &&
+    user.email !== record.email.toLowerCase()
+  ) {
+    throw rowError(
+      "email",
+      `Employee ${teacher.employeeId} is registered with ${user.email}`
+    );
+  }
+
+  if (teacher) {
+    applyPaths(user, record, PROFILE_PATHS);
+    applyPaths(teacher, record, TEACHER_PATHS);
+    if (!user.isModified() && !teacher.isModified()) {
+      return { outcome: "unchanged" };
+    }
+
+    await persist(user, context);
+    await persist(teacher, context);
+    return { outcome: "updated" };
+  }
+
+  const account = user
+    ? { user }
+    : buildAccount({ role: "teacher", branchId: branch._id });
+  applyPaths(account.user, record, ["email", ...PROFILE_PATHS]);
+
+  teacher = new Teacher({
+    user: account.user._id,
+    employeeId:
+      record.employeeId ||
+      (dryRun
+        ? GENERATED
+        : await uniqueIdentifier(
+            branch.admissionSettings.employeeIdPattern,
+            `employeeId:${branch._id}`,
+            { branch, date: new Date(record.joiningDate || Date.now()) },
+            (value) =>
+              Teacher.exists({ employeeId: value })
+                .session(session)
+                .setOptions({ skipBranchScope: true }),
+            session
+          )),
+    branchId: branch._id,
+  });
+  applyPaths(teacher, record, TEACHER_PATHS);
+
+  await persist(account.user, context);
+  await persist(teacher, context);
+
+  return { outcome: "created", account: account.setupToken && account };
+};
+
+// What each import type reads and how it matches existing records. `keys`
+// are the columns identifying a row; a file needs at least one of them.
+const IMPORTERS = {
+  users: {
+    columns: { ...PROFILE_COLUMNS, role: [] },
+    keys: ["email"],
+    importRow: importUser,
+  },
+  students: {
+    columns: {
+      studentId: ["admission number"],
+      ...PROFILE_COLUMNS,
+      rollNumber: ["roll no"],
+      class: ["class name"],
+      section: ["section name"],
+      admissionDate: ["admitted on"],
+      dateOfBirth: ["dob", "birth date"],
+      gender: [],
+      "emergencyContact.name": ["emergency contact"],
+      "emergencyContact.phone": ["emergency phone"],
+      "emergencyContact.relationship": ["emergency relationship"],
+      guardianEmail: ["parent email"],
+      guardianRelationship: ["parent relationship"],
+    },
+    keys: ["studentId", "email"],
+    importRow: importStudent,
+  },
+  teachers: {
+    columns: {
+      employeeId: ["employee number", "staff id"],
+      ...PROFILE_COLUMNS,
+      department: [],
+      subjectSpecializations: ["subjects", "specializations"],
+      qualification: [],
+      experience: ["years of experience"],
+      joiningDate: ["joined on"],
+      "salary.basic": ["basic salary"],
+      "salary.allowances": ["allowances"],
+      "salary.deductions": ["deductions"],
+    },
+    keys: ["employeeId", "email"],
+    importRow: importTeacher,
+  },
+};
+
+// Fields whose cells hold several values separated by ";"
+const LIST_FIELDS = ["subjectSpecializations"];
+
+// Column index -> field, from an explicit mapping or the column names
+const resolveColumns = (headers, type, mapping = new Map()) => {
+  const { columns } = IMPORTERS[type];
+
+  const byName = new Map();
+  for (const [field, aliases] of Object.entries(columns)) {
+    for (const name of [field, ...aliases]) {
+      byName.set(normalizeName(name), field);
+    }
+  }
+
+  const resolved = [];
+  const ignored = [];
+  headers.forEach((header, index) => {
+    const field = mapping.get(header) || byName.get(normalizeName(header));
+    if (field && columns[field]) resolved.push({ index, field });
+    else if (header) ignored.push(header);
+  });
+
+  return { columns: resolved, ignored };
+};
+
+// Unknown fields in a column mapping
+const invalidMappingFields = (type, mapping) =>
+  [...mapping.values()].filter((field) => !IMPORTERS[type].columns[field]);
+
+// Nested record of the fields in a row, leaving out blank cells
+const toRecord = (values, columns) => {
+  const record = {};
+  for (const { index, field } of columns) {
+    const value = values[index];
+    if (!value) continue;
+
+    const path = field.split(".");
+    const last = path.pop();
+    const parent = path.reduce(
+      (node, key) => (node[key] = node[key] || {}),
+      record
+    );
+    parent[last] = LIST_FIELDS.includes(field)
+      ? value
+          .split(";")
+          .map((item) => item.trim())
+          .filter(Boolean)
+      : value;
+  }
+  return record;
+};
+
+// Field/message pairs describing why a row failed
+const describeError = (error) => {
+  if (error.name === "ValidationError") {
+    return Object.values(error.errors).map((fieldError) => ({
+      field: fieldError.path,
+      message: fieldError.message,
+    }));
+  }
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || {})[0];
+    return [{ field, message: `This ${field} is already in use` }];
+  }
+  return [{ field: error.field, message: error.message }];
+};
+
+const readJobFile = async (job) => {
+  const buffer = await fs.promises.readFile(job.filePath);
+  return readSpreadsheet(buffer, job.format);
+};
+
+// Validate every row of a job (a dry run) or import it, recording the
+// outcome and errors of each row on the job
+const runImportJob = async (jobId, { commit }) => {
+  const job = await ImportJob.findById(jobId).select("+filePath");
+  const importer = IMPORTERS[job.type];
+
+  job.set({
+    status: commit ? "importing" : "validating",
+    processedRows: 0,
+    summary: { valid: 0, invalid: 0, created: 0, updated: 0, unchanged: 0 },
+    rowErrors: [],
+    failureReason: undefined,
+    finishedAt: undefined,
+  });
+  await job.save();
+
+  try {
+    const { headers, rows } = await readJobFile(job);
+    const { columns, ignored } = resolveColumns(headers, job.type, job.mapping);
+
+    const mapped = columns.map(({ field }) => field);
+    if (!importer.keys.some((key) => mapped.includes(key))) {
+      throw new Error(
+        `The file needs a column for ${importer.keys.join(" or ")}`
+      );
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Files may hold up to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    job.ignoredColumns = ignored;
+    job.totalRows = rows.length;
+
+    const context = {
+      branch: await Branch.findById(job.branchId),
+      createdBy: job.createdBy,
+      dryRun: !commit,
+      placements: new Map(),
+      seats: new Map(),
+    };
+    const seen = new Map();
+
+    for (const row of rows) {
+      const record = toRecord(row.values, columns);
+
+      try {
+        const keyField = importer.keys.find((key) => record[key]);
+        if (!keyField) {
+          throw rowError(
+            importer.keys[0],
+            `Provide ${importer.keys.join(" or ")}`
+          );
+        }
+        const key = `${keyField}:${String(record[keyField]).toLowerCase()}`;
+        if (seen.has(key)) {
+          throw rowError(keyField, `Same ${keyField} as line ${seen.get(key)}`);
+        }
+        seen.set(key, row.line);
+
+        const result = commit
+          ? await runInTransaction((session) =>
+              importer.importRow(record, { ...context, session })
+            )
+          : await importer.importRow(record, context);
+
+        job.summary.valid++;
+        job.summary[result.outcome]++;
+        if (commit && job.sendInvites && result.account) {
+          await sendAccountSetup(result.account, context.branch.name);
+        }
+      } catch (error) {
+        job.summary.invalid++;
+        for (const { field, message } of describeError(error)) {
+          job.rowErrors.push({ line: row.line, field, message });
+        }
+      }
+
+      job.processedRows++;
+      if (job.processedRows % PROGRESS_INTERVAL === 0) await job.save();
+    }
+
+    job.status = commit ? "completed" : "validated";
+    job[commit ? "committedAt" : "validatedAt"] = new Date();
+  } catch (error) {
+    job.status = "failed";
+    job.failureReason = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+  return job;
+};
+
+// CSV of the rows that failed, as uploaded plus a column listing the
+// errors, so they can be fixed and imported again
+const buildErrorFile = async (job) => {
+  const { headers, rows } = await readJobFile(job);
+
+  const errorsByLine = new Map();
+  for (const { line, field, message } of job.rowErrors) {
+    const messages = errorsByLine.get(line) || [];
+    messages.push(field ? `${field}: ${message}` : message);
+    errorsByLine.set(line, messages);
+  }
+
+  return [
+    formatCsvRow(["Line", ...headers, "Errors"]),
+    ...rows
+      .filter((row) => errorsByLine.has(row.line))
+      .map((row) =>
+        formatCsvRow([
+          row.line,
+          ...headers.map((_, index) => row.values[index]),
+          errorsByLine.get(row.line).join("; "),
+        ])
+      ),
+  ].join("");
+};
+
+// CSV holding just the column names an import reads
+const buildTemplate = (type) =>
+  formatCsvRow(Object.keys(IMPORTERS[type].columns));
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  runImportJob,
+  buildErrorFile,
+  buildTemplate,
+  invalidMappingFields,
+};
@@ -0,0 +1,127 @@
+// Email templates. Each returns { subject, text, html } for the given data.
+
+const APP_NAME = process.env.APP_NAME || "School LMS";
+
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Wrap body paragraphs and an optional call-to-action in the shared layout
+const layout = ({ heading, paragraphs, action }) => {
+  const body = paragraphs
+    .map((p) => `<p style="margin:0 0 16px">${escapeHtml(p)}</p>`)
+    .join("");
+
+  const button = action
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(
+        action.url
+      )}" style="background:#2563eb;color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none">${escapeHtml(
+        action.label
+      )}</a></p><p style="margin:0 0 16px;font-size:12px;color:#6b7280">If the button does not work, copy this link into your browser: ${escapeHtml(
+        action.url
+      )}</p>`
+    : "";
+
+  return `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;color:#111827;background:#f9fafb;padding:24px"><div style="max-width:560px;margin:0 auto;background:#fff;padding:32px;border-radius:8px"><h2 style="margin:0 0 24px">${escapeHtml(
+    heading
+  )}</h2>${body}${button}<p style="margin:32px 0 0;font-size:12px;color:#6b7280">${escapeHtml(
+    APP_NAME
+  )}</p></div></body></html>`;
+};
+
+// Plain-text counterpart of the layout
+const plainText = ({ paragraphs, action }) =>
+  [...paragraphs, action ? `${action.label}: ${action.url}` : null]
+    .filter(Boolean)
+    .join("\n\n");
+
+const render = (subject, content) => ({
+  subject,
+  text: plainText(content),
+  html: layout({ heading: subject, ...content }),
+});
+
+const templates = {
+  passwordReset: ({ firstName, resetUrl, expiresInMinutes }) =>
+    render("Reset your password", {
+      paragraphs: [
+        `Hello ${firstName},`,
+        `We received a request to reset your ${APP_NAME} password. This link expires in ${expiresInMinutes} minutes.`,
+        "If you did not request a password reset, you can ignore this email.",
+      ],
+      action: { label: "Reset password", url: resetUrl },
+    }),
+
+  passwordChanged: ({ firstName, changedAt, ipAddress }) =>
+    render("Your password was changed", {
+      paragraphs: [
+        `Hello ${firstName},`,
+        `The password for your ${APP_NAME} account was changed on ${changedAt.toUTCString()}${
+          ipAddress ? ` from ${ipAddress}` : ""
+        }.`,
+        "If you did not make this change, reset your password immediately and contact the school office.",
+      ],
+    }),
+
+  emailVerification: ({ firstName, verifyUrl }) =>
+    render("Verify your email address", {
+      paragraphs: [
+        `Hello ${firstName},`,
+        `Please confirm that this is your email address to finish setting up your ${APP_NAME} account.`,
+      ],
+      action: { label: "Verify email", url: verifyUrl },
+    }),
+
+  invitation: ({ branchName, role, inviteUrl, expiresAt }) =>
+    render(`You have been invited to ${APP_NAME}`, {
+      paragraphs: [
+        `You have been invited to join ${branchName} as ${role}.`,
+        `This invitation expires on ${expiresAt.toUTCString()}.`,
+      ],
+      action: { label: "Accept invitation", url: inviteUrl },
+    }),
+
+  accountCreated: ({ firstName, role, branchName, setupUrl, expiresInDays }) =>
+    render(`Your ${APP_NAME} account is ready`, {
+      paragraphs: [
+        `Hello ${firstName},`,
+        `${branchName} has created a ${role} account for you.`,
+        `Choose a password to start using it. This link expires in ${expiresInDays} days.`,
+      ],
+      action: { label: "Set your password", url: setupUrl },
+    }),
+
+  registrationApproved: ({ firstName, role, loginUrl }) =>
+    render(`Your ${APP_NAME} account has been approved`, {
+      paragraphs: [
+        `Hello ${firstName},`,
+        `Your ${role} account has been approved. You can now log in.`,
+      ],
+      action: { label: "Log in", url: loginUrl },
+    }),
+
+  registrationRejected: ({ firstName, role, reason }) =>
+    render(`Your ${APP_NAME} registration`, {
+      paragraphs: [
+        `Hello ${firstName},`,
+        `Unfortunately your ${role} account request was not approved.`,
+        reason ? `Reason: ${reason}` : null,
+      ].filter(Boolean),
+    }),
+
+  impersonationStarted: ({ firstName, adminName, reason, expiresAt }) =>
+    render("A staff member is viewing your account", {
+      paragraphs: [
+        `Hello ${firstName},`,
+        `${adminName} started viewing ${APP_NAME} as you to help with a support request. Access ends on ${expiresAt.toUTCString()} at the latest.`,
+        `Reason given: ${reason}`,
+        "Everything done during this time is recorded. If you did not expect this, please contact the school office.",
+      ],
+    }),
+};
+
+module.exports = { templates, escapeHtml };
@@ -0,0 +1,72 @@
+const nodemailer = require("nodemailer");
+const { templates } = require("./mailTemplates");
+
+let transporter;
+
+// Create the transport selected by MAIL_TRANSPORT:
+// - "smtp" (default): SMTP_HOST/SMTP_PORT, e.g. a local catcher such as
+//   MailHog or Mailpit on localhost:1025
+// - "json": render messages and log them instead of sending (development)
+const createTransport = () => {
+  if (process.env.MAIL_TRANSPORT === "json") {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+};
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Replace the transport, e.g. with a stub in scripts or tests
+const setTransporter = (customTransporter) => {
+  transporter = customTransporter;
+};
+
+// Send an email; delivery failures are logged rather than failing the request
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    const info = await getTransporter().sendMail({
+      from: process.env.MAIL_FROM || "School LMS <no-reply@school-lms.local>",
+      to,
+      subject,
+      text,
+      html,
+    });
+
+    if (process.env.MAIL_TRANSPORT === "json") {
+      console.log(`Email to ${to}:`, info.message);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Failed to send email to ${to}:`, error.message);
+    return false;
+  }
+};
+
+// Render a named template and send it
+const sendTemplate = (templateName, to, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  return sendMail({ to, ...template(data) });
+};
+
+// Build an absolute link into the frontend application
+const clientUrl = (path) =>
+  `${process.env.CLIENT_URL || "http://localhost:3000"}${path}`;
+
+module.exports = { sendMail, sendTemplate, setTransporter, clientUrl };
@@ -0,0 +1,160 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+
+// OpenID Connect relying party helpers: discovery, PKCE, code exchange and
+// ID token verification against the provider's published keys
+
+const HTTP_TIMEOUT = 10 * 1000;
+const METADATA_TTL = 60 * 60 * 1000;
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+// Fetch (and cache) the provider's discovery document
+const discover = async (issuer) => {
+  const cached = metadataCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const { data: metadata } = await axios.get(
+    `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`,
+    { timeout: HTTP_TIMEOUT }
+  );
+
+  metadataCache.set(issuer, {
+    metadata,
+    expiresAt: Date.now() + METADATA_TTL,
+  });
+  return metadata;
+};
+
+// Random values for one login: state, nonce and the PKCE verifier/challenge
+const createLoginSecrets = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(
+      crypto.createHash("sha256").update(codeVerifier).digest()
+    ),
+  };
+};
+
+const buildAuthorizationUrl = async (
+  provider,
+  { state, nonce, codeChallenge, redirectUri, loginHint }
+) => {
+  const metadata = await discover(provider.issuer);
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+    ...(loginHint && { login_hint: loginHint }),
+  }).toString();
+
+  return url.toString();
+};
+
+// Exchange an authorization code for tokens
+const exchangeCode = async (provider, { code, codeVerifier, redirectUri }) => {
+  const metadata = await discover(provider.issuer);
+  const clientSecret = provider.getClientSecret();
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: provider.clientId,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  if (clientSecret && provider.tokenAuthMethod === "client_secret_basic") {
+    headers.Authorization = `Basic ${Buffer.from(
+      `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(
+        clientSecret
+      )}`
+    ).toString("base64")}`;
+  } else if (clientSecret && provider.tokenAuthMethod !== "none") {
+    params.set("client_secret", clientSecret);
+  }
+
+  const { data } = await axios.post(metadata.token_endpoint, params, {
+    headers,
+    timeout: HTTP_TIMEOUT,
+  });
+  return data;
+};
+
+// Public key for a token's key ID, refreshing the key set once when the
+// provider has rotated keys
+const getSigningKey = async (jwksUri, kid) => {
+  const load = async () => {
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT });
+    jwksCache.set(jwksUri, data.keys || []);
+    return data.keys || [];
+  };
+
+  let keys = jwksCache.get(jwksUri) || (await load());
+  let jwk = keys.find((key) => key.kid === kid);
+  if (!jwk) {
+    keys = await load();
+    jwk = keys.find((key) => !kid || key.kid === kid);
+  }
+  if (!jwk) throw new Error("Signing key not found");
+
+  return crypto
+    .createPublicKey({ key: jwk, format: "jwk" })
+    .export({ type: "spki", format: "pem" });
+};
+
+// Verify an ID token's signature, issuer, audience, expiry and nonce,
+// returning its claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const metadata = await discover(provider.issuer);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error("Malformed ID token");
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512"],
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+  });
+
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+  return claims;
+};
+
+// Claims from the userinfo endpoint, for providers that keep the email out
+// of the ID token
+const fetchUserInfo = async (provider, accessToken) => {
+  const metadata = await discover(provider.issuer);
+  if (!metadata.userinfo_endpoint) return {};
+
+  const { data } = await axios.get(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: HTTP_TIMEOUT,
+  });
+  return data;
+};
+
+module.exports = {
+  discover,
+  createLoginSecrets,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+};
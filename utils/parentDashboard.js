@@ -0,0 +1,479 @@
+const Student = require("../models/Student");
+const User = require("../models/User");
+const Class = require("../models/Class");
+const Section = require("../models/Section");
+const Branch = require("../models/Branch");
+const Course = require("../models/Course");
+const Transport = require("../models/Transport");
+const Route = require("../models/Route");
+const Vehicle = require("../models/Vehicle");
+const Attendance = require("../models/Attendance");
+const Assignment = require("../models/Assignment");
+const Quiz = require("../models/Quiz");
+const Grade = require("../models/Grade");
+const Fee = require("../models/Fee");
+const Notice = require("../models/Notice");
+const Guardian = require("../models/Guardian");
+const { roomsFor, roomsOfStudent } = require("./socket");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Attendance is summarised over this many days
+const ATTENDANCE_DAYS = 30;
+// Assignments and quizzes are listed this many days ahead
+const UPCOMING_DAYS = 14;
+// Entries listed per child in each section of the dashboard
+const LIST_LIMIT = 5;
+
+const OPEN_FEE_STATUSES = ["pending", "overdue"];
+
+// First document joined by a $lookup, with the given fields
+const joined = (field, fields) => ({
+  $let: {
+    vars: { doc: { $arrayElemAt: [`$${field}`, 0] } },
+    in: Object.fromEntries(
+      ["_id", ...fields].map((name) => [name, `$$doc.${name}`])
+    ),
+  },
+});
+
+const lookup = (Model, localField, as) => ({
+  $lookup: {
+    from: Model.collection.name,
+    localField,
+    foreignField: "_id",
+    as,
+  },
+});
+
+// Stages replacing the course ID of each entry of the array `list` with the
+// course's title and code
+const withCourses = (list) => [
+  lookup(Course, `${list}.course`, "courses"),
+  {
+    $addFields: {
+      [list]: {
+        $map: {
+          input: `$${list}`,
+          as: "item",
+          in: {
+            $mergeObjects: [
+              "$$item",
+              {
+                course: {
+                  $let: {
+                    vars: {
+                      course: {
+                        $arrayElemAt: [
+                          {
+                            $filter: {
+                              input: "$courses",
+                              cond: { $eq: ["$$this._id", "$$item.course"] },
+                            },
+                          },
+                          0,
+                        ],
+                      },
+                    },
+                    in: {
+                      _id: "$$course._id",
+                      title: "$$course.title",
+                      code: "$$course.code",
+                    },
+                  },
+                },
+              },
+            ],
+          },
+        },
+      },
+    },
+  },
+  { $project: { courses: 0 } },
+];
+
+// Children with their class, section, branch and transport
+const studentProfiles = (studentIds) =>
+  Student.aggregate([
+    { $match: { _id: { $in: studentIds } } },
+    lookup(User, "user", "user"),
+    lookup(Class, "class", "class"),
+    lookup(Section, "section", "section"),
+    lookup(Branch, "branchId", "branch"),
+    {
+      $lookup: {
+        from: Transport.collection.name,
+        localField: "_id",
+        foreignField: "assignedStudents",
+        as: "transport",
+      },
+    },
+    { $addFields: { transport: { $arrayElemAt: ["$transport", 0] } } },
+    lookup(Route, "transport.routeId", "route"),
+    lookup(Vehicle, "transport.vehicle", "vehicle"),
+    lookup(User, "transport.driver", "driver"),
+    {
+      $project: {
+        studentId: 1,
+        rollNumber: 1,
+        enrollmentStatus: 1,
+        isActive: 1,
+        user: joined("user", ["firstName", "lastName", "profileImage"]),
+        class: joined("class", ["name", "grade"]),
+        section: joined("section", ["name"]),
+        branch: joined("branch", ["name"]),
+        transport: {
+          $cond: [
+            { $ifNull: ["$transport", false] },
+            {
+              _id: "$transport._id",
+              status: "$transport.status",
+              route: joined("route", [
+                "name",
+                "origin",
+                "destination",
+                "stops",
+              ]),
+              vehicle: joined("vehicle", ["registrationNumber", "model"]),
+              driver: joined("driver", ["firstName", "lastName", "phone"]),
+            },
+            null,
+          ],
+        },
+      },
+    },
+    { $sort: { "user.firstName": 1 } },
+  ]);
+
+const countStatus = (status) => ({
+  $sum: { $cond: [{ $eq: ["$status", status] }, 1, 0] },
+});
+
+// Attendance of the last ATTENDANCE_DAYS days and the latest records
+const attendanceSummaries = (studentIds, now) =>
+  Attendance.aggregate([
+    {
+      $match: {
+        student: { $in: studentIds },
+        date: { $gte: new Date(now.getTime() - ATTENDANCE_DAYS * DAY) },
+      },
+    },
+    { $sort: { date: -1 } },
+    {
+      $group: {
+        _id: "$student",
+        total: { $sum: 1 },
+        present: countStatus("present"),
+        absent: countStatus("absent"),
+        late: countStatus("late"),
+        excused: countStatus("excused"),
+        recent: {
+          $push: { date: "$date", status: "$status", course: "$course" },
+        },
+      },
+    },
+    {
+      $project: {
+        total: 1,
+        present: 1,
+        absent: 1,
+        late: 1,
+        excused: 1,
+        // Late students were there
+        rate: {
+          $round: [
+            {
+              $multiply: [
+                { $divide: [{ $add: ["$present", "$late"] }, "$total"] },
+                100,
+              ],
+            },
+            2,
+          ],
+        },
+        recent: { $slice: ["$recent", LIST_LIMIT] },
+      },
+    },
+    ...withCourses("recent"),
+  ]);
+
+// Assignments or quizzes matching `match`, listed per child they are
+// assigned to (directly, or through the course they are enrolled in) and
+// sorted by `sortBy`
+const upcomingWork = (
+  Model,
+  { match, fields, sortBy },
+  studentIds,
+  courseIds
+) =>
+  Model.aggregate([
+    {
+      $match: {
+        isActive: true,
+        $and: [
+          match,
+          {
+            $or: [
+              { assignedTo: { $in: studentIds } },
+              { course: { $in: courseIds } },
+            ],
+          },
+        ],
+      },
+    },
+    lookup(Course, "course", "courseDoc"),
+    {
+      $project: {
+        ...Object.fromEntries(fields.map((field) => [field, 1])),
+        course: joined("courseDoc", ["title", "code"]),
+        students: {
+          $setIntersection: [
+            {
+              $setUnion: [
+                { $ifNull: ["$assignedTo", []] },
+                {
+                  $ifNull: [
+                    { $arrayElemAt: ["$courseDoc.enrolledStudents", 0] },
+                    [],
+                  ],
+                },
+              ],
+            },
+            studentIds,
+          ],
+        },
+      },
+    },
+    { $unwind: "$students" },
+    { $sort: { [sortBy]: 1 } },
+    {
+      $group: {
+        _id: "$students",
+        items: {
+          $push: Object.fromEntries(
+            ["_id", "course", ...fields].map((field) => [field, `$${field}`])
+          ),
+        },
+      },
+    },
+    { $project: { items: { $slice: ["$items", LIST_LIMIT] } } },
+  ]);
+
+const upcomingAssignments = (studentIds, courseIds, now) =>
+  upcomingWork(
+    Assignment,
+    {
+      match: {
+        dueDate: {
+          $gte: now,
+          $lte: new Date(now.getTime() + UPCOMING_DAYS * DAY),
+        },
+      },
+      fields: ["title", "dueDate", "maxPoints", "submissionType"],
+      sortBy: "dueDate",
+    },
+    studentIds,
+    courseIds
+  );
+
+// Quizzes still open, or starting within UPCOMING_DAYS days
+const upcomingQuizzes = (studentIds, courseIds, now) =>
+  upcomingWork(
+    Quiz,
+    {
+      match: {
+        $or: [
+          { endDate: { $gte: now } },
+          { endDate: null, startDate: { $gte: now } },
+        ],
+        startDate: { $lte: new Date(now.getTime() + UPCOMING_DAYS * DAY) },
+      },
+      fields: ["title", "startDate", "endDate", "quizType", "duration"],
+      sortBy: "startDate",
+    },
+    studentIds,
+    courseIds
+  );
+
+// Latest grades and the average percentage of all grades
+const latestGrades = (studentIds) =>
+  Grade.aggregate([
+    { $match: { student: { $in: studentIds } } },
+    { $sort: { gradedDate: -1 } },
+    {
+      $group: {
+        _id: "$student",
+        average: { $avg: "$percentage" },
+        latest: {
+          $push: {
+            _id: "$_id",
+            course: "$course",
+            gradeType: "$gradeType",
+            pointsEarned: "$pointsEarned",
+            maxPoints: "$maxPoints",
+            percentage: "$percentage",
+            letterGrade: "$letterGrade",
+            gradedDate: "$gradedDate",
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        average: { $round: ["$average", 2] },
+        latest: { $slice: ["$latest", LIST_LIMIT] },
+      },
+    },
+    ...withCourses("latest"),
+  ]);
+
+// Fees still owed, soonest due first
+const outstandingFees = (studentIds, now) =>
+  Fee.aggregate([
+    {
+      $match: {
+        student: { $in: studentIds },
+        status: { $in: OPEN_FEE_STATUSES },
+      },
+    },
+    { $sort: { dueDate: 1 } },
+    {
+      $group: {
+        _id: "$student",
+        count: { $sum: 1 },
+        amount: { $sum: "$amount" },
+        overdueAmount: {
+          $sum: {
+            $cond: [
+              {
+                $or: [
+                  { $eq: ["$status", "overdue"] },
+                  { $lt: ["$dueDate", now] },
+                ],
+              },
+              "$amount",
+              0,
+            ],
+          },
+        },
+        fees: {
+          $push: {
+            _id: "$_id",
+            feeType: "$feeType",
+            academicYear: "$academicYear",
+            amount: "$amount",
+            dueDate: "$dueDate",
+            status: "$status",
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        count: 1,
+        amount: 1,
+        overdueAmount: 1,
+        fees: { $slice: ["$fees", LIST_LIMIT] },
+      },
+    },
+  ]);
+
+// Unread notices: the newest ones and how many there are per room
+const unreadNotices = (user, rooms) =>
+  Notice.aggregate([
+    { $match: { room: { $in: rooms }, readBy: { $ne: user._id } } },
+    {
+      $facet: {
+        latest: [
+          { $sort: { createdAt: -1 } },
+          { $limit: LIST_LIMIT },
+          { $project: { title: 1, message: 1, type: 1, createdAt: 1 } },
+        ],
+        byRoom: [{ $group: { _id: "$room", count: { $sum: 1 } } }],
+      },
+    },
+  ]);
+
+const byStudent = (results) =>
+  new Map(results.map(({ _id, ...rest }) => [_id.toString(), rest]));
+
+// Everything a parent's home screen shows about each of their children, in
+// one round of aggregations. Children whose records the parent may not see
+// are left out, and fees only show for children the parent pays for. Run it
+// unscoped: children may attend other branches.
+const parentDashboard = async (user) => {
+  const studentIds = await Guardian.studentIdsFor(user._id);
+  const payingFor = new Set(
+    (await Guardian.studentIdsFor(user._id, { financial: true })).map((id) =>
+      id.toString()
+    )
+  );
+  const now = new Date();
+
+  const courseIds = await Course.distinct("_id", {
+    enrolledStudents: { $in: studentIds },
+    isActive: true,
+  });
+
+  const [profiles, attendance, assignments, quizzes, grades, fees, [notices]] =
+    await Promise.all([
+      studentProfiles(studentIds),
+      attendanceSummaries(studentIds, now),
+      upcomingAssignments(studentIds, courseIds, now),
+      upcomingQuizzes(studentIds, courseIds, now),
+      latestGrades(studentIds),
+      outstandingFees(
+        studentIds.filter((id) => payingFor.has(id.toString())),
+        now
+      ),
+      roomsFor(user).then((rooms) => unreadNotices(user, rooms)),
+    ]);
+
+  const lists = {
+    attendance: byStudent(attendance),
+    assignments: byStudent(assignments),
+    quizzes: byStudent(quizzes),
+    grades: byStudent(grades),
+    fees: byStudent(fees),
+  };
+  const unreadIn = new Map(
+    notices.byRoom.map(({ _id, count }) => [_id, count])
+  );
+
+  const children = profiles.map((profile) => {
+    const id = profile._id.toString();
+    const items = (list) => (lists[list].get(id) || { items: [] }).items;
+
+    return {
+      ...profile,
+      attendance: lists.attendance.get(id) || null,
+      upcomingAssignments: items("assignments"),
+      upcomingQuizzes: items("quizzes"),
+      grades: lists.grades.get(id) || null,
+      outstandingFees: payingFor.has(id)
+        ? lists.fees.get(id) || {
+            count: 0,
+            amount: 0,
+            overdueAmount: 0,
+            fees: [],
+          }
+        : null,
+      unreadNotices: roomsOfStudent({
+        _id: profile._id,
+        class: profile.class._id,
+        section: profile.section._id,
+      }).reduce((sum, room) => sum + (unreadIn.get(room) || 0), 0),
+    };
+  });
+
+  return {
+    children,
+    notices: {
+      unread: notices.byRoom.reduce((sum, { count }) => sum + count, 0),
+      latest: notices.latest,
+    },
+    generatedAt: now,
+  };
+};
+
+module.exports = { parentDashboard };
@@ -0,0 +1,99 @@
+// Catalog of named permissions and the defaults granted to built-in roles.
+// The defaults mirror the role checks routes used before permissions existed.
+
+const PERMISSIONS = {
+  "users.view": "List users",
+  "users.manage": "Update and delete users",
+  "users.approve": "Review pending self-registrations",
+  "users.security": "Manage sessions, lockouts and login reports of users",
+  "users.impersonate":
+    "Act as another user for support, with every request audited",
+  "invitations.manage": "Invite users with a role and branch",
+  "roles.manage": "Define custom roles and assign them to users",
+  "branches.manage": "Create, update and deactivate branches",
+  "courses.manage": "Create and update courses",
+  "courses.manageAll":
+    "Manage the materials of any course, not only the ones taught",
+  "courses.delete": "Delete courses",
+  "courses.enroll": "Enroll students in courses",
+  "attendance.mark": "Mark attendance",
+  "biometric.override": "Override biometric attendance records",
+  "biometric.register": "Register student biometric IDs",
+  "biometric.devices": "Register, rotate and revoke biometric devices",
+  "biometric.report": "View biometric attendance reports",
+  "assignments.manage": "Create, update and delete assignments",
+  "assignments.submit": "Submit assignments",
+  "quizzes.manage": "Create, update and delete quizzes",
+  "quizzes.take": "Take quizzes",
+  "grades.manage": "Create and update grades",
+  "grades.delete": "Delete grades",
+  "fees.manage": "Create and update fee records",
+  "fees.delete": "Delete fee records",
+  "fees.pay": "Record fee payments",
+  "expenses.manage": "Create and update expenses",
+  "expenses.delete": "Delete expenses",
+  "inventory.manage": "Create and update inventory items",
+  "inventory.delete": "Delete inventory items",
+  "inventory.stock": "Update inventory stock levels",
+  "library.manage": "Create, update and delete library books",
+  "library.issue": "Issue and return library books",
+  "transport.manage": "Create, update and delete transport",
+  "transport.assign": "Assign students to transport",
+  "notifications.send": "Send real-time notifications to users and classes",
+  "notifications.broadcast": "Send real-time notifications to a whole branch",
+  "audit.view": "Search the audit log of data changes",
+  "audit.verify": "Verify the integrity of the audit log",
+  "serviceAccounts.manage": "Manage service accounts and their API keys",
+  "sso.manage": "Configure single sign-on providers",
+  "guardians.manage": "Link guardians to students and issue linking codes",
+  "students.admit": "Admit new students with their guardians",
+  "students.transfer":
+    "Transfer students between sections and branches and issue transfer certificates",
+  "teachers.view": "List teacher profiles and their class assignments",
+  "teachers.manage":
+    "Onboard teachers, edit their profiles and assign them to classes",
+  "imports.manage":
+    "Bulk import users, students and teachers from CSV or XLSX files",
+  "rollovers.manage":
+    "Promote students into the next academic year and set up its classes",
+  "trash.manage": "List, restore and permanently delete records in the trash",
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ALL_PERMISSIONS,
+  teacher: [
+    "courses.manage",
+    "courses.enroll",
+    "attendance.mark",
+    "biometric.override",
+    "biometric.report",
+    "assignments.manage",
+    "quizzes.manage",
+    "grades.manage",
+    "library.issue",
+    "notifications.send",
+  ],
+  accountant: [
+    "users.view",
+    "fees.manage",
+    "fees.pay",
+    "expenses.manage",
+    "inventory.manage",
+    "inventory.stock",
+    "notifications.send",
+  ],
+  student: ["assignments.submit", "quizzes.take"],
+  parent: [],
+};
+
+const isValidPermission = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  isValidPermission,
+};
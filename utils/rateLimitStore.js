@@ -0,0 +1,71 @@
+const { MemoryStore } = require("express-rate-limit");
+const RateLimitCounter = require("../models/RateLimitCounter");
+
+// express-rate-limit store keeping counters in MongoDB so limits hold
+// across server instances
+const createMongoStore = () => {
+  let windowMs;
+
+  return {
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const now = new Date();
+
+      try {
+        // Start a new window when the stored one has passed, in one atomic step
+        const counter = await RateLimitCounter.findOneAndUpdate(
+          { key },
+          [
+            {
+              $set: {
+                hits: {
+                  $cond: [
+                    { $gt: ["$resetAt", now] },
+                    { $add: ["$hits", 1] },
+                    1,
+                  ],
+                },
+                resetAt: {
+                  $cond: [
+                    { $gt: ["$resetAt", now] },
+                    "$resetAt",
+                    new Date(now.getTime() + windowMs),
+                  ],
+                },
+              },
+            },
+          ],
+          { upsert: true, new: true }
+        ).lean();
+
+        return { totalHits: counter.hits, resetTime: counter.resetAt };
+      } catch (error) {
+        // Fail open: an unavailable store must not take the API down
+        console.error("Rate limit store error:", error.message);
+        return { totalHits: 1, resetTime: new Date(now.getTime() + windowMs) };
+      }
+    },
+
+    async decrement(key) {
+      await RateLimitCounter.updateOne(
+        { key, hits: { $gt: 0 } },
+        { $inc: { hits: -1 } }
+      );
+    },
+
+    async resetKey(key) {
+      await RateLimitCounter.deleteOne({ key });
+    },
+  };
+};
+
+// Store for a limiter, chosen with RATE_LIMIT_STORE (memory or mongo)
+const createStore = () =>
+  process.env.RATE_LIMIT_STORE === "mongo"
+    ? createMongoStore()
+    : new MemoryStore();
+
+module.exports = { createStore, createMongoStore };
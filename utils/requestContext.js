@@ -0,0 +1,25 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per-request context (current user, active branch) that follows the
+// request through async calls, so model hooks can see it
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, callback) => storage.run(context, callback);
+
+const getContext = () => storage.getStore();
+
+// Run a callback with branch scoping disabled, e.g. for lookups that must
+// see records from every branch
+const runUnscoped = (callback) =>
+  storage.run(
+    { ...(getContext() || {}), branchId: null, unscoped: true },
+    callback
+  );
+
+// Express middleware opening a context for every request so model hooks
+// know where a change came from; authentication later adds the user. Runs
+// unscoped until then, like code outside a request.
+const requestContext = (req, res, next) =>
+  runWithContext({ req, unscoped: true }, next);
+
+module.exports = { runWithContext, getContext, runUnscoped, requestContext };
@@ -0,0 +1,689 @@
+const mongoose = require("mongoose");
+const Student = require("../models/Student");
+const Class = require("../models/Class");
+const Section = require("../models/Section");
+const Course = require("../models/Course");
+const Grade = require("../models/Grade");
+const Branch = require("../models/Branch");
+const Rollover = require("../models/Rollover");
+const { runInTransaction } = require("./transaction");
+const { letterGradeFor } = require("./grading");
+const { takeSeat, releaseSeat, nextRollNumber } = require("./enrollment");
+
+const ACTIONS = ["promote", "retain", "graduate", "leave"];
+
+// classMap value for classes whose students leave school after the year
+const GRADUATE = "graduate";
+
+// What each action records in the academic history and the summary
+const OUTCOMES = {
+  promote: "promoted",
+  retain: "retained",
+  graduate: "graduated",
+  leave: "left",
+};
+
+// How often a running rollover records that it is alive, and how long
+// without a heartbeat until it counts as interrupted
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const INTERRUPTED_AFTER = 5 * 60 * 1000;
+
+// Filter matching rollovers that may be run again: failed ones, and running
+// ones whose process stopped before recording how it went
+const resumableFilter = () => {
+  const cutoff = new Date(Date.now() - INTERRUPTED_AFTER);
+  return {
+    $or: [
+      { status: "failed" },
+      { status: "running", heartbeatAt: { $lt: cutoff } },
+      { status: "running", heartbeatAt: null, startedAt: { $lt: cutoff } },
+    ],
+  };
+};
+
+const isInterrupted = (rollover) =>
+  rollover.status === "running" &&
+  Date.now() - (rollover.heartbeatAt || rollover.startedAt || 0) >
+    INTERRUPTED_AFTER;
+
+const rolloverError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Academic year after `year`: "2025-2026" -> "2026-2027", "2025-26" ->
+// "2026-27", "2025" -> "2026". Null for years in any other form.
+const nextAcademicYear = (year) => {
+  const match = /^(\d{4})(?:([-/])(\d{2}|\d{4}))?$/.exec(String(year).trim());
+  if (!match) return null;
+
+  const [, start, separator, end] = match;
+  const next = String(parseInt(start) + 1);
+  if (!end) return next;
+
+  return `${next}${separator}${String(parseInt(end) + 1)
+    .padStart(end.length, "0")
+    .slice(-end.length)}`;
+};
+
+// Code of a course's clone: the year suffix of the original is replaced
+const cloneCode = (code, fromYear, toYear) => {
+  const suffix = `-${fromYear}`;
+  const base = code.endsWith(suffix) ? code.slice(0, -suffix.length) : code;
+  return `${base}-${toYear}`;
+};
+
+// Classes, sections and courses of a branch's academic year
+const loadYear = async (branch, year, session) => {
+  const classes = await Class.find({
+    branchId: branch._id,
+    academicYear: year,
+    isActive: true,
+  })
+    .sort({ grade: 1, name: 1 })
+    .session(session);
+
+  const sections = await Section.find({
+    classId: { $in: classes.map((cls) => cls._id) },
+    isActive: true,
+  })
+    .sort({ name: 1 })
+    .session(session);
+
+  // Courses created before rollovers existed belong to the current year
+  const courses = await Course.find({
+    branchId: branch._id,
+    grade: { $in: [...new Set(classes.map((cls) => cls.grade))] },
+    academicYear: { $in: [year, null] },
+    isActive: true,
+  }).session(session);
+
+  return { classes, sections, courses };
+};
+
+// Next year's class cloned from (or named like) a class, if created yet
+const findClone = (clones, cls) =>
+  clones.find((clone) => sameId(clone.clonedFrom, cls._id)) ||
+  clones.find((clone) => !clone.clonedFrom && clone.name === cls.name);
+
+// Final grades of students over the year's courses: the average percentage
+// of each course they were graded in, and the mean of those for the year
+const finalGrades = async (students, courses, session) => {
+  const averages = await Grade.aggregate([
+    {
+      $match: {
+        student: { $in: students.map((student) => student._id) },
+        course: { $in: courses.map((course) => course._id) },
+      },
+    },
+    {
+      $group: {
+        _id: { student: "$student", course: "$course" },
+        percentage: { $avg: "$percentage" },
+      },
+    },
+  ]).session(session);
+
+  const results = new Map();
+  for (const { _id, percentage } of averages) {
+    const course = courses.find((item) => sameId(item._id, _id.course));
+    const key = _id.student.toString();
+    if (!results.has(key)) results.set(key, []);
+    results.get(key).push({
+      course: course._id,
+      title: course.title,
+      percentage: round(percentage),
+      letterGrade: letterGradeFor(percentage),
+    });
+  }
+
+  return new Map(
+    students.map((student) => {
+      const graded = results.get(student.id) || [];
+      if (!graded.length) return [student.id, { courses: [] }];
+
+      const percentage =
+        graded.reduce((sum, course) => sum + course.percentage, 0) /
+        graded.length;
+      return [
+        student.id,
+        {
+          percentage: round(percentage),
+          grade: letterGradeFor(percentage),
+          courses: graded,
+        },
+      ];
+    })
+  );
+};
+
+// Class a class's students are promoted into by default: the one class a
+// grade up, or none when it is the last grade. A classMap entry decides
+// when there are several.
+const promotionTarget = (cls, classes, classMap, issues) => {
+  const mapped = classMap && classMap.get(cls.id);
+  if (mapped === GRADUATE) return null;
+  if (mapped) {
+    const target = classes.find((item) => item.id === mapped);
+    if (!target) {
+      issues.push(`Class ${cls.name} maps to a class not found in the year`);
+    }
+    return target;
+  }
+
+  const next = classes.filter((item) => item.grade === cls.grade + 1);
+  if (next.length > 1) {
+    issues.push(
+      `Class ${cls.name} could be promoted into ${next
+        .map((item) => item.name)
+        .join(" or ")}; map it to one of them`
+    );
+    return undefined;
+  }
+  return next[0] || null;
+};
+
+// Work out what happens to every active student of an academic year.
+// Options:
+// - toYear: the year to move into
+// - classMap: class ID -> class ID of the same year (or "graduate"),
+//   overriding the class a grade up
+// - overrides: [{ student, action, section }] for students not promoted
+//   with their class, or promoted into another section
+// Problems that would stop the rollover are collected in `issues`.
+const buildPlan = async (branch, options, session) => {
+  const { fromYear, toYear, classMap } = options;
+  const overrides = options.overrides || [];
+  const { classes, sections, courses } = await loadYear(
+    branch,
+    fromYear,
+    session
+  );
+  if (!classes.length) {
+    throw rolloverError(`No active classes found for ${fromYear}`, 404);
+  }
+
+  const issues = [];
+  for (const key of classMap ? classMap.keys() : []) {
+    if (!classes.some((cls) => cls.id === key)) {
+      issues.push(
+        `Class ${key} in the class map is not a class of ${fromYear}`
+      );
+    }
+  }
+
+  // Seats left in each section of next year, by "<class ID>:<section name>"
+  // of the class it is cloned from
+  const clones = await Class.find({
+    branchId: branch._id,
+    academicYear: toYear,
+  }).session(session);
+  const cloneSections = await Section.find({
+    classId: { $in: clones.map((clone) => clone._id) },
+  }).session(session);
+
+  const seats = new Map();
+  for (const section of sections) {
+    const cls = classes.find((item) => sameId(item._id, section.classId));
+    const clone = findClone(clones, cls);
+    const existing =
+      clone &&
+      cloneSections.find(
+        (item) => sameId(item.classId, clone._id) && item.name === section.name
+      );
+    seats.set(`${cls.id}:${section.name}`, {
+      cls,
+      name: section.name,
+      capacity: existing ? existing.capacity : section.capacity,
+      free: existing
+        ? existing.capacity - existing.currentEnrollment
+        : section.capacity,
+      planned: 0,
+    });
+  }
+
+  const sectionsOf = (cls) =>
+    sections.filter((section) => sameId(section.classId, cls._id));
+
+  // Section of `target` a student of `section` moves into: the one named in
+  // the override, the one of the same name, or the emptiest
+  const targetSection = (target, section, override) => {
+    if (override && override.section) {
+      return sectionsOf(target).find((item) => item.name === override.section);
+    }
+    const same = sectionsOf(target).find((item) => item.name === section.name);
+    if (same) return same;
+
+    return sectionsOf(target).reduce((best, item) => {
+      const left = (candidate) => {
+        const seat = seats.get(`${target.id}:${candidate.name}`);
+        return seat.free - seat.planned;
+      };
+      return !best || left(item) > left(best) ? item : best;
+    }, null);
+  };
+
+  const students = await Student.find({
+    class: { $in: classes.map((cls) => cls._id) },
+    isActive: true,
+  })
+    .populate("user", "firstName lastName")
+    .sort({ rollNumber: 1 })
+    .session(session);
+  const grades = await finalGrades(students, courses, session);
+
+  for (const override of overrides) {
+    if (!ACTIONS.includes(override.action)) {
+      issues.push(
+        `Action for student ${override.student} must be one of: ${ACTIONS.join(
+          ", "
+        )}`
+      );
+    }
+    if (students.some((student) => sameId(student._id, override.student))) {
+      continue;
+    }
+    // Students moved by an earlier, interrupted run are done
+    const done =
+      mongoose.isValidObjectId(override.student) &&
+      (await Student.exists({
+        _id: override.student,
+        "academicHistory.year": fromYear,
+      }).session(session));
+    if (!done) {
+      issues.push(
+        `Student ${override.student} is not an active student of a ${fromYear} class`
+      );
+    }
+  }
+
+  const targets = new Map(
+    classes.map((cls) => [
+      cls.id,
+      promotionTarget(cls, classes, classMap, issues),
+    ])
+  );
+
+  const groups = [];
+  for (const section of sections) {
+    const cls = classes.find((item) => sameId(item._id, section.classId));
+    const entries = [];
+
+    for (const student of students) {
+      if (!sameId(student.section, section._id)) continue;
+
+      const override = overrides.find((item) =>
+        sameId(item.student, student._id)
+      );
+      let action = override ? override.action : "promote";
+      let target = action === "retain" ? cls : targets.get(cls.id);
+      // No class a grade up: the last year of school
+      if (action === "promote" && target === null) action = "graduate";
+      if (action === "graduate" || action === "leave") target = null;
+
+      let toSection = null;
+      if (target) {
+        toSection = targetSection(target, section, override);
+        if (!toSection) {
+          const wanted = override && override.section;
+          issues.push(
+            wanted
+              ? `Class ${target.name} has no section ${wanted} for student ${student.studentId}`
+              : `Class ${target.name} has no sections for student ${student.studentId}`
+          );
+        } else {
+          seats.get(`${target.id}:${toSection.name}`).planned++;
+        }
+      }
+
+      entries.push({
+        student,
+        action,
+        target,
+        toSection,
+        result: grades.get(student.id),
+      });
+    }
+
+    groups.push({ cls, section, entries });
+  }
+
+  for (const seat of seats.values()) {
+    if (seat.planned > seat.free) {
+      issues.push(
+        `Section ${seat.name} of ${seat.cls.name} would get ${seat.planned} students but has ${seat.free} free seats`
+      );
+    }
+  }
+
+  return {
+    branch,
+    fromYear,
+    toYear,
+    classes,
+    sections,
+    courses,
+    targets,
+    groups,
+    seats,
+    issues,
+  };
+};
+
+// Totals of a plan by outcome
+const planSummary = (plan) => {
+  const summary = { promoted: 0, retained: 0, graduated: 0, left: 0 };
+  for (const { entries } of plan.groups) {
+    for (const { action } of entries) summary[OUTCOMES[action]]++;
+  }
+  return summary;
+};
+
+// What a plan would do, for previews
+const describePlan = (plan) => ({
+  fromYear: plan.fromYear,
+  toYear: plan.toYear,
+  summary: planSummary(plan),
+  classes: plan.classes.map((cls) => {
+    const target = plan.targets.get(cls.id);
+    return {
+      _id: cls._id,
+      name: cls.name,
+      grade: cls.grade,
+      promotesTo: target ? { _id: target._id, name: target.name } : null,
+      sections: plan.groups
+        .filter((group) => group.cls === cls)
+        .map(({ section, entries }) => ({
+          _id: section._id,
+          name: section.name,
+          students: entries.map(
+            ({ student, action, target, toSection, result }) => ({
+              _id: student._id,
+              studentId: student.studentId,
+              name:
+                student.user &&
+                `${student.user.firstName} ${student.user.lastName}`,
+              rollNumber: student.rollNumber,
+              action,
+              toClass: target && target.name,
+              toSection: toSection && toSection.name,
+              finalGrade: result.grade
+                ? { percentage: result.percentage, grade: result.grade }
+                : null,
+            })
+          ),
+        })),
+    };
+  }),
+  capacity: [...plan.seats.values()].map((seat) => ({
+    class: seat.cls.name,
+    section: seat.name,
+    capacity: seat.capacity,
+    free: seat.free,
+    planned: seat.planned,
+  })),
+  issues: plan.issues,
+});
+
+// Create next year's classes, sections and courses as copies of this
+// year's, without students, materials or dates. Copies made by an earlier
+// run, or classes of the same name created by hand, are used as they are.
+const cloneYear = async (plan, session) => {
+  const { branch, fromYear, toYear } = plan;
+  const classes = new Map();
+  const sections = new Map();
+
+  const existing = await Class.find({
+    branchId: branch._id,
+    academicYear: toYear,
+  }).session(session);
+
+  for (const cls of plan.classes) {
+    let clone = findClone(existing, cls);
+    if (!clone) {
+      clone = new Class({
+        name: cls.name,
+        grade: cls.grade,
+        branchId: branch._id,
+        capacity: cls.capacity,
+        academicYear: toYear,
+        clonedFrom: cls._id,
+      });
+      await clone.save({ session });
+    }
+    classes.set(cls.id, clone);
+
+    for (const section of plan.sections) {
+      if (!sameId(section.classId, cls._id)) continue;
+
+      let sectionClone = await Section.findOne({
+        classId: clone._id,
+        name: section.name,
+      }).session(session);
+      if (!sectionClone) {
+        sectionClone = new Section({
+          name: section.name,
+          classId: clone._id,
+          capacity: section.capacity,
+          roomNumber: section.roomNumber,
+        });
+        await sectionClone.save({ session });
+      }
+      sections.set(`${cls.id}:${section.name}`, sectionClone);
+    }
+  }
+
+  for (const course of plan.courses) {
+    const code = cloneCode(course.code, fromYear, toYear);
+    const copy = await Course.findOne({
+      $or: [{ clonedFrom: course._id }, { code }],
+    })
+      .session(session)
+      .setOptions({ skipBranchScope: true });
+
+    if (copy && !sameId(copy.branchId, branch._id)) {
+      throw rolloverError(
+        `Course code ${code} is already used by another branch`,
+        409
+      );
+    }
+    if (copy) continue;
+
+    await new Course({
+      title: course.title,
+      code,
+      description: course.description,
+      type: course.type,
+      subject: course.subject,
+      grade: course.grade,
+      branchId: branch._id,
+      instructor: course.instructor,
+      duration: course.duration,
+      schedule: course.schedule,
+      prerequisites: course.prerequisites,
+      objectives: course.objectives,
+      maxEnrollment: course.maxEnrollment,
+      academicYear: toYear,
+      clonedFrom: course._id,
+    }).save({ session });
+  }
+
+  return { classes, sections };
+};
+
+// Move the students of one section, recording their year in their academic
+// history. Returns the totals by outcome.
+const moveSection = async (plan, group, clones, session) => {
+  const summary = { promoted: 0, retained: 0, graduated: 0, left: 0 };
+  const now = new Date();
+
+  for (const entry of group.entries) {
+    const student = await Student.findById(entry.student._id).session(session);
+    if (
+      !student ||
+      !student.isActive ||
+      !sameId(student.section, group.section._id) ||
+      student.academicHistory.some((item) => item.year === plan.fromYear)
+    ) {
+      continue;
+    }
+
+    const outcome = OUTCOMES[entry.action];
+    student.academicHistory.push({
+      class: group.cls.name,
+      year: plan.fromYear,
+      grade: entry.result.grade,
+      classId: group.cls._id,
+      section: group.section.name,
+      rollNumber: student.rollNumber,
+      percentage: entry.result.percentage,
+      outcome,
+      courses: entry.result.courses,
+      recordedAt: now,
+    });
+
+    await releaseSeat(group.section, session);
+
+    if (entry.target) {
+      const cls = clones.classes.get(entry.target.id);
+      const section = clones.sections.get(
+        `${entry.target.id}:${entry.toSection.name}`
+      );
+      await takeSeat(section, session);
+
+      student.class = cls._id;
+      student.section = section._id;
+      student.rollNumber = await nextRollNumber(
+        plan.branch,
+        { date: now, cls, section },
+        session
+      );
+    } else {
+      student.enrollmentStatus = outcome;
+      student.isActive = false;
+      student.exitDate = now;
+    }
+
+    await student.save({ session });
+    summary[outcome]++;
+  }
+
+  return summary;
+};
+
+// Retire this year's classes, sections and courses once no student is left
+// in them
+const closeYear = async (plan, session) => {
+  const classIds = plan.classes.map((cls) => cls._id);
+
+  const remaining = await Student.countDocuments({
+    class: { $in: classIds },
+    isActive: true,
+  }).session(session);
+  if (remaining) {
+    throw rolloverError(
+      `${remaining} students are still in ${plan.fromYear} classes`,
+      409
+    );
+  }
+
+  await Class.updateMany(
+    { _id: { $in: classIds } },
+    { isActive: false },
+    { session }
+  );
+  await Section.updateMany(
+    { classId: { $in: classIds } },
+    { isActive: false },
+    { session }
+  );
+  const courseIds = plan.courses.map((course) => course._id);
+  await Course.updateMany(
+    { _id: { $in: courseIds }, academicYear: null },
+    { academicYear: plan.fromYear },
+    { session }
+  );
+  await Course.updateMany(
+    { _id: { $in: courseIds } },
+    { isActive: false },
+    { session }
+  );
+};
+
+// Carry out a rollover: clone next year, move every section's students in
+// a transaction of its own, then retire the finished year. Progress and the
+// outcome are recorded on the rollover; run it again after a failure to
+// move the remaining students.
+const runRollover = async (rolloverId) => {
+  const rollover = await Rollover.findById(rolloverId);
+
+  const heartbeat = setInterval(() => {
+    Rollover.updateOne(
+      { _id: rollover._id, status: "running" },
+      { heartbeatAt: new Date() }
+    ).catch((error) => {
+      console.error(
+        `Rollover ${rollover._id} heartbeat failed:`,
+        error.message
+      );
+    });
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  try {
+    const branch = await Branch.findById(rollover.branchId);
+    const plan = await buildPlan(branch, rollover);
+    if (plan.issues.length) {
+      throw rolloverError(plan.issues.join("; "));
+    }
+
+    const clones = await runInTransaction((session) =>
+      cloneYear(plan, session)
+    );
+
+    rollover.totalSections = plan.groups.length;
+    rollover.processedSections = 0;
+    await rollover.save();
+
+    for (const group of plan.groups) {
+      const moved = await runInTransaction((session) =>
+        moveSection(plan, group, clones, session)
+      );
+
+      for (const [outcome, count] of Object.entries(moved)) {
+        rollover.summary[outcome] += count;
+      }
+      rollover.processedSections++;
+      await rollover.save();
+    }
+
+    await runInTransaction((session) => closeYear(plan, session));
+
+    rollover.status = "completed";
+  } catch (error) {
+    rollover.status = "failed";
+    rollover.failureReason = error.message;
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  rollover.finishedAt = new Date();
+  await rollover.save();
+  return rollover;
+};
+
+module.exports = {
+  ACTIONS,
+  GRADUATE,
+  nextAcademicYear,
+  buildPlan,
+  describePlan,
+  resumableFilter,
+  isInterrupted,
+  runRollover,
+};
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+// Minimal client for S3-compatible object storage (AWS S3, MinIO, ...):
+// put and delete objects and presign downloads, with AWS Signature
+// Version 4
+
+const HTTP_TIMEOUT = 60 * 1000;
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+const MAX_PRESIGN_EXPIRY = 7 * 24 * 60 * 60;
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+// RFC 3986 encoding, as SigV4 expects it
+const encode = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+const encodeKey = (key) => key.split("/").map(encode).join("/");
+
+// "20130524T000000Z"
+const amzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+
+const canonicalQuery = (query) =>
+  Object.keys(query)
+    .sort()
+    .map((name) => `${encode(name)}=${encode(query[name])}`)
+    .join("&");
+
+// Signature of a request whose `headers` are all signed
+const sign = (config, { method, path, query, headers, payloadHash, date }) => {
+  const names = Object.keys(headers)
+    .map((name) => name.toLowerCase())
+    .sort();
+  const lowered = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const signedHeaders = names.join(";");
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery(query),
+    names.map((name) => `${name}:${String(lowered[name]).trim()}\n`).join(""),
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const day = date.slice(0, 8);
+  const scope = `${day}/${config.region}/s3/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    date,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    hmac,
+    hmac(hmac(`AWS4${config.secretAccessKey}`, day), config.region)
+  );
+
+  return {
+    signature: crypto
+      .createHmac("sha256", signingKey)
+      .update(stringToSign)
+      .digest("hex"),
+    credential: `${config.accessKeyId}/${scope}`,
+    signedHeaders,
+  };
+};
+
+// `config`: endpoint (omit for AWS), region, bucket, accessKeyId,
+// secretAccessKey. With an endpoint, buckets are addressed by path
+// (http://minio:9000/bucket/key) as most S3-compatible servers expect.
+const createS3Client = (config) => {
+  const region = config.region || "us-east-1";
+  const settings = { ...config, region };
+  const base = config.endpoint
+    ? new URL(`${config.endpoint.replace(/\/$/, "")}/${config.bucket}`)
+    : new URL(`https://${config.bucket}.s3.${region}.amazonaws.com`);
+  const basePath = base.pathname.replace(/\/$/, "");
+
+  const target = (key) => ({
+    host: base.host,
+    path: `${basePath}/${encodeKey(key)}`,
+  });
+
+  const request = async (
+    method,
+    key,
+    { body, headers = {}, ...options } = {}
+  ) => {
+    const { host, path } = target(key);
+    const date = amzDate(new Date());
+    const payloadHash = body ? sha256(body) : sha256("");
+    const signed = {
+      ...headers,
+      host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": date,
+    };
+    const { signature, credential, signedHeaders } = sign(settings, {
+      method,
+      path,
+      query: {},
+      headers: signed,
+      payloadHash,
+      date,
+    });
+
+    delete signed.host;
+    return axios({
+      method,
+      url: `${base.protocol}//${host}${path}`,
+      data: body,
+      headers: {
+        ...signed,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+      timeout: HTTP_TIMEOUT,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      ...options,
+    });
+  };
+
+  return {
+    putObject: (key, body, contentType) =>
+      request("PUT", key, {
+        body,
+        headers: { "content-type": contentType },
+      }),
+
+    deleteObject: (key) => request("DELETE", key),
+
+    // URL anyone can download the object from until it expires. `response`
+    // overrides headers of the download, e.g. { "content-disposition": ... }
+    presignGet: (
+      key,
+      { expiresIn = 900, response = {}, date = new Date() } = {}
+    ) => {
+      const { host, path } = target(key);
+      const signedAt = amzDate(date);
+      const query = {
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+        "X-Amz-Credential": `${settings.accessKeyId}/${signedAt.slice(
+          0,
+          8
+        )}/${region}/s3/aws4_request`,
+        "X-Amz-Date": signedAt,
+        "X-Amz-Expires": String(Math.min(expiresIn, MAX_PRESIGN_EXPIRY)),
+        "X-Amz-SignedHeaders": "host",
+      };
+      Object.entries(response).forEach(([name, value]) => {
+        query[`response-${name}`] = value;
+      });
+
+      const { signature } = sign(settings, {
+        method: "GET",
+        path,
+        query,
+        headers: { host },
+        payloadHash: UNSIGNED_PAYLOAD,
+        date: signedAt,
+      });
+
+      return `${base.protocol}//${host}${path}?${canonicalQuery({
+        ...query,
+        "X-Amz-Signature": signature,
+      })}`;
+    },
+  };
+};
+
+module.exports = { createS3Client };
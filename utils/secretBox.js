@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+
+// AES-256-GCM encryption for secrets the server must be able to read back
+// (e.g. device HMAC keys), keyed from SECRET_ENCRYPTION_KEY
+
+const getKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+
+// Encrypt to "iv.tag.ciphertext" (base64 parts)
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(plainText, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, encrypted] = payload
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+module.exports = { encrypt, decrypt };
@@ -0,0 +1,55 @@
+const Role = require("../models/Role");
+const { DEFAULT_ROLE_PERMISSIONS } = require("./permissions");
+const { clearPermissionCache } = require("../middleware/auth");
+
+// Create a system role for every built-in User.role that is missing one, and
+// give existing system roles the default permissions added since they were
+// last seeded
+const seedRoles = async () => {
+  try {
+    for (const [name, permissions] of Object.entries(
+      DEFAULT_ROLE_PERMISSIONS
+    )) {
+      const role = await Role.findOne({ name });
+
+      if (!role) {
+        await Role.create({
+          name,
+          displayName: name.charAt(0).toUpperCase() + name.slice(1),
+          permissions,
+          seededPermissions: permissions,
+          isSystem: true,
+        });
+        console.log(`✅ System role created: ${name}`);
+        continue;
+      }
+
+      if (!role.isSystem) continue;
+
+      // Roles seeded before defaults were tracked may have had some taken
+      // away on purpose, so only start tracking from today's defaults
+      const seeded = new Set(role.seededPermissions || permissions);
+      const added = permissions.filter(
+        (permission) =>
+          !seeded.has(permission) && !role.permissions.includes(permission)
+      );
+
+      if (added.length) role.permissions.push(...added);
+      role.seededPermissions = permissions;
+      if (!role.isModified()) continue;
+
+      await role.save();
+      clearPermissionCache();
+      if (added.length) {
+        console.log(
+          `✅ System role ${name} given new permissions: ${added.join(", ")}`
+        );
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error seeding roles:", error);
+    throw error;
+  }
+};
+
+module.exports = seedRoles;
@@ -0,0 +1,271 @@
+const User = require("../models/User");
+const Student = require("../models/Student");
+const Teacher = require("../models/Teacher");
+const Class = require("../models/Class");
+const Section = require("../models/Section");
+const Guardian = require("../models/Guardian");
+const Notice = require("../models/Notice");
+const {
+  authenticateAccessToken,
+  getUserPermissions,
+} = require("../middleware/auth");
+const { allowedBranches } = require("../middleware/tenancy");
+
+// Room names. Users with access to every branch join the "all" branch rooms.
+const rooms = {
+  user: (userId) => `user_${userId}`,
+  student: (studentId) => `student_${studentId}`,
+  class: (classId) => `class_${classId}`,
+  section: (sectionId) => `section_${sectionId}`,
+  branch: (branchId) => `branch_${branchId}`,
+  branchRole: (branchId, role) => `branch_${branchId}_role_${role}`,
+};
+
+// Rooms of a student record: their own, their class's and their section's
+const roomsOfStudent = (student) => [
+  rooms.student(student._id),
+  rooms.class(student.class),
+  rooms.section(student.section),
+];
+
+// Rooms of a user's own student record or, for parents, their children
+const studentRoomsFor = async (user) => {
+  if (user.role === "student") {
+    const student = await Student.findOne({ user: user._id });
+    return student ? roomsOfStudent(student) : [];
+  }
+
+  if (user.role === "parent") {
+    const studentIds = await Guardian.studentIdsFor(user._id);
+    const students = await Student.find({ _id: { $in: studentIds } }).select(
+      "class section"
+    );
+    return students.flatMap(roomsOfStudent);
+  }
+
+  return [];
+};
+
+// Class and section rooms of a teacher's assignments
+const teacherRoomsFor = async (user) => {
+  if (user.role !== "teacher") return [];
+
+  const teacher = await Teacher.findOne({ user: user._id });
+  if (!teacher) return [];
+
+  return teacher.assignedClasses.flatMap((assignment) =>
+    [
+      assignment.class && rooms.class(assignment.class),
+      assignment.section && rooms.section(assignment.section),
+    ].filter(Boolean)
+  );
+};
+
+// Every room a connected user belongs to
+const roomsFor = async (user) => {
+  const branches = allowedBranches(user) || ["all"];
+
+  return [
+    rooms.user(user._id),
+    ...branches.flatMap((branchId) => [
+      rooms.branch(branchId),
+      rooms.branchRole(branchId, user.role),
+    ]),
+    ...(await studentRoomsFor(user)),
+    ...(await teacherRoomsFor(user)),
+  ];
+};
+
+// Emit to the given roles of a branch, including users with access to all
+const emitToBranchRoles = (io, branchId, roles, event, data) => {
+  if (!io) return;
+  const targets = roles.flatMap((role) => [
+    rooms.branchRole("all", role),
+    ...(branchId ? [rooms.branchRole(branchId, role)] : []),
+  ]);
+  io.to(targets).emit(event, data);
+};
+
+// Emit to students (and their parents) by Student ID
+const emitToStudents = (io, studentIds, event, data) => {
+  if (!io || studentIds.length === 0) return;
+  io.to(studentIds.map((id) => rooms.student(id))).emit(event, data);
+};
+
+// Check that a branch-owned record is reachable by the socket's user
+const canReachBranch = (socket, branchId) =>
+  !socket.allowedBranches ||
+  (!!branchId && socket.allowedBranches.includes(branchId.toString()));
+
+// Reply through the client's acknowledgement callback when one was given
+const acknowledge = (callback, success, message) => {
+  if (typeof callback === "function") callback({ success, message });
+};
+
+const setupSocket = (io) => {
+  // Authenticate every connection with the same access token as the API
+  io.use(async (socket, next) => {
+    try {
+      const header = socket.handshake.headers.authorization || "";
+      const token =
+        (socket.handshake.auth && socket.handshake.auth.token) ||
+        (header.startsWith("Bearer") ? header.split(" ")[1] : null);
+
+      if (!token) {
+        return next(new Error("Not authorized, no token"));
+      }
+
+      const { user, session, impersonation } = await authenticateAccessToken(
+        token,
+        socket.handshake.address
+      );
+
+      // Impersonated requests are audited one by one, which sockets cannot be
+      if (impersonation) {
+        return next(new Error("Impersonation tokens cannot open sockets"));
+      }
+
+      socket.user = user;
+      socket.sessionId = session._id;
+      socket.permissions = await getUserPermissions(user);
+      socket.allowedBranches = allowedBranches(user);
+      next();
+    } catch (error) {
+      next(
+        new Error(error.expose ? error.message : "Not authorized, token failed")
+      );
+    }
+  });
+
+  io.on("connection", async (socket) => {
+    const { user } = socket;
+    console.log(`User ${user._id} connected with socket ${socket.id}`);
+
+    try {
+      socket.join(await roomsFor(user));
+    } catch (error) {
+      console.error(`Could not join rooms for user ${user._id}:`, error);
+      socket.disconnect(true);
+      return;
+    }
+
+    // Relay a client-side attendance update to the student and branch staff
+    socket.on("attendance_sync", async (data = {}, callback) => {
+      try {
+        if (!socket.permissions.has("attendance.mark")) {
+          return acknowledge(callback, false, "Not authorized");
+        }
+
+        const student = await Student.findById(data.studentId);
+        if (!student || !canReachBranch(socket, student.branchId)) {
+          return acknowledge(callback, false, "Student not found");
+        }
+
+        const payload = {
+          studentId: student._id,
+          date: data.date,
+          status: data.status,
+          markedBy: user._id,
+        };
+        emitToStudents(io, [student._id], "attendance_updated", payload);
+        emitToBranchRoles(
+          io,
+          student.branchId,
+          ["admin", "teacher"],
+          "attendance_updated",
+          payload
+        );
+        acknowledge(callback, true);
+      } catch (error) {
+        acknowledge(callback, false, error.message);
+      }
+    });
+
+    // Send a notification to a user, a class or section, or a whole branch
+    socket.on("send_notification", async (data = {}, callback) => {
+      try {
+        if (!socket.permissions.has("notifications.send")) {
+          return acknowledge(callback, false, "Not authorized");
+        }
+
+        // Sender details come from the authenticated user, not the client
+        const notification = {
+          title: data.title,
+          message: data.message,
+          type: data.type || "info",
+          from: {
+            _id: user._id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role,
+          },
+          sentAt: new Date(),
+        };
+
+        let target;
+        let branchId;
+        if (data.recipient) {
+          const recipient = await User.findById(data.recipient);
+          if (!recipient || !canReachBranch(socket, recipient.branchId)) {
+            return acknowledge(callback, false, "Recipient not found");
+          }
+          target = rooms.user(recipient._id);
+          branchId = recipient.branchId;
+        } else if (data.classId || data.sectionId) {
+          const classDoc = await Class.findById(data.classId);
+          if (!classDoc || !canReachBranch(socket, classDoc.branchId)) {
+            return acknowledge(callback, false, "Class not found");
+          }
+          target = rooms.class(classDoc._id);
+          if (data.sectionId) {
+            // Sections carry no branch of their own, they are in the class's
+            const section = await Section.findById(data.sectionId);
+            if (!section || !section.classId.equals(classDoc._id)) {
+              return acknowledge(callback, false, "Section not found");
+            }
+            target = rooms.section(section._id);
+          }
+          branchId = classDoc.branchId;
+        } else {
+          if (!socket.permissions.has("notifications.broadcast")) {
+            return acknowledge(callback, false, "Not authorized to broadcast");
+          }
+          branchId = data.branchId || user.branchId;
+          if (!branchId || !canReachBranch(socket, branchId)) {
+            return acknowledge(callback, false, "Branch not found");
+          }
+          target = rooms.branch(branchId);
+        }
+
+        // Kept for those offline, see routes/notices.js
+        const notice = await Notice.create({
+          title: notification.title,
+          message: notification.message,
+          type: notification.type,
+          room: target,
+          sentBy: user._id,
+          branchId,
+        });
+        notification._id = notice._id;
+
+        io.to(target).emit("notification", notification);
+        acknowledge(callback, true);
+      } catch (error) {
+        acknowledge(callback, false, error.message);
+      }
+    });
+
+    socket.on("disconnect", () => {
+      console.log("Client disconnected:", socket.id);
+    });
+  });
+};
+
+module.exports = {
+  setupSocket,
+  rooms,
+  roomsFor,
+  roomsOfStudent,
+  emitToBranchRoles,
+  emitToStudents,
+};
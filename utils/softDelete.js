@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+
+const QUERY_HOOKS = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days deleted records stay in the trash before they are purged for good
+const RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL =
+  (parseFloat(process.env.SOFT_DELETE_PURGE_INTERVAL_HOURS) || 6) *
+  60 *
+  60 *
+  1000;
+
+const schemas = new Set();
+
+// Mongoose plugin keeping deleted documents in a trash instead of dropping
+// them: doc.softDelete(user) stamps deletedAt/deletedBy and every query
+// leaves such documents out. Query options:
+// - withDeleted: match deleted documents too
+// - onlyDeleted: match deleted documents only (the trash)
+// Apply it before auditTrail so audit lookups see the same documents.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  });
+  schema.index({ deletedAt: 1 });
+  schemas.add(schema);
+
+  schema.pre(QUERY_HOOKS, function () {
+    const { withDeleted, onlyDeleted } = this.getOptions();
+    if (withDeleted) return;
+
+    this.and([{ deletedAt: onlyDeleted ? { $ne: null } : null }]);
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Deleting or restoring never fails on fields that no longer validate
+  schema.methods.softDelete = function (deletedBy, options) {
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    return this.save({ validateBeforeSave: false, ...options });
+  };
+
+  schema.methods.restore = function (options) {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save({ validateBeforeSave: false, ...options });
+  };
+};
+
+// Models using the plugin, e.g. for the trash listing
+const softDeleteModels = () =>
+  mongoose
+    .modelNames()
+    .map((name) => mongoose.model(name))
+    .filter((model) => schemas.has(model.schema));
+
+// When a record deleted at `deletedAt` will be purged
+const purgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * DAY);
+
+// Permanently delete what has been in the trash longer than the retention
+// period; returns the number purged per model
+const purgeDeleted = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY);
+  const purged = {};
+
+  for (const model of softDeleteModels()) {
+    const { deletedCount } = await model
+      .deleteMany({ deletedAt: { $lte: cutoff } })
+      .setOptions({ onlyDeleted: true, skipBranchScope: true });
+    if (deletedCount) purged[model.modelName] = deletedCount;
+  }
+  return purged;
+};
+
+// Purge the trash now and every PURGE_INTERVAL while the server runs
+const schedulePurge = () => {
+  const run = () =>
+    purgeDeleted()
+      .then((purged) => {
+        if (Object.keys(purged).length) {
+          console.log("Purged deleted records:", purged);
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to purge deleted records:", error.message);
+      });
+
+  run();
+  setInterval(run, PURGE_INTERVAL).unref();
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  softDelete,
+  softDeleteModels,
+  purgeDate,
+  purgeDeleted,
+  schedulePurge,
+};
@@ -0,0 +1,108 @@
+const ExcelJS = require("exceljs");
+
+// Split CSV text (RFC 4180: quoted fields may hold commas, newlines and
+// doubled quotes) into rows of strings
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  // Excel adds a byte order mark to UTF-8 files
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Quote a value for CSV when needed
+const csvValue = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (values) => `${values.map(csvValue).join(",")}\r\n`;
+
+// Plain value of an XLSX cell: formulas give their result, rich text and
+// links their text, dates an ISO string
+const cellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "object") return String(value);
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if (value.result !== undefined) return cellValue(value.result);
+  if (value.text !== undefined) return cellValue(value.text);
+  return "";
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, number) => {
+    // row.values is 1-based
+    rows[number - 1] = row.values.slice(1).map(cellValue);
+  });
+
+  return Array.from(rows, (row) => row || []);
+};
+
+// Read the first sheet of a CSV or XLSX file into its header and rows. Rows
+// carry their line number in the file and blank rows are skipped.
+const readSpreadsheet = async (buffer, format) => {
+  const lines =
+    format === "xlsx"
+      ? await readXlsx(buffer)
+      : parseCsv(buffer.toString("utf8"));
+
+  const [header = [], ...rest] = lines;
+
+  return {
+    headers: header.map((name) => String(name).trim()),
+    rows: rest
+      .map((values, index) => ({
+        line: index + 2,
+        values: values.map((value) => String(value).trim()),
+      }))
+      .filter((row) => row.values.some(Boolean)),
+  };
+};
+
+module.exports = { parseCsv, formatCsvRow, readSpreadsheet };
@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createS3Client } = require("./s3Client");
+
+// Where uploaded files are kept. STORAGE_DRIVER picks the driver new files
+// go to:
+// - local (default): on disk under STORAGE_LOCAL_DIR, downloaded through
+//   /api/files/content with links the server signs
+// - s3: a bucket on S3 or an S3-compatible server (S3_ENDPOINT, S3_REGION,
+//   S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY); `npm run mock:s3`
+//   starts a local stand-in
+// - cloudinary: private raw uploads to the account in CLOUDINARY_URL
+// Every driver puts a Buffer under a key such as "profiles/1a2b.webp",
+// removes it and hands out download links that expire.
+
+const LOCAL_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+
+// Types browsers may show in place; anything else downloads as a file
+const INLINE_TYPES = /^(image\/|video\/|application\/pdf$)/;
+
+const storageError = (message, statusCode = 500) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Content-Disposition for downloading a file under its original name
+const disposition = (contentType, filename) => {
+  const type = INLINE_TYPES.test(contentType || "") ? "inline" : "attachment";
+  if (!filename) return type;
+
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(
+    filename
+  )}`;
+};
+
+const signingKey = () =>
+  process.env.STORAGE_SIGNING_KEY || process.env.JWT_SECRET || "";
+
+// Query parameters of a local download link, in the order they are signed.
+// The type and name are signed too so a link cannot serve a file as HTML.
+const LINK_PARAMS = ["key", "expires", "type", "name"];
+
+const linkSignature = (params) =>
+  crypto
+    .createHmac("sha256", signingKey())
+    .update(LINK_PARAMS.map((name) => params[name] || "").join("\n"))
+    .digest("base64url");
+
+const localPath = (key) => {
+  const filePath = path.resolve(LOCAL_DIR, key);
+  if (!filePath.startsWith(LOCAL_DIR + path.sep)) {
+    throw storageError("Invalid file key", 400);
+  }
+  return filePath;
+};
+
+const localDriver = () => ({
+  put: async (key, body) => {
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+  },
+
+  remove: (key) =>
+    fs.promises.unlink(localPath(key)).catch((error) => {
+      if (error.code !== "ENOENT") throw error;
+    }),
+
+  signedUrl: (key, { expiresIn, contentType, filename, baseUrl = "" }) => {
+    const params = {
+      key,
+      expires: String(Math.floor(Date.now() / 1000) + expiresIn),
+    };
+    if (contentType) params.type = contentType;
+    if (filename) params.name = filename;
+
+    return `${baseUrl}/api/files/content?${new URLSearchParams({
+      ...params,
+      signature: linkSignature(params),
+    })}`;
+  },
+});
+
+const s3Driver = () => {
+  const config = {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  };
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw storageError(
+      "S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY"
+    );
+  }
+  const client = createS3Client(config);
+
+  return {
+    put: (key, body, contentType) => client.putObject(key, body, contentType),
+
+    remove: (key) => client.deleteObject(key),
+
+    signedUrl: (key, { expiresIn, contentType, filename }) => {
+      const response = {
+        "content-disposition": disposition(contentType, filename),
+      };
+      if (contentType) response["content-type"] = contentType;
+      return client.presignGet(key, { expiresIn, response });
+    },
+  };
+};
+
+const cloudinaryDriver = () => {
+  if (!process.env.CLOUDINARY_URL) {
+    throw storageError("Cloudinary storage needs CLOUDINARY_URL");
+  }
+  // Reads its credentials from CLOUDINARY_URL
+  const { v2: cloudinary } = require("cloudinary");
+  const options = { resource_type: "raw", type: "private" };
+
+  return {
+    put: (key, body) =>
+      new Promise((resolve, reject) => {
+        cloudinary.uploader
+          .upload_stream({ ...options, public_id: key }, (error, result) =>
+            error ? reject(error) : resolve(result)
+          )
+          .end(body);
+      }),
+
+    remove: (key) => cloudinary.uploader.destroy(key, options),
+
+    signedUrl: (key, { expiresIn, contentType }) =>
+      cloudinary.utils.private_download_url(key, "", {
+        ...options,
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+        attachment: !INLINE_TYPES.test(contentType || ""),
+      }),
+  };
+};
+
+const factories = {
+  local: localDriver,
+  s3: s3Driver,
+  cloudinary: cloudinaryDriver,
+};
+const drivers = new Map();
+
+// Driver new uploads go to
+const defaultDriver = () => process.env.STORAGE_DRIVER || "local";
+
+// The named driver (files remember which one holds them), set up on first
+// use so a missing configuration only fails the uploads that need it
+const getStorage = (name = defaultDriver()) => {
+  if (!factories[name]) {
+    throw storageError(
+      `Unknown storage driver "${name}", expected one of: ${Object.keys(
+        factories
+      ).join(", ")}`
+    );
+  }
+  if (!drivers.has(name)) drivers.set(name, factories[name]());
+  return drivers.get(name);
+};
+
+// File behind a local download link, or null when the link was tampered
+// with or has expired
+const resolveLocalLink = (query) => {
+  const params = {};
+  LINK_PARAMS.forEach((name) => {
+    if (typeof query[name] === "string") params[name] = query[name];
+  });
+
+  const expected = Buffer.from(linkSignature(params));
+  const given = Buffer.from(String(query.signature || ""));
+  if (
+    !params.key ||
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected) ||
+    !(parseInt(params.expires) * 1000 > Date.now())
+  ) {
+    return null;
+  }
+
+  return {
+    path: localPath(params.key),
+    contentType: params.type || "application/octet-stream",
+    disposition: disposition(params.type, params.name),
+  };
+};
+
+module.exports = { defaultDriver, getStorage, resolveLocalLink };
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const { discardAuditEntries, flushAuditEntries } = require("./auditTrail");
+
+// Run `callback(session)` in a MongoDB transaction, retrying it on transient
+// errors, and return its result. Pass the session to every query and save
+// inside the callback. Needs MongoDB running as a replica set (a single-node
+// replica set is enough for development). Audit entries for the changes are
+// only written once the transaction has committed.
+const runInTransaction = async (callback) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      discardAuditEntries(session);
+      result = await callback(session);
+    });
+
+    await flushAuditEntries(session);
+    return result;
+  } finally {
+    discardAuditEntries(session);
+    await session.endSession();
+  }
+};
+
+module.exports = { runInTransaction };
@@ -0,0 +1,329 @@
+const User = require("../models/User");
+const Class = require("../models/Class");
+const Section = require("../models/Section");
+const Branch = require("../models/Branch");
+const Course = require("../models/Course");
+const Transport = require("../models/Transport");
+const Fee = require("../models/Fee");
+const Guardian = require("../models/Guardian");
+const { takeSeat, releaseSeat, nextRollNumber } = require("./enrollment");
+const { nextIdentifier } = require("./identifierPattern");
+const { escapeHtml } = require("./mailTemplates");
+
+const APP_NAME = process.env.APP_NAME || "School LMS";
+
+// Fees still owed move with the student; paid and waived ones stay in the
+// books of the branch that collected them
+const OPEN_FEE_STATUSES = ["pending", "overdue"];
+
+const transferError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Move the student out of courses that do not fit the new class and into
+// the course of the same subject there, when there is one with room
+const moveCourses = async (student, fromClass, cls, session) => {
+  const result = { dropped: [], enrolled: [], notEnrolled: [] };
+  if (
+    fromClass &&
+    sameId(fromClass.branchId, cls.branchId) &&
+    fromClass.grade === cls.grade
+  ) {
+    return result;
+  }
+
+  const courses = await Course.find({
+    enrolledStudents: student._id,
+    isActive: true,
+  })
+    .session(session)
+    .setOptions({ skipBranchScope: true });
+
+  for (const course of courses) {
+    if (sameId(course.branchId, cls.branchId) && course.grade === cls.grade) {
+      continue;
+    }
+
+    await Course.updateOne(
+      { _id: course._id },
+      { $pull: { enrolledStudents: student._id } },
+      { session }
+    ).setOptions({ skipBranchScope: true });
+    result.dropped.push(course);
+
+    const replacement = await Course.findOne({
+      branchId: cls.branchId,
+      grade: cls.grade,
+      subject: course.subject,
+      academicYear: { $in: [cls.academicYear, null] },
+      isActive: true,
+    })
+      .session(session)
+      .setOptions({ skipBranchScope: true });
+
+    if (!replacement) {
+      result.notEnrolled.push({ course, reason: "No course of this subject" });
+    } else if (
+      replacement.maxEnrollment &&
+      replacement.enrolledStudents.length >= replacement.maxEnrollment
+    ) {
+      result.notEnrolled.push({
+        course,
+        reason: `${replacement.title} is full`,
+      });
+    } else {
+      await Course.updateOne(
+        { _id: replacement._id },
+        { $addToSet: { enrolledStudents: student._id } },
+        { session }
+      ).setOptions({ skipBranchScope: true });
+      result.enrolled.push(replacement);
+    }
+  }
+
+  return result;
+};
+
+// Take the student off every vehicle they are assigned to
+const releaseTransport = async (student, session) => {
+  const assigned = [{ assignedStudents: student._id }];
+  if (student.transport) assigned.push({ _id: student.transport });
+
+  const transports = await Transport.find({ $or: assigned })
+    .session(session)
+    .setOptions({ skipBranchScope: true });
+
+  await Transport.updateMany(
+    { _id: { $in: transports.map((transport) => transport._id) } },
+    { $pull: { assignedStudents: student._id } },
+    { session }
+  ).setOptions({ skipBranchScope: true });
+
+  student.transport = undefined;
+  return transports;
+};
+
+// Hand the student's fees still owed, guardian links and accounts over to
+// the new branch
+const moveToBranch = async (student, branch, session) => {
+  const fees = await Fee.find({
+    student: student._id,
+    status: { $in: OPEN_FEE_STATUSES },
+  })
+    .session(session)
+    .setOptions({ skipBranchScope: true });
+  await Fee.updateMany(
+    { _id: { $in: fees.map((fee) => fee._id) } },
+    { branchId: branch._id },
+    { session }
+  ).setOptions({ skipBranchScope: true });
+
+  const guardians = await Guardian.find({ student: student._id })
+    .session(session)
+    .setOptions({ skipBranchScope: true });
+  await Guardian.updateMany(
+    { student: student._id },
+    { branchId: branch._id },
+    { session }
+  ).setOptions({ skipBranchScope: true });
+
+  const parents = await User.find({
+    _id: { $in: guardians.map((guardian) => guardian.user) },
+  })
+    .session(session)
+    .setOptions({ skipBranchScope: true });
+  for (const parent of parents) {
+    if (parent.grantBranchAccess(branch._id)) {
+      await parent.save({ session, validateBeforeSave: false });
+    }
+  }
+
+  const account = await User.findById(student.user)
+    .session(session)
+    .setOptions({ skipBranchScope: true });
+  if (account) {
+    account.branchId = branch._id;
+    await account.save({ session, validateBeforeSave: false });
+  }
+
+  student.branchId = branch._id;
+  return fees;
+};
+
+// Transfer certificate number following the pattern of the branch left
+const nextCertificateNumber = (branch, date, session) =>
+  nextIdentifier(
+    branch.admissionSettings.transferCertificatePattern,
+    `transferCertificate:${branch._id}`,
+    { branch, date },
+    session
+  );
+
+// Move a student into `section` of `cls`, in this branch or another, and
+// bring along what hangs off their placement: class seats, roll number,
+// courses, transport and, across branches, fees still owed, guardians and
+// accounts. The move is added to the student's transfer history, which is
+// returned along with the courses that could not be re-enrolled. Run it in a
+// transaction, unscoped when it crosses branches.
+const transferStudent = async (student, cls, section, options, session) => {
+  const { date = new Date(), reason, transferredBy } = options;
+
+  if (sameId(student.section, section._id)) {
+    throw transferError("The student is already in this section");
+  }
+
+  const fromSection = await Section.findById(student.section).session(session);
+  const fromClass = await Class.findById(student.class)
+    .session(session)
+    .setOptions({ skipBranchScope: true });
+  const fromBranch = await Branch.findById(student.branchId).session(session);
+  const toBranch = await Branch.findById(cls.branchId).session(session);
+  const changesBranch = !sameId(fromBranch._id, toBranch._id);
+
+  if (fromSection) await releaseSeat(fromSection, session);
+  await takeSeat(section, session);
+
+  const entry = {
+    date,
+    from: {
+      branch: fromBranch._id,
+      class: student.class,
+      section: student.section,
+      rollNumber: student.rollNumber,
+    },
+    reason,
+    transferredBy,
+  };
+
+  const courses = await moveCourses(student, fromClass, cls, session);
+  entry.droppedCourses = courses.dropped.map((course) => course._id);
+  entry.enrolledCourses = courses.enrolled.map((course) => course._id);
+
+  if (changesBranch || options.releaseTransport) {
+    const transports = await releaseTransport(student, session);
+    entry.releasedTransport = transports.map((transport) => transport._id);
+  }
+
+  if (changesBranch) {
+    const fees = await moveToBranch(student, toBranch, session);
+    entry.movedFees = fees.map((fee) => fee._id);
+  }
+
+  if (options.issueCertificate) {
+    entry.certificateNumber = await nextCertificateNumber(
+      fromBranch,
+      date,
+      session
+    );
+    entry.certificateIssuedAt = new Date();
+  }
+
+  student.class = cls._id;
+  student.section = section._id;
+  student.rollNumber = await nextRollNumber(
+    toBranch,
+    { date, cls, section },
+    session
+  );
+  entry.to = {
+    branch: toBranch._id,
+    class: cls._id,
+    section: section._id,
+    rollNumber: student.rollNumber,
+  };
+
+  student.transferHistory.push(entry);
+  await student.save({ session });
+
+  return {
+    transfer: student.transferHistory[student.transferHistory.length - 1],
+    notEnrolled: courses.notEnrolled.map(({ course, reason }) => ({
+      course: { _id: course._id, title: course.title, code: course.code },
+      reason,
+    })),
+  };
+};
+
+// Number a transfer certificate for an earlier transfer that has none
+const issueCertificate = async (student, transfer) => {
+  if (transfer.certificateNumber) return transfer;
+
+  const branch = await Branch.findById(transfer.from.branch);
+  transfer.certificateNumber = await nextCertificateNumber(
+    branch,
+    transfer.date
+  );
+  transfer.certificateIssuedAt = new Date();
+  await student.save();
+  return transfer;
+};
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : "";
+
+// Printable transfer certificate as an HTML page
+const certificateHtml = async (student, transfer) => {
+  if (!transfer.certificateNumber) {
+    throw transferError("No certificate was issued for this transfer", 404);
+  }
+
+  const [user, fromBranch, toBranch, fromClass, fromSection] =
+    await Promise.all([
+      User.findById(student.user).setOptions({ skipBranchScope: true }),
+      Branch.findById(transfer.from.branch),
+      Branch.findById(transfer.to.branch),
+      Class.findById(transfer.from.class).setOptions({
+        skipBranchScope: true,
+      }),
+      Section.findById(transfer.from.section),
+    ]);
+  const standing = [...student.academicHistory]
+    .reverse()
+    .find((entry) => entry.grade);
+
+  const rows = [
+    ["Certificate number", transfer.certificateNumber],
+    ["Date of issue", formatDate(transfer.certificateIssuedAt)],
+    ["Student name", user && `${user.firstName} ${user.lastName}`],
+    ["Student ID", student.studentId],
+    ["Date of birth", formatDate(student.dateOfBirth)],
+    ["Date of admission", formatDate(student.admissionDate)],
+    [
+      "Class left",
+      [fromClass && fromClass.name, fromSection && fromSection.name]
+        .filter(Boolean)
+        .join(" - "),
+    ],
+    ["Roll number", transfer.from.rollNumber],
+    [
+      "Last result",
+      standing && `${standing.grade} (${standing.year}, ${standing.class})`,
+    ],
+    ["Date of leaving", formatDate(transfer.date)],
+    ["Transferred to", toBranch && toBranch.name],
+    ["Reason", transfer.reason],
+  ];
+
+  const body = rows
+    .map(
+      ([label, value]) =>
+        `<tr><th style="text-align:left;padding:6px 12px;border:1px solid #d1d5db">${escapeHtml(
+          label
+        )}</th><td style="padding:6px 12px;border:1px solid #d1d5db">${escapeHtml(
+          value || "-"
+        )}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Transfer certificate ${escapeHtml(
+    transfer.certificateNumber
+  )}</title></head><body style="font-family:Arial,sans-serif;color:#111827;padding:24px"><div style="max-width:640px;margin:0 auto"><h1 style="text-align:center;margin:0">${escapeHtml(
+    fromBranch ? fromBranch.name : APP_NAME
+  )}</h1><h2 style="text-align:center;margin:8px 0 24px">Transfer Certificate</h2><table style="border-collapse:collapse;width:100%">${body}</table><p style="margin:48px 0 0;text-align:right">Principal</p></div></body></html>`;
+};
+
+module.exports = { transferStudent, issueCertificate, certificateHtml };
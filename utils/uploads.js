@@ -0,0 +1,289 @@
+const crypto = require("crypto");
+const path = require("path");
+const multer = require("multer");
+const sharp = require("sharp");
+const StoredFile = require("../models/StoredFile");
+const { getStorage, defaultDriver } = require("./storage");
+const { getContext, runWithContext } = require("./requestContext");
+
+const MB = 1024 * 1024;
+
+// How long download links handed out for stored files stay valid
+const LINK_TTL = parseInt(process.env.STORAGE_LINK_TTL) || 15 * 60;
+
+// Types files may be stored as, with the extension they are stored under
+const FILE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "application/zip": "zip",
+  "text/plain": "txt",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation":
+    "pptx",
+};
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+const DOCUMENT_TYPES = [
+  "application/pdf",
+  "text/plain",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+];
+
+// What each kind of upload accepts. Images with `image` set are resized to
+// a square of `size` pixels with a `thumbnail` sized copy; `readPermission`
+// limits who may download the file.
+const UPLOAD_TYPES = {
+  profileImage: {
+    folder: "profiles",
+    maxSize: 5 * MB,
+    types: IMAGE_TYPES,
+    image: { size: 512, thumbnail: 128 },
+  },
+  courseMaterial: {
+    folder: "materials",
+    maxSize: 50 * MB,
+    types: [
+      ...DOCUMENT_TYPES,
+      ...IMAGE_TYPES,
+      "video/mp4",
+      "video/webm",
+      "application/zip",
+    ],
+  },
+  expenseReceipt: {
+    folder: "receipts",
+    maxSize: 10 * MB,
+    types: ["application/pdf", "image/jpeg", "image/png"],
+    readPermission: "expenses.manage",
+  },
+  assignmentAttachment: {
+    folder: "assignments",
+    maxSize: 25 * MB,
+    types: [...DOCUMENT_TYPES, ...IMAGE_TYPES, "application/zip"],
+  },
+};
+
+// First bytes of each type, checked instead of trusting the file name or
+// the type the client sent
+const SIGNATURES = [
+  { type: "image/jpeg", bytes: [[0, "ffd8ff"]] },
+  { type: "image/png", bytes: [[0, "89504e470d0a1a0a"]] },
+  { type: "image/gif", bytes: [[0, "47494638"]] },
+  {
+    type: "image/webp",
+    bytes: [
+      [0, "52494646"],
+      [8, "57454250"],
+    ],
+  },
+  { type: "application/pdf", bytes: [[0, "255044462d"]] },
+  { type: "video/mp4", bytes: [[4, "66747970"]] },
+  { type: "video/webm", bytes: [[0, "1a45dfa3"]] },
+  { type: "application/zip", bytes: [[0, "504b0304"]] },
+];
+
+// Word, Excel and PowerPoint files are zip archives told apart by extension
+const ZIP_BASED = {
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".pptx":
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+};
+
+const uploadError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Type of an uploaded file judged by its content
+const detectType = (file) => {
+  const hex = file.buffer.subarray(0, 16).toString("hex");
+  const match = SIGNATURES.find(({ bytes }) =>
+    bytes.every(([offset, signature]) => hex.startsWith(signature, offset * 2))
+  );
+
+  if (match && match.type === "application/zip") {
+    const extension = path.extname(file.originalname || "").toLowerCase();
+    return ZIP_BASED[extension] || match.type;
+  }
+  if (match) return match.type;
+  return file.buffer.length && isText(file.buffer) ? "text/plain" : null;
+};
+
+// Multer middleware keeping a single file of `purpose` in memory under
+// req.file, answering 400 when it is too large. Multer calls back from
+// stream events, so the request context (branch scope, audit actor) is
+// restored for the rest of the request.
+const receiveUpload = (purpose, field = "file") => {
+  const { maxSize } = UPLOAD_TYPES[purpose];
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+  }).single(field);
+
+  return (req, res, next) => {
+    const context = getContext();
+    upload(req, res, (error) => {
+      if (error) {
+        error.statusCode = 400;
+        if (error.code === "LIMIT_FILE_SIZE") {
+          error.message = `The file must not be larger than ${maxSize / MB} MB`;
+        }
+      }
+      runWithContext(context, () => next(error));
+    });
+  };
+};
+
+// Square WebP copies of an image, oriented as photographed and without its
+// metadata (e.g. location)
+const resizeImage = async (buffer, { size, thumbnail }) => {
+  const image = sharp(buffer).rotate();
+  const square = (pixels) =>
+    image.clone().resize(pixels, pixels, { fit: "cover" }).webp().toBuffer();
+
+  try {
+    const [body, thumb] = await Promise.all([square(size), square(thumbnail)]);
+    return { body, thumbnail: thumb };
+  } catch (error) {
+    throw uploadError("The image could not be read");
+  }
+};
+
+// Check an uploaded file against the rules of its `purpose`, put it in
+// storage and record it. `owner`: uploadedBy and branchId of the record.
+const storeUpload = async (purpose, file, owner = {}) => {
+  const policy = UPLOAD_TYPES[purpose];
+  if (!file) throw uploadError("Please upload a file");
+
+  let contentType = detectType(file);
+  if (!policy.types.includes(contentType)) {
+    throw uploadError(
+      `Only ${policy.types
+        .map((type) => FILE_TYPES[type])
+        .join(", ")} files can be uploaded here`
+    );
+  }
+
+  let body = file.buffer;
+  let originalName = file.originalname;
+  let thumbnail;
+  if (policy.image) {
+    ({ body, thumbnail } = await resizeImage(body, policy.image));
+    contentType = "image/webp";
+    originalName = `${path.parse(originalName).name}.webp`;
+  }
+
+  const driver = defaultDriver();
+  const storage = getStorage(driver);
+  const name = `${policy.folder}/${crypto.randomBytes(16).toString("hex")}`;
+  const key = `${name}.${FILE_TYPES[contentType]}`;
+  const thumbnailKey = thumbnail && `${name}-thumb.webp`;
+
+  await storage.put(key, body, contentType);
+  try {
+    if (thumbnail) await storage.put(thumbnailKey, thumbnail, "image/webp");
+
+    return await StoredFile.create({
+      purpose,
+      driver,
+      key,
+      contentType,
+      size: body.length,
+      originalName,
+      thumbnail: thumbnail && {
+        key: thumbnailKey,
+        contentType: "image/webp",
+        size: thumbnail.length,
+      },
+      uploadedBy: owner.uploadedBy,
+      branchId: owner.branchId,
+    });
+  } catch (error) {
+    await Promise.all(
+      [key, thumbnailKey]
+        .filter(Boolean)
+        .map((stored) => storage.remove(stored).catch(() => {}))
+    );
+    throw error;
+  }
+};
+
+// What records store to point at a file
+const fileRef = (file) => `/api/files/${file._id}`;
+
+const fileIdOf = (ref) => {
+  const match = /^\/api\/files\/([0-9a-f]{24})$/.exec(ref || "");
+  return match && match[1];
+};
+
+// Delete a stored file given the reference a record held. References to
+// anything else (e.g. a URL typed in by hand) are left alone.
+const removeStoredFile = async (ref) => {
+  const id = fileIdOf(ref);
+  const file = id && (await StoredFile.findById(id));
+  if (!file) return;
+
+  const storage = getStorage(file.driver);
+  await storage.remove(file.key);
+  if (file.thumbnail && file.thumbnail.key) {
+    await storage.remove(file.thumbnail.key);
+  }
+  await StoredFile.deleteOne({ _id: file._id });
+};
+
+// Download links for a stored file (and its thumbnail) that expire after
+// LINK_TTL
+const fileLinks = (file, req) => {
+  const storage = getStorage(file.driver);
+  const options = {
+    expiresIn: LINK_TTL,
+    baseUrl: process.env.API_URL || `${req.protocol}://${req.get("host")}`,
+  };
+
+  return {
+    url: storage.signedUrl(file.key, {
+      ...options,
+      contentType: file.contentType,
+      filename: file.originalName,
+    }),
+    thumbnailUrl:
+      file.thumbnail && file.thumbnail.key
+        ? storage.signedUrl(file.thumbnail.key, {
+            ...options,
+            contentType: file.thumbnail.contentType,
+          })
+        : undefined,
+    expiresAt: new Date(Date.now() + LINK_TTL * 1000),
+  };
+};
+
+module.exports = {
+  UPLOAD_TYPES,
+  receiveUpload,
+  storeUpload,
+  fileRef,
+  removeStoredFile,
+  fileLinks,
+};